@@ -8,9 +8,25 @@ import { ToastManager, toast } from './modules/ui/toast.js';
 import { HeaderManager, headerManager } from './modules/ui/header.js';
 import { NavigationManager, navigationManager } from './modules/ui/navigation.js';
 import { AnimationManager, animationManager } from './modules/ui/animations.js';
+import { DataSaver, dataSaver } from './modules/ui/data-saver.js';
+import { HeroVideo, heroVideo } from './modules/ui/hero-video.js';
+import { InstallManager, installManager } from './modules/ui/install.js';
+import { AppBadge, appBadge } from './modules/ui/app-badge.js';
+import { AppShortcuts, appShortcuts } from './modules/ui/app-shortcuts.js';
 import { BusinessStatus, businessStatus } from './modules/business/status.js';
+import { ReminderManager, reminderManager } from './modules/business/reminders.js';
+import { PushSubscriptionManager, pushSubscriptionManager } from './modules/business/push-subscriptions.js';
+import { StructuredData, structuredData } from './modules/business/structured-data.js';
 import { ContactManager, contactManager } from './modules/business/contact.js';
 import { ImageLoader, imageLoader } from './modules/product/image-loading.js';
+import { MenuCatalog, menuCatalog } from './modules/product/menu-catalog.js';
+import { ProductDetail, productDetail } from './modules/product/product-detail.js';
+import { MenuSearch, menuSearch } from './modules/product/menu-search.js';
+import { MenuFilters, menuFilters } from './modules/product/menu-filters.js';
+import { CartManager, cartManager } from './modules/cart/cart.js';
+import { CartPanel, cartPanel } from './modules/cart/cart-panel.js';
+import { OrderComposer, orderComposer } from './modules/cart/order-composer.js';
+import { OrderQueue, orderQueue } from './modules/cart/order-queue.js';
 
 class BrasasSmokehouseApp {
     constructor() {
@@ -96,6 +112,11 @@ class BrasasSmokehouseApp {
     async initCritical() {
         this.managers.toast = toast;
         
+        this.managers.dataSaver = dataSaver;
+        this.managers.dataSaver.showToast = this.showToast.bind(this);
+        this.managers.dataSaver.announce = this.announce.bind(this);
+        this.managers.dataSaver.init();
+        
         this.managers.header = headerManager;
         this.managers.header.showToast = this.showToast.bind(this);
         this.managers.header.init();
@@ -108,10 +129,64 @@ class BrasasSmokehouseApp {
         if (!this.criticalInitComplete) return;
 
         try {
+            this.managers.menuCatalog = menuCatalog;
+            this.managers.menuCatalog.showToast = this.showToast.bind(this);
+            this.managers.menuCatalog.init();
+            
+            this.managers.cart = cartManager;
+            this.managers.cart.showToast = this.showToast.bind(this);
+            this.managers.cart.announce = this.announce.bind(this);
+            this.managers.cart.init();
+            
+            this.managers.cartPanel = cartPanel;
+            this.managers.cartPanel.showToast = this.showToast.bind(this);
+            this.managers.cartPanel.init();
+            
+            this.managers.orderQueue = orderQueue;
+            this.managers.orderQueue.showToast = this.showToast.bind(this);
+            this.managers.orderQueue.init();
+            
+            this.managers.orderComposer = orderComposer;
+            this.managers.orderComposer.showToast = this.showToast.bind(this);
+            this.managers.orderComposer.init();
+            
+            this.managers.productDetail = productDetail;
+            this.managers.productDetail.showToast = this.showToast.bind(this);
+            this.managers.productDetail.init();
+            
+            this.managers.menuSearch = menuSearch;
+            this.managers.menuSearch.showToast = this.showToast.bind(this);
+            this.managers.menuSearch.init();
+            
+            this.managers.menuFilters = menuFilters;
+            this.managers.menuFilters.showToast = this.showToast.bind(this);
+            this.managers.menuFilters.announce = this.announce.bind(this);
+            this.managers.menuFilters.init();
+            
+            this.managers.install = installManager;
+            this.managers.install.showToast = this.showToast.bind(this);
+            this.managers.install.init();
+            
+            this.managers.appBadge = appBadge;
+            this.managers.appBadge.showToast = this.showToast.bind(this);
+            this.managers.appBadge.init();
+            
             this.managers.navigation = navigationManager;
             this.managers.navigation.showToast = this.showToast.bind(this);
             this.managers.navigation.init();
             
+            this.managers.appShortcuts = appShortcuts;
+            this.managers.appShortcuts.showToast = this.showToast.bind(this);
+            this.managers.appShortcuts.init();
+            
+            this.managers.reminders = reminderManager;
+            this.managers.reminders.showToast = this.showToast.bind(this);
+            this.managers.reminders.init();
+            
+            this.managers.pushSubscriptions = pushSubscriptionManager;
+            this.managers.pushSubscriptions.showToast = this.showToast.bind(this);
+            this.managers.pushSubscriptions.init();
+            
             this.managers.businessStatus = businessStatus;
             this.managers.businessStatus.showToast = this.showToast.bind(this);
             this.managers.businessStatus.init();
@@ -128,15 +203,27 @@ class BrasasSmokehouseApp {
     }
 
     scheduleEnhancements() {
+        const initImages = () => {
+            this.managers.imageLoader = imageLoader;
+            this.managers.imageLoader.showToast = this.showToast.bind(this);
+            this.managers.imageLoader.init();
+        };
+
         const initEnhancements = () => {
             try {
                 this.managers.animationManager = animationManager;
                 this.managers.animationManager.showToast = this.showToast.bind(this);
                 this.managers.animationManager.init();
                 
-                this.managers.imageLoader = imageLoader;
-                this.managers.imageLoader.showToast = this.showToast.bind(this);
-                this.managers.imageLoader.init();
+                this.managers.heroVideo = heroVideo;
+                this.managers.heroVideo.showToast = this.showToast.bind(this);
+                this.managers.heroVideo.init();
+                
+                if (!this.managers.imageLoader) initImages();
+                
+                this.managers.structuredData = structuredData;
+                this.managers.structuredData.showToast = this.showToast.bind(this);
+                this.managers.structuredData.init();
                 
                 this.isInitialized = true;
                 console.log('✅ All features initialized');
@@ -149,6 +236,17 @@ class BrasasSmokehouseApp {
             }
         };
 
+        // Data Saver: images still load (low-res), the rest waits for the user
+        if (dataSaver.isEnabled()) {
+            try {
+                initImages();
+            } catch (error) {
+                console.error('❌ Image loader error:', error);
+            }
+            this.deferUntilInteraction(initEnhancements, CONFIG.DATA_SAVER.DEFER_TIMEOUT);
+            return;
+        }
+
         if ('requestIdleCallback' in window) {
             requestIdleCallback(initEnhancements, { timeout: 3000 });
         } else {
@@ -156,6 +254,23 @@ class BrasasSmokehouseApp {
         }
     }
 
+    /**
+     * Runs callback once, on the first scroll, pointer or key input, or after timeout
+     */
+    deferUntilInteraction(callback, timeout) {
+        const events = ['scroll', 'pointerdown', 'keydown'];
+        let timer = null;
+
+        const run = () => {
+            events.forEach(type => window.removeEventListener(type, run));
+            clearTimeout(timer);
+            callback();
+        };
+
+        events.forEach(type => window.addEventListener(type, run, { once: true, passive: true }));
+        timer = setTimeout(run, timeout);
+    }
+
     performFinalCheck() {
         setTimeout(() => {
             const hiddenElements = this.findHiddenElements();
@@ -218,6 +333,12 @@ class BrasasSmokehouseApp {
         }
     }
 
+    announce(message) {
+        if (this.managers.toast) {
+            this.managers.toast.announce(message);
+        }
+    }
+
     emergencyVisibilityFix() {
         console.log('🚨 Running emergency visibility fix...');
         
@@ -306,14 +427,9 @@ class ServiceWorkerIntegration {
                 return this.app.showToast(message, type, duration);
             };
 
-            // Replace SW install prompt with proper DOM creation
-            window.swManager.showInstallPrompt = () => {
-                this.showProperInstallPrompt();
-            };
-
             // Replace SW update notification with proper DOM creation
-            window.swManager.showUpdateNotification = () => {
-                this.showProperUpdateNotification();
+            window.swManager.showUpdateNotification = (release) => {
+                this.showProperUpdateNotification(release);
             };
 
             this.isIntegrated = true;
@@ -324,203 +440,14 @@ class ServiceWorkerIntegration {
         }
     }
 
-    showProperInstallPrompt() {
-        const dismissed = localStorage.getItem('pwa-install-dismissed');
-        if (dismissed && Date.now() < parseInt(dismissed)) {
-            return;
-        }
-
-        this.createInstallToast();
-    }
-
-    showProperUpdateNotification() {
-        this.createUpdateToast();
-    }
-
-    createInstallToast() {
-        const toastContainer = document.getElementById('toast-container') || this.createToastContainer();
-        
-        const toast = document.createElement('div');
-        toast.className = 'toast info show';
-        toast.setAttribute('role', 'alert');
-        toast.setAttribute('aria-live', 'assertive');
-        
-        toast.style.cssText = `
-            background: linear-gradient(135deg, #007bff, #0056b3);
-            color: white;
-            padding: 24px;
-            border-radius: 16px;
-            margin-bottom: 12px;
-            box-shadow: 0 12px 40px rgba(0,123,255,0.3);
-            border: 1px solid rgba(255,255,255,0.2);
-            backdrop-filter: blur(12px);
-            max-width: 420px;
-            position: relative;
-            pointer-events: auto;
-            font-family: inherit;
-        `;
-
-        // Create header
-        const header = document.createElement('div');
-        header.style.cssText = 'display: flex; align-items: center; margin-bottom: 16px;';
-
-        const flag = document.createElement('span');
-        flag.textContent = '🇲🇽';
-        flag.style.cssText = 'font-size: 28px; margin-right: 12px;';
-
-        const titleContainer = document.createElement('div');
-        
-        const title = document.createElement('strong');
-        title.textContent = 'Instalar Brasas Smokehouse';
-        title.style.cssText = 'font-size: 18px; display: block;';
-        
-        const subtitle = document.createElement('span');
-        subtitle.textContent = 'Aplicación Web Progresiva';
-        subtitle.style.cssText = 'font-size: 14px; opacity: 0.9;';
-
-        titleContainer.appendChild(title);
-        titleContainer.appendChild(subtitle);
-        header.appendChild(flag);
-        header.appendChild(titleContainer);
-
-        // Create benefits
-        const benefits = document.createElement('div');
-        benefits.style.cssText = 'margin-bottom: 20px; line-height: 1.5;';
-
-        const benefit1 = document.createElement('div');
-        benefit1.style.cssText = 'display: flex; align-items: center; margin-bottom: 8px;';
-        const icon1 = document.createElement('span');
-        icon1.textContent = '✅';
-        icon1.style.marginRight = '8px';
-        const text1 = document.createElement('span');
-        text1.textContent = 'Funciona completamente sin internet';
-        text1.style.fontSize = '14px';
-        benefit1.appendChild(icon1);
-        benefit1.appendChild(text1);
-
-        const benefit2 = document.createElement('div');
-        benefit2.style.cssText = 'display: flex; align-items: center; margin-bottom: 8px;';
-        const icon2 = document.createElement('span');
-        icon2.textContent = '✅';
-        icon2.style.marginRight = '8px';
-        const text2 = document.createElement('span');
-        text2.textContent = 'Ahorra datos móviles en Sonora';
-        text2.style.fontSize = '14px';
-        benefit2.appendChild(icon2);
-        benefit2.appendChild(text2);
-
-        const benefit3 = document.createElement('div');
-        benefit3.style.cssText = 'display: flex; align-items: center;';
-        const icon3 = document.createElement('span');
-        icon3.textContent = '✅';
-        icon3.style.marginRight = '8px';
-        const text3 = document.createElement('span');
-        text3.textContent = 'Acceso rápido desde tu pantalla';
-        text3.style.fontSize = '14px';
-        benefit3.appendChild(icon3);
-        benefit3.appendChild(text3);
-
-        benefits.appendChild(benefit1);
-        benefits.appendChild(benefit2);
-        benefits.appendChild(benefit3);
-
-        // Create button container
-        const buttonContainer = document.createElement('div');
-        buttonContainer.style.cssText = 'display: flex; gap: 12px; flex-wrap: wrap;';
-
-        // Install button
-        const installBtn = document.createElement('button');
-        installBtn.textContent = '📱 Instalar Ahora';
-        installBtn.style.cssText = `
-            background: white; 
-            color: #ad2118; 
-            border: none; 
-            padding: 14px 24px; 
-            border-radius: 10px; 
-            cursor: pointer; 
-            font-weight: bold; 
-            font-size: 15px;
-            transition: transform 0.2s;
-            flex: 1;
-            min-width: 140px;
-        `;
-        installBtn.onmouseover = () => installBtn.style.transform = 'scale(1.02)';
-        installBtn.onmouseout = () => installBtn.style.transform = 'scale(1)';
-        installBtn.onclick = () => {
-            window.swManager.installPWA();
-            toast.remove();
-        };
-
-        // Dismiss button
-        const dismissBtn = document.createElement('button');
-        dismissBtn.textContent = 'Más Tarde';
-        dismissBtn.style.cssText = `
-            background: rgba(255,255,255,0.1); 
-            color: white; 
-            border: 1px solid rgba(255,255,255,0.3); 
-            padding: 14px 24px; 
-            border-radius: 10px; 
-            cursor: pointer; 
-            font-size: 15px;
-            transition: background-color 0.2s;
-            flex: 1;
-            min-width: 120px;
-        `;
-        dismissBtn.onmouseover = () => dismissBtn.style.backgroundColor = 'rgba(255,255,255,0.2)';
-        dismissBtn.onmouseout = () => dismissBtn.style.backgroundColor = 'rgba(255,255,255,0.1)';
-        dismissBtn.onclick = () => {
-            window.swManager.dismissInstall();
-            toast.remove();
-        };
-
-        buttonContainer.appendChild(installBtn);
-        buttonContainer.appendChild(dismissBtn);
-
-        // Create close button
-        const closeBtn = document.createElement('button');
-        closeBtn.innerHTML = '×';
-        closeBtn.style.cssText = `
-            position: absolute;
-            top: 12px;
-            right: 16px;
-            background: none;
-            border: none;
-            color: white;
-            font-size: 24px;
-            cursor: pointer;
-            padding: 0;
-            width: 28px;
-            height: 28px;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            opacity: 0.7;
-            transition: opacity 0.2s;
-            border-radius: 50%;
-        `;
-        closeBtn.onmouseover = () => closeBtn.style.opacity = '1';
-        closeBtn.onmouseout = () => closeBtn.style.opacity = '0.7';
-        closeBtn.onclick = () => toast.remove();
-
-        // Assemble everything
-        toast.appendChild(closeBtn);
-        toast.appendChild(header);
-        toast.appendChild(benefits);
-        toast.appendChild(buttonContainer);
-        
-        toastContainer.appendChild(toast);
-
-        // Auto-remove after 30 seconds
-        setTimeout(() => {
-            if (toast.parentNode) {
-                toast.remove();
-            }
-        }, 30000);
-
-        return toast;
+    showProperUpdateNotification(release = null) {
+        this.createUpdateToast(release);
     }
 
-    createUpdateToast() {
+    /**
+     * @param {Object|null} release - { version, notes } from the waiting worker (shared/release-notes.js)
+     */
+    createUpdateToast(release = null) {
         const toastContainer = document.getElementById('toast-container') || this.createToastContainer();
         
         const toast = document.createElement('div');
@@ -558,7 +485,7 @@ class ServiceWorkerIntegration {
         title.style.cssText = 'font-size: 16px;';
         
         const subtitle = document.createElement('div');
-        subtitle.textContent = 'Mejoras para México y nuevas funciones';
+        subtitle.textContent = release?.version ? `Versión ${release.version}` : 'Mejoras y nuevas funciones';
         subtitle.style.cssText = 'font-size: 13px; opacity: 0.9;';
 
         titleContainer.appendChild(title);
@@ -566,6 +493,15 @@ class ServiceWorkerIntegration {
         header.appendChild(icon);
         header.appendChild(titleContainer);
 
+        // Changelog
+        const notes = document.createElement('ul');
+        notes.style.cssText = 'margin: 0 0 16px 20px; padding: 0; font-size: 14px; line-height: 1.5; list-style: disc;';
+        (release?.notes || []).forEach(note => {
+            const item = document.createElement('li');
+            item.textContent = note;
+            notes.appendChild(item);
+        });
+
         // Create button container
         const buttonContainer = document.createElement('div');
         buttonContainer.style.cssText = 'display: flex; gap: 12px;';
@@ -614,16 +550,19 @@ class ServiceWorkerIntegration {
 
         // Assemble everything
         toast.appendChild(header);
+        if (notes.children.length > 0) {
+            toast.appendChild(notes);
+        }
         toast.appendChild(buttonContainer);
         
         toastContainer.appendChild(toast);
 
-        // Auto-remove after 10 seconds
+        // Auto-remove after 20 seconds; the update keeps waiting and is offered again on the next visit
         setTimeout(() => {
             if (toast.parentNode) {
                 toast.remove();
             }
-        }, 10000);
+        }, 20000);
 
         return toast;
     }
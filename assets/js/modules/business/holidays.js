@@ -0,0 +1,68 @@
+// assets/js/modules/business/holidays.js
+
+import { toDateKey, getWeekday } from './schedule.js';
+
+/**
+ * Mexican official holidays (Ley Federal del Trabajo, art. 74), computed for any year
+ */
+
+const INAUGURATION_BASE_YEAR = 2024;
+const INAUGURATION_INTERVAL = 6;
+
+/**
+ * Date of the nth given weekday of a month
+ * @param {number} weekday - 0 (Sunday) to 6 (Saturday)
+ * @param {number} nth - 1 for the first, 3 for the third...
+ */
+export function nthWeekdayOfMonth(year, month, weekday, nth) {
+    const firstWeekday = getWeekday({ year, month, day: 1 });
+    const day = 1 + ((weekday - firstWeekday + 7) % 7) + (nth - 1) * 7;
+    return { year, month, day };
+}
+
+/**
+ * Whether 1 October of this year is a presidential inauguration day
+ */
+export function isInaugurationYear(year) {
+    return year >= INAUGURATION_BASE_YEAR && (year - INAUGURATION_BASE_YEAR) % INAUGURATION_INTERVAL === 0;
+}
+
+const cache = new Map();
+
+/**
+ * Lists the official holidays of a year
+ * @returns {Array<Object>} - [{ id, name, date, key }] sorted by date
+ */
+export function getHolidays(year) {
+    if (cache.has(year)) return cache.get(year);
+
+    const holidays = [
+        { id: 'ano-nuevo', name: 'Año Nuevo', date: { year, month: 1, day: 1 } },
+        { id: 'constitucion', name: 'Día de la Constitución', date: nthWeekdayOfMonth(year, 2, 1, 1) },
+        { id: 'benito-juarez', name: 'Natalicio de Benito Juárez', date: nthWeekdayOfMonth(year, 3, 1, 3) },
+        { id: 'dia-del-trabajo', name: 'Día del Trabajo', date: { year, month: 5, day: 1 } },
+        { id: 'independencia', name: 'Día de la Independencia', date: { year, month: 9, day: 16 } },
+        { id: 'revolucion', name: 'Día de la Revolución', date: nthWeekdayOfMonth(year, 11, 1, 3) },
+        { id: 'navidad', name: 'Navidad', date: { year, month: 12, day: 25 } }
+    ];
+
+    if (isInaugurationYear(year)) {
+        holidays.push({ id: 'transmision-poder', name: 'Transmisión del Poder Ejecutivo', date: { year, month: 10, day: 1 } });
+    }
+
+    const result = holidays
+        .map(holiday => ({ ...holiday, key: toDateKey(holiday.date) }))
+        .sort((a, b) => a.key.localeCompare(b.key));
+
+    cache.set(year, result);
+    return result;
+}
+
+/**
+ * Finds the official holiday falling on a civil date
+ * @returns {Object|null} - { id, name, date, key }
+ */
+export function getHolidayForDate(date) {
+    const key = toDateKey(date);
+    return getHolidays(date.year).find(holiday => holiday.key === key) || null;
+}
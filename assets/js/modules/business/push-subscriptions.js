@@ -0,0 +1,246 @@
+// assets/js/modules/business/push-subscriptions.js
+
+import { CONFIG } from '../config.js';
+import { getElement, escapeHtml } from '../utils.js';
+
+/**
+ * VAPID keys are base64url; pushManager.subscribe() wants the raw bytes
+ */
+function urlBase64ToUint8Array(value) {
+    const padded = (value + '='.repeat((4 - value.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+}
+
+/**
+ * PushSubscriptionManager - Web Push subscription and topic preferences.
+ * The server stores { subscription, topics } and only sends the topics chosen here.
+ */
+export class PushSubscriptionManager {
+    constructor(showToast = null) {
+        this.showToast = showToast;
+        this.subscription = null;
+        this.topics = {};
+        this.toggleButton = null;
+        this.topicsContainer = null;
+        this.toggleHandler = null;
+        this.topicsHandler = null;
+        this.isBusy = false;
+        this.isInitialized = false;
+    }
+
+    async init() {
+        try {
+            this.topics = this.readTopics();
+            this.toggleButton = getElement(CONFIG.SELECTORS.PUSH.TOGGLE);
+            this.topicsContainer = getElement(CONFIG.SELECTORS.PUSH.TOPICS);
+
+            if (!this.isSupported()) {
+                this.toggleButton?.classList.add('hidden');
+                this.topicsContainer?.classList.add('hidden');
+                console.log('Push notifications not supported');
+                return;
+            }
+
+            const registration = await navigator.serviceWorker.ready;
+            this.subscription = await registration.pushManager.getSubscription();
+
+            if (this.toggleButton) {
+                this.toggleHandler = () => this.toggle();
+                this.toggleButton.addEventListener('click', this.toggleHandler);
+            }
+            if (this.topicsContainer) {
+                this.topicsHandler = (event) => {
+                    const input = event.target.closest('[data-push-topic]');
+                    if (input) this.setTopic(input.dataset.pushTopic, input.checked);
+                };
+                this.topicsContainer.addEventListener('change', this.topicsHandler);
+            }
+
+            this.render();
+
+            this.isInitialized = true;
+            console.log(`✅ Push subscriptions initialized - ${this.subscription ? 'subscribed' : 'not subscribed'}`);
+
+        } catch (error) {
+            console.error('❌ Error initializing push subscriptions:', error);
+        }
+    }
+
+    isSupported() {
+        return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window &&
+            Boolean(CONFIG.PUSH.VAPID_PUBLIC_KEY && CONFIG.PUSH.ENDPOINT);
+    }
+
+    readTopics() {
+        const defaults = Object.fromEntries(
+            Object.entries(CONFIG.PUSH.TOPICS).map(([topic, { default: enabled }]) => [topic, enabled])
+        );
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(CONFIG.PUSH.STORAGE_KEY) || '{}');
+            return { ...defaults, ...stored };
+        } catch (error) {
+            return defaults;
+        }
+    }
+
+    /**
+     * @returns {string[]} - Topic ids the user wants
+     */
+    getTopics() {
+        return Object.keys(this.topics).filter(topic => this.topics[topic]);
+    }
+
+    async toggle() {
+        if (this.subscription) {
+            await this.unsubscribe();
+        } else {
+            await this.subscribe();
+        }
+    }
+
+    /**
+     * Asks for permission, subscribes with the VAPID key and registers with the server
+     * @returns {Promise<PushSubscription|null>}
+     */
+    async subscribe() {
+        if (!this.isSupported() || this.isBusy) return null;
+
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            if (this.showToast) this.showToast('Activa las notificaciones en tu navegador', 'warning', 5000);
+            return null;
+        }
+
+        this.isBusy = true;
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            this.subscription = await registration.pushManager.subscribe({
+                userVisibleOnly: true,
+                applicationServerKey: urlBase64ToUint8Array(CONFIG.PUSH.VAPID_PUBLIC_KEY)
+            });
+
+            await this.saveSubscription();
+            if (this.showToast) this.showToast('Notificaciones activadas', 'success');
+            return this.subscription;
+
+        } catch (error) {
+            console.error('❌ Push subscription failed:', error);
+            if (this.showToast) this.showToast('No se pudieron activar las notificaciones', 'error');
+            return null;
+
+        } finally {
+            this.isBusy = false;
+            this.render();
+        }
+    }
+
+    async unsubscribe() {
+        if (!this.subscription || this.isBusy) return;
+
+        this.isBusy = true;
+        const { endpoint } = this.subscription;
+
+        try {
+            await this.subscription.unsubscribe();
+            this.subscription = null;
+
+            await fetch(CONFIG.PUSH.ENDPOINT, {
+                method: 'DELETE',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ endpoint })
+            }).catch(error => console.warn('Push unsubscribe not sent to server:', error));
+
+            if (this.showToast) this.showToast('Notificaciones desactivadas', 'info');
+
+        } catch (error) {
+            console.error('❌ Push unsubscribe failed:', error);
+
+        } finally {
+            this.isBusy = false;
+            this.render();
+        }
+    }
+
+    /**
+     * Saves a topic preference and, when subscribed, sends the new set to the server
+     */
+    async setTopic(topic, enabled) {
+        if (!(topic in CONFIG.PUSH.TOPICS)) return;
+
+        this.topics = { ...this.topics, [topic]: Boolean(enabled) };
+        try {
+            localStorage.setItem(CONFIG.PUSH.STORAGE_KEY, JSON.stringify(this.topics));
+        } catch (error) {
+            console.warn('Could not save push topics:', error);
+        }
+
+        if (this.subscription) {
+            try {
+                await this.saveSubscription();
+            } catch (error) {
+                console.warn('Push topics not sent to server:', error);
+                if (this.showToast) this.showToast('No se pudieron guardar tus preferencias', 'error');
+            }
+        }
+    }
+
+    async saveSubscription() {
+        const response = await fetch(CONFIG.PUSH.ENDPOINT, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ subscription: this.subscription.toJSON(), topics: this.getTopics() })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Subscription request failed: ${response.status}`);
+        }
+    }
+
+    render() {
+        const subscribed = Boolean(this.subscription);
+
+        if (this.toggleButton) {
+            this.toggleButton.setAttribute('aria-checked', String(subscribed));
+            this.toggleButton.disabled = this.isBusy;
+        }
+
+        if (this.topicsContainer) {
+            this.topicsContainer.classList.toggle('hidden', !subscribed);
+            this.topicsContainer.innerHTML = `
+                <legend class="sr-only">Qué notificaciones recibir</legend>
+                ${Object.entries(CONFIG.PUSH.TOPICS).map(([topic, { label }]) => `
+                    <label class="push-topic">
+                        <input type="checkbox" data-push-topic="${escapeHtml(topic)}" ${this.topics[topic] ? 'checked' : ''}>
+                        <span>${escapeHtml(label)}</span>
+                    </label>
+                `).join('')}
+            `;
+        }
+    }
+
+    getStats() {
+        return {
+            isInitialized: this.isInitialized,
+            isSupported: this.isSupported(),
+            subscribed: Boolean(this.subscription),
+            topics: this.getTopics()
+        };
+    }
+
+    destroy() {
+        if (this.toggleButton && this.toggleHandler) {
+            this.toggleButton.removeEventListener('click', this.toggleHandler);
+        }
+        if (this.topicsContainer && this.topicsHandler) {
+            this.topicsContainer.removeEventListener('change', this.topicsHandler);
+        }
+        this.toggleHandler = null;
+        this.topicsHandler = null;
+        this.isInitialized = false;
+        console.log('Push subscriptions destroyed');
+    }
+}
+
+// Create a singleton instance
+export const pushSubscriptionManager = new PushSubscriptionManager();
@@ -0,0 +1,291 @@
+// assets/js/modules/business/reminders.js
+
+import '../../shared/idb.js';
+import '../../shared/sw-messages.js';
+import { CONFIG } from '../config.js';
+import { getElement, escapeHtml, createId } from '../utils.js';
+
+const { BrasasDB, BrasasMessages } = self;
+
+// Longest delay setTimeout accepts (~24.8 days)
+const MAX_TIMEOUT = 2147483647;
+
+/**
+ * ReminderManager - Persistent "avísame cuando abran" reminders delivered by sw.js
+ * as system notifications (periodic sync, or a check while the page is open)
+ */
+export class ReminderManager {
+    constructor(showToast = null) {
+        this.showToast = showToast;
+        this.list = null;
+        this.notice = null;
+        this.listClickHandler = null;
+        this.messageHandler = null;
+        this.visibilityHandler = null;
+        this.checkTimer = null;
+        this.isInitialized = false;
+    }
+
+    init() {
+        try {
+            this.list = getElement(CONFIG.SELECTORS.BUSINESS.REMINDER_LIST);
+            this.notice = getElement(CONFIG.SELECTORS.BUSINESS.REMINDER_NOTICE);
+
+            if (this.list) {
+                this.listClickHandler = (event) => {
+                    const button = event.target.closest('[data-reminder-cancel]');
+                    if (button) this.cancel(button.dataset.reminderCancel);
+                };
+                this.list.addEventListener('click', this.listClickHandler);
+            }
+
+            if ('serviceWorker' in navigator) {
+                this.messageHandler = (event) => {
+                    if (event.data?.type === BrasasMessages.TYPES.REMINDER_DELIVERED) {
+                        this.refresh();
+                    }
+                };
+                navigator.serviceWorker.addEventListener('message', this.messageHandler);
+            }
+
+            // Reminders that came due while the tab was hidden
+            this.visibilityHandler = () => {
+                if (!document.hidden) this.checkDue();
+            };
+            document.addEventListener('visibilitychange', this.visibilityHandler);
+
+            this.refresh();
+
+            this.isInitialized = true;
+            console.log('✅ Reminders initialized');
+
+        } catch (error) {
+            console.error('❌ Error initializing reminders:', error);
+        }
+    }
+
+    /**
+     * Whether this browser can store reminders and show system notifications
+     */
+    isSupported() {
+        return 'Notification' in window && 'serviceWorker' in navigator && 'indexedDB' in window;
+    }
+
+    /**
+     * Stores a reminder and schedules its delivery
+     * @param {Object} reminder - { type: 'open' | 'close', dueAt: Date, title, body }
+     * @returns {Promise<Object|null>} - Stored record, or null when it could not be scheduled
+     */
+    async subscribe({ type, dueAt, title, body }) {
+        if (!this.isSupported()) {
+            if (this.showToast) this.showToast('Tu navegador no permite recordatorios', 'warning');
+            return null;
+        }
+
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            if (this.showToast) this.showToast('Activa las notificaciones para recibir el aviso', 'warning', 5000);
+            return null;
+        }
+
+        try {
+            const existing = (await this.getReminders()).find(reminder =>
+                reminder.type === type && reminder.dueAt === dueAt.getTime()
+            );
+            if (existing) {
+                if (this.showToast) this.showToast('Ya tienes este recordatorio', 'info');
+                return existing;
+            }
+
+            const record = {
+                id: createId(),
+                type,
+                dueAt: dueAt.getTime(),
+                // sw.js still delivers reminders after this, marked as late
+                lateAfter: dueAt.getTime() + CONFIG.REMINDERS.GRACE_PERIOD,
+                dueLabel: this.formatDueAt(dueAt.getTime()),
+                title,
+                body,
+                url: CONFIG.REMINDERS.URL,
+                createdAt: Date.now()
+            };
+
+            await BrasasDB.put(BrasasDB.STORES.REMINDERS, record);
+            await this.registerPeriodicSync();
+            await this.refresh();
+
+            if (this.showToast && !(await this.hasBackgroundDelivery())) {
+                this.showToast('Te avisaremos si esta página sigue abierta', 'info', 5000);
+            }
+            return record;
+
+        } catch (error) {
+            console.error('❌ Could not save reminder:', error);
+            if (this.showToast) this.showToast('No se pudo guardar el recordatorio', 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Asks the browser to wake sw.js periodically; needs an installed app in most browsers
+     */
+    async registerPeriodicSync() {
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (!('periodicSync' in registration)) return;
+
+            const status = await navigator.permissions?.query({ name: 'periodic-background-sync' });
+            if (status && status.state !== 'granted') return;
+
+            await registration.periodicSync.register(CONFIG.REMINDERS.SYNC_TAG, {
+                minInterval: CONFIG.REMINDERS.CHECK_INTERVAL
+            });
+        } catch (error) {
+            console.warn('Periodic sync registration failed:', error);
+        }
+    }
+
+    /**
+     * Whether reminders can arrive with every tab closed, i.e. the periodic sync is registered
+     */
+    async hasBackgroundDelivery() {
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (!('periodicSync' in registration)) return false;
+
+            const tags = await registration.periodicSync.getTags();
+            return tags.includes(CONFIG.REMINDERS.SYNC_TAG);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Pending reminders, soonest first
+     */
+    async getReminders() {
+        try {
+            const reminders = await BrasasDB.getAll(BrasasDB.STORES.REMINDERS);
+            return reminders.sort((a, b) => a.dueAt - b.dueAt);
+        } catch (error) {
+            console.warn('Could not read reminders:', error);
+            return [];
+        }
+    }
+
+    async cancel(reminderId) {
+        try {
+            await BrasasDB.delete(BrasasDB.STORES.REMINDERS, reminderId);
+            if (this.showToast) this.showToast('Recordatorio cancelado', 'info');
+        } catch (error) {
+            console.error('❌ Could not cancel reminder:', error);
+        }
+        await this.refresh();
+    }
+
+    /**
+     * Asks the service worker to deliver any reminder that is due
+     */
+    async checkDue() {
+        if (!('serviceWorker' in navigator)) return;
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            BrasasMessages.send(registration.active, BrasasMessages.TYPES.CHECK_REMINDERS);
+        } catch (error) {
+            console.warn('Reminder check failed:', error);
+        }
+    }
+
+    /**
+     * Re-renders the list and arms a check for the next due reminder while the page is open
+     */
+    async refresh() {
+        const reminders = await this.getReminders();
+        this.render(reminders);
+
+        clearTimeout(this.checkTimer);
+        this.checkTimer = null;
+
+        if (reminders.length > 0) {
+            const delay = Math.max(0, reminders[0].dueAt - Date.now());
+            this.checkTimer = setTimeout(() => this.checkDue(), Math.min(delay, MAX_TIMEOUT));
+        }
+
+        const background = reminders.length > 0 ? await this.hasBackgroundDelivery() : true;
+        this.renderNotice(!background);
+    }
+
+    /**
+     * Formats a reminder time in the restaurant's timezone
+     */
+    formatDueAt(timestamp) {
+        const formatted = new Intl.DateTimeFormat(CONFIG.MENU.LOCALE, {
+            timeZone: CONFIG.BUSINESS.TIMEZONE,
+            weekday: 'short',
+            day: 'numeric',
+            month: 'short',
+            hour: 'numeric',
+            minute: '2-digit'
+        }).format(new Date(timestamp));
+
+        return `${formatted} (${CONFIG.BUSINESS.TIMEZONE_LABEL})`;
+    }
+
+    render(reminders) {
+        if (!this.list) return;
+
+        this.list.innerHTML = reminders.map(reminder => `
+            <li class="reminder-item">
+                <span>${reminder.type === 'open' ? 'Apertura' : 'Cierre'} · ${escapeHtml(this.formatDueAt(reminder.dueAt))}</span>
+                <button type="button" class="reminder-cancel-btn" data-reminder-cancel="${escapeHtml(reminder.id)}"
+                    aria-label="Cancelar recordatorio">
+                    Cancelar
+                </button>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Tells the user that reminders need an open page in this browser
+     */
+    renderNotice(visible) {
+        if (!this.notice) return;
+
+        this.notice.textContent = visible
+            ? 'Tu navegador no entrega avisos con la página cerrada: deja esta pestaña abierta o instala la app. Si el aviso llega tarde, lo verás marcado como atrasado.'
+            : '';
+        this.notice.classList.toggle('hidden', !visible);
+    }
+
+    getStats() {
+        return {
+            isInitialized: this.isInitialized,
+            isSupported: this.isSupported(),
+            permission: 'Notification' in window ? Notification.permission : 'unsupported'
+        };
+    }
+
+    destroy() {
+        clearTimeout(this.checkTimer);
+        this.checkTimer = null;
+
+        if (this.list && this.listClickHandler) {
+            this.list.removeEventListener('click', this.listClickHandler);
+        }
+        if (this.messageHandler) {
+            navigator.serviceWorker.removeEventListener('message', this.messageHandler);
+        }
+        if (this.visibilityHandler) {
+            document.removeEventListener('visibilitychange', this.visibilityHandler);
+        }
+        this.listClickHandler = null;
+        this.messageHandler = null;
+        this.visibilityHandler = null;
+        this.isInitialized = false;
+        console.log('Reminders destroyed');
+    }
+}
+
+// Create a singleton instance
+export const reminderManager = new ReminderManager();
@@ -0,0 +1,200 @@
+// assets/js/modules/business/schedule.js
+
+import { getHolidayForDate } from './holidays.js';
+
+/**
+ * Pure schedule helpers over CONFIG.BUSINESS.SCHEDULE.
+ * Dates are civil { year, month, day } values (month 1-12) and times are
+ * minutes since midnight, so the same code works in any timezone.
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+
+export const DAY_KEYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Parses 'HH:MM' into minutes since midnight
+ * @returns {number} - NaN when the value is not a valid time
+ */
+export function parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+    if (!match) return NaN;
+
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return NaN;
+
+    return hours * 60 + minutes;
+}
+
+/**
+ * Formats minutes since midnight as "6:30 AM"
+ */
+export function formatTime(minutes) {
+    const normalized = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    const hour = Math.floor(normalized / 60);
+    const minute = normalized % 60;
+    const period = hour >= 12 ? 'PM' : 'AM';
+    const displayHour = hour % 12 === 0 ? 12 : hour % 12;
+    return `${displayHour}:${String(minute).padStart(2, '0')} ${period}`;
+}
+
+/**
+ * Formats a duration in minutes as "45 min", "2h" or "2h 15min"
+ */
+export function formatDuration(minutes) {
+    const total = Math.max(0, Math.ceil(minutes));
+    if (total < 60) return `${total} min`;
+
+    const hours = Math.floor(total / 60);
+    const rest = total % 60;
+    return rest ? `${hours}h ${rest}min` : `${hours}h`;
+}
+
+export function toDateKey({ year, month, day }) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+export function parseDateKey(key) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(key || ''));
+    if (!match) return null;
+    return { year: parseInt(match[1], 10), month: parseInt(match[2], 10), day: parseInt(match[3], 10) };
+}
+
+export function addDays({ year, month, day }, days) {
+    const date = new Date(Date.UTC(year, month - 1, day + days));
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+/**
+ * @returns {number} - 0 (Sunday) to 6 (Saturday)
+ */
+export function getWeekday({ year, month, day }) {
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * Days from one civil date to another
+ */
+export function daysBetween(from, to) {
+    return Math.round(
+        (Date.UTC(to.year, to.month - 1, to.day) - Date.UTC(from.year, from.month - 1, from.day)) / 86400000
+    );
+}
+
+/**
+ * Turns [['06:30', '14:00'], ...] into sorted { start, end } minute ranges.
+ * An end at or before its start is taken to be on the following day.
+ */
+export function parseRanges(ranges = []) {
+    return ranges
+        .map(([open, close]) => {
+            const start = parseTime(open);
+            let end = parseTime(close);
+            if (Number.isNaN(start) || Number.isNaN(end)) {
+                console.warn('Ignoring invalid schedule range:', open, close);
+                return null;
+            }
+            if (end <= start) end += MINUTES_PER_DAY;
+            return { start, end };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Resolves the opening ranges for one date: closures, then dated exceptions,
+ * then official holidays configured in HOLIDAYS, then the weekly plan
+ * @returns {Object} - { ranges, reason, source: 'closure' | 'exception' | 'holiday' | 'weekly' }
+ */
+export function getDayRanges(date, schedule) {
+    const key = toDateKey(date);
+
+    const closure = (schedule.CLOSURES || []).find(entry => entry.from <= key && key <= (entry.to || entry.from));
+    if (closure) {
+        return { ranges: [], reason: closure.reason || null, source: 'closure' };
+    }
+
+    const exception = (schedule.EXCEPTIONS || []).find(entry => entry.date === key);
+    if (exception) {
+        return {
+            ranges: exception.closed ? [] : parseRanges(exception.ranges),
+            reason: exception.reason || null,
+            source: 'exception'
+        };
+    }
+
+    const holiday = getHolidayForDate(date);
+    const holidayHours = holiday ? schedule.HOLIDAYS?.[holiday.id] : null;
+    if (holidayHours) {
+        return {
+            ranges: holidayHours.closed ? [] : parseRanges(holidayHours.ranges),
+            reason: holiday.name,
+            source: 'holiday'
+        };
+    }
+
+    const weekly = schedule.WEEKLY?.[DAY_KEYS[getWeekday(date)]] || [];
+    return { ranges: parseRanges(weekly), reason: null, source: 'weekly' };
+}
+
+/**
+ * Collects opening intervals from the day before `date` through `days` days after,
+ * as minutes relative to midnight of `date`, with touching intervals merged
+ */
+export function getIntervals(date, schedule, days = schedule.LOOKAHEAD_DAYS || 7) {
+    const intervals = [];
+
+    for (let offset = -1; offset <= days; offset++) {
+        const dayStart = offset * MINUTES_PER_DAY;
+        getDayRanges(addDays(date, offset), schedule).ranges.forEach(range => {
+            intervals.push({ start: dayStart + range.start, end: dayStart + range.end });
+        });
+    }
+
+    intervals.sort((a, b) => a.start - b.start);
+
+    return intervals.reduce((merged, interval) => {
+        const last = merged[merged.length - 1];
+        if (last && interval.start <= last.end) {
+            last.end = Math.max(last.end, interval.end);
+        } else {
+            merged.push({ ...interval });
+        }
+        return merged;
+    }, []);
+}
+
+/**
+ * Converts minutes relative to midnight of `date` into a civil date and time
+ */
+function toMoment(date, relativeMinutes) {
+    const dayOffset = Math.floor(relativeMinutes / MINUTES_PER_DAY);
+    return {
+        ...addDays(date, dayOffset),
+        minutes: relativeMinutes - dayOffset * MINUTES_PER_DAY
+    };
+}
+
+/**
+ * Computes open/closed state for a civil moment
+ * @param {Object} now - { year, month, day, minutes }
+ * @param {Object} schedule - CONFIG.BUSINESS.SCHEDULE
+ * @returns {Object} - { isOpen, opensAt, closesAt, minutesUntilOpen, minutesUntilClose, reason }
+ */
+export function getScheduleStatus(now, schedule) {
+    const date = { year: now.year, month: now.month, day: now.day };
+    const intervals = getIntervals(date, schedule);
+    const current = intervals.find(interval => interval.start <= now.minutes && now.minutes < interval.end);
+    const next = intervals.find(interval => interval.start > now.minutes);
+    const { reason } = getDayRanges(date, schedule);
+
+    return {
+        isOpen: Boolean(current),
+        opensAt: !current && next ? toMoment(date, next.start) : null,
+        closesAt: current ? toMoment(date, current.end) : null,
+        minutesUntilOpen: current ? 0 : (next ? next.start - now.minutes : null),
+        minutesUntilClose: current ? current.end - now.minutes : 0,
+        reason
+    };
+}
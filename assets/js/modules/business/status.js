@@ -2,14 +2,30 @@
 
 import { CONFIG } from '../config.js';
 import { getElement } from '../utils.js';
+import {
+    getScheduleStatus,
+    getDayRanges,
+    getWeekday,
+    daysBetween,
+    formatTime,
+    formatDuration
+} from './schedule.js';
+import { getZonedParts, zonedToDate } from './timezone.js';
+import { reminderManager } from './reminders.js';
+
+const DAY_NAMES = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
 
 /**
- * BusinessStatus - Handles business hours and status display
+ * BusinessStatus - Handles business hours and status display from CONFIG.BUSINESS.SCHEDULE
  */
 export class BusinessStatus {
     constructor(showToast = null) {
         this.showToast = showToast;
         this.statusUpdateInterval = null;
+        this.reminderButton = null;
+        this.reminderClickHandler = null;
+        // Replaceable so the clock can be frozen
+        this.clock = () => new Date();
         this.isInitialized = false;
     }
 
@@ -18,6 +34,12 @@ export class BusinessStatus {
      */
     init() {
         try {
+            this.reminderButton = getElement(CONFIG.SELECTORS.BUSINESS.REMINDER_BUTTON);
+            if (this.reminderButton) {
+                this.reminderClickHandler = () => this.scheduleStatusNotification('open');
+                this.reminderButton.addEventListener('click', this.reminderClickHandler);
+            }
+
             // Initialize business status display
             this.updateBusinessStatus();
             
@@ -41,11 +63,41 @@ export class BusinessStatus {
      * Updates the business status indicator based on current time
      */
     updateBusinessStatus() {
-        const isOpen = this.isBusinessOpen();
-        this.updateBusinessStatusDisplay(isOpen);
+        const status = this.getStatus();
+        this.updateBusinessStatusDisplay(status.isOpen, status);
         
         // Log status change for debugging
-        console.log(`Business status updated: ${isOpen ? 'OPEN' : 'CLOSED'}`);
+        console.log(`Business status updated: ${status.isOpen ? 'OPEN' : 'CLOSED'}`);
+    }
+
+    /**
+     * Current date and time in the restaurant's timezone, not the device's
+     * @returns {Object} - { year, month, day, minutes }
+     */
+    getNow() {
+        return getZonedParts(this.clock(), CONFIG.BUSINESS.TIMEZONE);
+    }
+
+    /**
+     * Converts a restaurant-time { year, month, day, minutes } moment into a Date
+     */
+    toDate(moment) {
+        return zonedToDate(moment, CONFIG.BUSINESS.TIMEZONE);
+    }
+
+    /**
+     * Formats restaurant-time minutes with the zone label, e.g. "6:30 AM (hora de Sonora)"
+     */
+    formatBusinessTime(minutes) {
+        return `${formatTime(minutes)} (${CONFIG.BUSINESS.TIMEZONE_LABEL})`;
+    }
+
+    /**
+     * Computes the schedule status for the current moment
+     * @returns {Object} - See getScheduleStatus() in schedule.js
+     */
+    getStatus() {
+        return getScheduleStatus(this.getNow(), CONFIG.BUSINESS.SCHEDULE);
     }
 
     /**
@@ -53,53 +105,41 @@ export class BusinessStatus {
      * @returns {boolean} - True if business is open
      */
     isBusinessOpen() {
-        const now = new Date();
-        const currentHour = now.getHours();
-        const currentMinute = now.getMinutes();
-        const currentTime = currentHour + (currentMinute / 60);
-        
-        return currentTime >= CONFIG.BUSINESS.OPEN_TIME && currentTime < CONFIG.BUSINESS.CLOSE_TIME;
+        return this.getStatus().isOpen;
     }
 
     /**
-     * Gets the current business hours as a formatted string
-     * @returns {string} - Formatted business hours
+     * Gets today's business hours as a formatted string
+     * @returns {string} - Formatted business hours, or 'Cerrado'
      */
     getBusinessHours() {
-        const openHour = Math.floor(CONFIG.BUSINESS.OPEN_TIME);
-        const openMinute = Math.round((CONFIG.BUSINESS.OPEN_TIME - openHour) * 60);
-        const closeHour = Math.floor(CONFIG.BUSINESS.CLOSE_TIME);
-        const closeMinute = Math.round((CONFIG.BUSINESS.CLOSE_TIME - closeHour) * 60);
-        
-        const formatTime = (hour, minute) => {
-            const period = hour >= 12 ? 'PM' : 'AM';
-            const displayHour = hour > 12 ? hour - 12 : (hour === 0 ? 12 : hour);
-            const displayMinute = minute.toString().padStart(2, '0');
-            return `${displayHour}:${displayMinute} ${period}`;
-        };
+        const { ranges } = getDayRanges(this.getNow(), CONFIG.BUSINESS.SCHEDULE);
+        if (ranges.length === 0) {
+            return 'Cerrado';
+        }
         
-        return `${formatTime(openHour, openMinute)} - ${formatTime(closeHour, closeMinute)}`;
+        const hours = ranges
+            .map(range => `${formatTime(range.start)} - ${formatTime(range.end)}`)
+            .join(', ');
+        return `${hours} (${CONFIG.BUSINESS.TIMEZONE_LABEL})`;
     }
 
     /**
      * Gets the next opening time
-     * @returns {Date} - Next opening time
+     * @returns {Date|null} - Next opening time, null when open or nothing is scheduled
      */
     getNextOpeningTime() {
-        const now = new Date();
-        const currentHour = now.getHours();
-        const currentMinute = now.getMinutes();
-        const currentTime = currentHour + (currentMinute / 60);
-        
-        const nextOpen = new Date();
-        if (currentTime >= CONFIG.BUSINESS.CLOSE_TIME) {
-            nextOpen.setDate(nextOpen.getDate() + 1);
-        }
-        nextOpen.setHours(Math.floor(CONFIG.BUSINESS.OPEN_TIME), 
-                         Math.round((CONFIG.BUSINESS.OPEN_TIME - Math.floor(CONFIG.BUSINESS.OPEN_TIME)) * 60), 
-                         0, 0);
-        
-        return nextOpen;
+        const { opensAt } = this.getStatus();
+        return opensAt ? this.toDate(opensAt) : null;
+    }
+
+    /**
+     * Gets the closing time of the current opening period
+     * @returns {Date|null} - Closing time, null when closed
+     */
+    getClosingTime() {
+        const { closesAt } = this.getStatus();
+        return closesAt ? this.toDate(closesAt) : null;
     }
 
     /**
@@ -107,13 +147,8 @@ export class BusinessStatus {
      * @returns {number} - Hours until opening
      */
     getHoursUntilOpen() {
-        if (this.isBusinessOpen()) {
-            return 0;
-        }
-        
-        const now = new Date();
-        const nextOpen = this.getNextOpeningTime();
-        return Math.ceil((nextOpen - now) / (1000 * 60 * 60));
+        const { minutesUntilOpen } = this.getStatus();
+        return minutesUntilOpen ? Math.ceil(minutesUntilOpen / 60) : 0;
     }
 
     /**
@@ -121,63 +156,67 @@ export class BusinessStatus {
      * @returns {number} - Hours until closing, 0 if closed
      */
     getHoursUntilClose() {
-        if (!this.isBusinessOpen()) {
-            return 0;
-        }
-        
-        const now = new Date();
-        const todayClose = new Date();
-        todayClose.setHours(Math.floor(CONFIG.BUSINESS.CLOSE_TIME), 
-                           Math.round((CONFIG.BUSINESS.CLOSE_TIME - Math.floor(CONFIG.BUSINESS.CLOSE_TIME)) * 60), 
-                           0, 0);
+        return Math.ceil(this.getStatus().minutesUntilClose / 60);
+    }
+
+    /**
+     * Describes the day of an upcoming moment relative to today
+     * @returns {string} - 'hoy', 'mañana', 'el lunes' or 'el 16/09'
+     */
+    getDayLabel(moment) {
+        const days = daysBetween(this.getNow(), moment);
         
-        return Math.ceil((todayClose - now) / (1000 * 60 * 60));
+        if (days === 0) return 'hoy';
+        if (days === 1) return 'mañana';
+        if (days < 7) return `el ${DAY_NAMES[getWeekday(moment)]}`;
+        return `el ${String(moment.day).padStart(2, '0')}/${String(moment.month).padStart(2, '0')}`;
     }
 
     /**
      * Generate closed message with time until opening
      * @returns {string} - Formatted closed message
      */
-    getClosedMessage() {
-        const hoursUntilOpen = this.getHoursUntilOpen();
+    getClosedMessage(status = this.getStatus()) {
+        const schedule = CONFIG.BUSINESS.SCHEDULE;
+        // Today's reason explains the closure only when it shuts the whole day;
+        // the opening is labelled with the reason of the day it falls on
+        const closedAllDay = getDayRanges(this.getNow(), schedule).ranges.length === 0;
+        const prefix = status.reason && closedAllDay ? `Cerrado por ${status.reason}` : 'Cerrado';
         
-        if (hoursUntilOpen <= 12) {
-            return `Cerrado - Abre en ${hoursUntilOpen}h`;
-        } else {
-            const nextOpen = this.getNextOpeningTime();
-            const tomorrow = new Date();
-            tomorrow.setDate(tomorrow.getDate() + 1);
-            tomorrow.setHours(0, 0, 0, 0);
-            
-            if (nextOpen >= tomorrow) {
-                return 'Cerrado - Abre mañana a las 10:45 AM';
-            } else {
-                return 'Cerrado - Abre hoy a las 10:45 AM';
-            }
+        if (!status.opensAt) {
+            return `${prefix} temporalmente`;
         }
+        
+        const { reason } = getDayRanges(status.opensAt, schedule);
+        const suffix = reason ? ` (${reason})` : '';
+        
+        if (status.minutesUntilOpen <= 12 * 60) {
+            return `${prefix} - Abre en ${formatDuration(status.minutesUntilOpen)}${suffix}`;
+        }
+        
+        return `${prefix} - Abre ${this.getDayLabel(status.opensAt)} a las ${this.formatBusinessTime(status.opensAt.minutes)}${suffix}`;
     }
 
     /**
      * Generate open message with time until closing
      * @returns {string} - Formatted open message
      */
-    getOpenMessage() {
-        const hoursUntilClose = this.getHoursUntilClose();
+    getOpenMessage(status = this.getStatus()) {
+        const prefix = status.reason ? `Abierto ahora (${status.reason})` : 'Abierto ahora';
         
-        if (hoursUntilClose <= 1) {
-            return 'Abierto ahora - Cierra pronto';
-        } else if (hoursUntilClose <= 3) {
-            return `Abierto ahora - Cierra en ${hoursUntilClose}h`;
-        } else {
-            return 'Abierto ahora';
+        if (status.minutesUntilClose <= 3 * 60) {
+            return `${prefix} - Cierra en ${formatDuration(status.minutesUntilClose)}`;
         }
+        
+        return prefix;
     }
 
     /**
      * Generic business status updater
      * @param {boolean} isOpen - Whether business is open
+     * @param {Object} status - Precomputed schedule status
      */
-    updateBusinessStatusDisplay(isOpen) {
+    updateBusinessStatusDisplay(isOpen, status = this.getStatus()) {
         const container = getElement(CONFIG.SELECTORS.BUSINESS.STATUS_CONTAINER);
         const indicator = getElement(CONFIG.SELECTORS.BUSINESS.STATUS_INDICATOR);
         const text = getElement(CONFIG.SELECTORS.BUSINESS.STATUS_TEXT);
@@ -191,12 +230,12 @@ export class BusinessStatus {
             container: 'mt-4 flex items-center space-x-3 bg-green-50 px-4 py-3 rounded-xl',
             indicator: 'w-3 h-3 bg-green-500 rounded-full animate-pulse',
             text: 'text-green-700 font-semibold text-sm',
-            textContent: this.getOpenMessage()
+            textContent: this.getOpenMessage(status)
         } : {
             container: 'mt-4 flex items-center space-x-3 bg-red-50 px-4 py-3 rounded-xl',
             indicator: 'w-3 h-3 bg-red-500 rounded-full',
             text: 'text-red-700 font-semibold text-sm',
-            textContent: this.getClosedMessage()
+            textContent: this.getClosedMessage(status)
         };
 
         container.className = styles.container;
@@ -204,6 +243,11 @@ export class BusinessStatus {
         text.className = styles.text;
         text.textContent = styles.textContent;
 
+        // "Avísame cuando abran" only makes sense while closed
+        if (this.reminderButton) {
+            this.reminderButton.classList.toggle('hidden', isOpen || !reminderManager.isSupported());
+        }
+
         // Add accessibility attributes
         container.setAttribute('aria-label', `Estado del negocio: ${isOpen ? 'Abierto' : 'Cerrado'}`);
         indicator.setAttribute('aria-hidden', 'true');
@@ -229,63 +273,61 @@ export class BusinessStatus {
      * @returns {Object} - Detailed status object
      */
     getDetailedStatus() {
-        const isOpen = this.isBusinessOpen();
+        const status = this.getStatus();
         return {
-            isOpen,
-            message: isOpen ? this.getOpenMessage() : this.getClosedMessage(),
+            isOpen: status.isOpen,
+            message: status.isOpen ? this.getOpenMessage(status) : this.getClosedMessage(status),
+            reason: status.reason,
             businessHours: this.getBusinessHours(),
-            hoursUntilOpen: this.getHoursUntilOpen(),
-            hoursUntilClose: this.getHoursUntilClose(),
-            nextOpeningTime: this.getNextOpeningTime(),
-            lastUpdated: new Date()
+            hoursUntilOpen: status.minutesUntilOpen ? Math.ceil(status.minutesUntilOpen / 60) : 0,
+            hoursUntilClose: Math.ceil(status.minutesUntilClose / 60),
+            nextOpeningTime: status.opensAt ? this.toDate(status.opensAt) : null,
+            closingTime: status.closesAt ? this.toDate(status.closesAt) : null,
+            timeZone: CONFIG.BUSINESS.TIMEZONE,
+            lastUpdated: this.clock()
         };
     }
 
     /**
-     * Sets up a one-time notification for when business opens/closes
+     * Saves a persistent reminder that sw.js delivers as a system notification
      * @param {string} type - 'open' or 'close'
+     * @returns {Promise<Object|null>} - Stored reminder
      */
-    scheduleStatusNotification(type = 'open') {
-        if (!this.showToast) return;
+    async scheduleStatusNotification(type = 'open') {
+        const status = this.getStatus();
+        const notify = (message, toastType = 'info') => {
+            if (this.showToast) this.showToast(message, toastType);
+        };
 
-        const now = new Date();
-        let targetTime;
+        if (type === 'open' && status.isOpen) {
+            notify('El negocio ya está abierto');
+            return null;
+        }
+        if (type === 'close' && !status.isOpen) {
+            notify('El negocio ya está cerrado');
+            return null;
+        }
 
-        if (type === 'open') {
-            if (this.isBusinessOpen()) {
-                this.showToast('El negocio ya está abierto', 'info');
-                return;
-            }
-            targetTime = this.getNextOpeningTime();
-        } else {
-            if (!this.isBusinessOpen()) {
-                this.showToast('El negocio ya está cerrado', 'info');
-                return;
-            }
-            targetTime = new Date();
-            targetTime.setHours(Math.floor(CONFIG.BUSINESS.CLOSE_TIME), 
-                               Math.round((CONFIG.BUSINESS.CLOSE_TIME - Math.floor(CONFIG.BUSINESS.CLOSE_TIME)) * 60), 
-                               0, 0);
+        const moment = type === 'open' ? status.opensAt : status.closesAt;
+        if (!moment) {
+            notify('No hay una próxima apertura programada');
+            return null;
         }
 
-        const timeUntil = targetTime - now;
-        
-        if (timeUntil > 0 && timeUntil < 24 * 60 * 60 * 1000) { // Within 24 hours
-            setTimeout(() => {
-                if (this.showToast) {
-                    const message = type === 'open' ? '¡El negocio está ahora abierto!' : 'El negocio está ahora cerrado';
-                    const toastType = type === 'open' ? 'success' : 'info';
-                    this.showToast(message, toastType, 6000);
-                }
-            }, timeUntil);
-
-            const hours = Math.ceil(timeUntil / (1000 * 60 * 60));
-            this.showToast(
-                `Notificación programada para cuando ${type === 'open' ? 'abra' : 'cierre'} (en ~${hours}h)`, 
-                'info', 
-                3000
-            );
+        const time = this.formatBusinessTime(moment.minutes);
+        const reminder = await reminderManager.subscribe({
+            type,
+            dueAt: this.toDate(moment),
+            title: 'Brasas Smokehouse',
+            body: type === 'open'
+                ? `¡Ya estamos abiertos! Abrimos a las ${time}`
+                : `Cerramos a las ${time}. ¡Gracias por tu visita!`
+        });
+
+        if (reminder) {
+            notify(`Te avisaremos cuando ${type === 'open' ? 'abramos' : 'cerremos'} (${this.getDayLabel(moment)} a las ${time})`, 'success');
         }
+        return reminder;
     }
 
     /**
@@ -296,6 +338,11 @@ export class BusinessStatus {
             clearInterval(this.statusUpdateInterval);
             this.statusUpdateInterval = null;
         }
+        if (this.reminderButton && this.reminderClickHandler) {
+            this.reminderButton.removeEventListener('click', this.reminderClickHandler);
+        }
+        this.reminderButton = null;
+        this.reminderClickHandler = null;
         this.isInitialized = false;
         console.log('Business status module destroyed');
     }
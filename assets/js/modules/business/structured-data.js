@@ -0,0 +1,202 @@
+// assets/js/modules/business/structured-data.js
+
+import { CONFIG, CONTACT_INFO } from '../config.js';
+import { DAY_KEYS, parseRanges, getDayRanges, addDays, toDateKey } from './schedule.js';
+import { getZonedParts } from './timezone.js';
+
+const SCHEMA_DAY_NAMES = {
+    monday: 'Monday',
+    tuesday: 'Tuesday',
+    wednesday: 'Wednesday',
+    thursday: 'Thursday',
+    friday: 'Friday',
+    saturday: 'Saturday',
+    sunday: 'Sunday'
+};
+
+// schema.org lists weeks starting on Monday
+const WEEK_ORDER = [...DAY_KEYS.slice(1), DAY_KEYS[0]];
+
+/**
+ * Formats minutes since midnight as 'HH:MM', wrapping ranges that end past midnight
+ */
+function toClock(minutes) {
+    const normalized = minutes % (24 * 60);
+    return `${String(Math.floor(normalized / 60)).padStart(2, '0')}:${String(normalized % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Weekly hours, grouping days that share the same ranges
+ */
+function buildWeeklySpecification(schedule) {
+    const groups = new Map();
+
+    WEEK_ORDER.forEach(dayKey => {
+        const ranges = parseRanges(schedule.WEEKLY?.[dayKey]);
+        if (ranges.length === 0) return;
+
+        const groupKey = JSON.stringify(ranges);
+        if (!groups.has(groupKey)) {
+            groups.set(groupKey, { ranges, days: [] });
+        }
+        groups.get(groupKey).days.push(SCHEMA_DAY_NAMES[dayKey]);
+    });
+
+    return [...groups.values()].flatMap(({ ranges, days }) => ranges.map(range => ({
+        '@type': 'OpeningHoursSpecification',
+        dayOfWeek: days,
+        opens: toClock(range.start),
+        closes: toClock(range.end)
+    })));
+}
+
+/**
+ * Dated overrides (exceptions, holidays, closures) from `today` through `days` days ahead.
+ * Closed days are published as opens = closes = '00:00'.
+ */
+function buildSpecialSpecification(schedule, today, days) {
+    const specs = [];
+
+    for (let offset = 0; offset < days; offset++) {
+        const date = addDays(today, offset);
+        const { ranges, source } = getDayRanges(date, schedule);
+        if (source === 'weekly') continue;
+
+        const key = toDateKey(date);
+        const dayRanges = ranges.length > 0 ? ranges : [{ start: 0, end: 0 }];
+
+        dayRanges.forEach(range => specs.push({
+            '@type': 'OpeningHoursSpecification',
+            opens: toClock(range.start),
+            closes: toClock(range.end),
+            validFrom: key,
+            validThrough: key
+        }));
+    }
+
+    return specs;
+}
+
+/**
+ * openingHoursSpecification for the schedule that drives BusinessStatus
+ * @param {Object} schedule - CONFIG.BUSINESS.SCHEDULE
+ * @param {Object} today - Civil { year, month, day } in the restaurant's timezone
+ */
+export function buildOpeningHoursSpecification(schedule, today, days = CONFIG.STRUCTURED_DATA.SPECIAL_HOURS_DAYS) {
+    return [
+        ...buildWeeklySpecification(schedule),
+        ...buildSpecialSpecification(schedule, today, days)
+    ];
+}
+
+/**
+ * Builds the Restaurant JSON-LD object from CONFIG.BUSINESS and CONTACT_INFO
+ * @param {Object} options - { now: Date } to pin the special-hours window
+ * @returns {Object}
+ */
+export function buildRestaurantSchema({ now = new Date() } = {}) {
+    const business = CONFIG.BUSINESS;
+    const today = getZonedParts(now, business.TIMEZONE);
+
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'Restaurant',
+        '@id': `${business.SITE_URL}/#restaurant`,
+        name: business.NAME,
+        description: business.DESCRIPTION,
+        url: business.SITE_URL,
+        image: business.IMAGE_URL,
+        telephone: CONTACT_INFO.phone,
+        email: CONTACT_INFO.email,
+        priceRange: business.PRICE_RANGE,
+        servesCuisine: business.CUISINE,
+        acceptsReservations: business.ACCEPTS_RESERVATIONS,
+        hasMenu: business.MENU_URL,
+        address: {
+            '@type': 'PostalAddress',
+            streetAddress: CONTACT_INFO.address.street,
+            addressLocality: CONTACT_INFO.address.locality,
+            addressRegion: CONTACT_INFO.address.region,
+            postalCode: CONTACT_INFO.address.postalCode,
+            addressCountry: CONTACT_INFO.address.country
+        },
+        geo: {
+            '@type': 'GeoCoordinates',
+            latitude: CONTACT_INFO.geo.latitude,
+            longitude: CONTACT_INFO.geo.longitude
+        },
+        hasMap: CONTACT_INFO.googleMapsUrl,
+        openingHoursSpecification: buildOpeningHoursSpecification(business.SCHEDULE, today),
+        potentialAction: {
+            '@type': 'OrderAction',
+            target: {
+                '@type': 'EntryPoint',
+                urlTemplate: CONTACT_INFO.whatsappUrl,
+                actionPlatform: [
+                    'http://schema.org/DesktopWebPlatform',
+                    'http://schema.org/MobileWebPlatform'
+                ]
+            }
+        }
+    };
+}
+
+/**
+ * Serializes the schema for a <script type="application/ld+json"> block
+ */
+export function serializeSchema(schema) {
+    // '<' is escaped so the JSON can never close the script element
+    return JSON.stringify(schema, null, 4).replace(/</g, '\\u003c');
+}
+
+/**
+ * StructuredData - Keeps the page's Restaurant JSON-LD in sync with the config at runtime
+ */
+export class StructuredData {
+    constructor(showToast = null) {
+        this.showToast = showToast;
+        this.script = null;
+        this.isInitialized = false;
+    }
+
+    init() {
+        try {
+            this.update();
+
+            this.isInitialized = true;
+            console.log('✅ Structured data initialized');
+
+        } catch (error) {
+            console.error('❌ Error initializing structured data:', error);
+        }
+    }
+
+    /**
+     * Replaces the JSON-LD block, creating it in <head> when the page has none
+     */
+    update() {
+        const { SCRIPT_ID } = CONFIG.STRUCTURED_DATA;
+        this.script = document.getElementById(SCRIPT_ID);
+
+        if (!this.script) {
+            this.script = document.createElement('script');
+            this.script.type = 'application/ld+json';
+            this.script.id = SCRIPT_ID;
+            document.head.appendChild(this.script);
+        }
+
+        const json = serializeSchema(buildRestaurantSchema());
+        if (this.script.textContent.trim() !== json) {
+            this.script.textContent = json;
+        }
+    }
+
+    destroy() {
+        this.script = null;
+        this.isInitialized = false;
+        console.log('Structured data destroyed');
+    }
+}
+
+// Create a singleton instance
+export const structuredData = new StructuredData();
@@ -0,0 +1,73 @@
+// assets/js/modules/business/timezone.js
+
+/**
+ * Converts between instants and civil date/time in an IANA timezone using Intl,
+ * so business hours never depend on the visitor's device zone
+ */
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+            hourCycle: 'h23'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * Reads the wall-clock date and time of an instant in a timezone
+ * @param {Date} date - Instant to convert
+ * @param {string} timeZone - IANA zone, e.g. 'America/Hermosillo'
+ * @returns {Object} - { year, month, day, minutes, seconds }
+ */
+export function getZonedParts(date, timeZone) {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = parseInt(value, 10);
+    });
+
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        // Some engines report midnight as 24 even with h23
+        minutes: (parts.hour % 24) * 60 + parts.minute,
+        seconds: parts.second
+    };
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant, in minutes
+ */
+export function getTimezoneOffset(date, timeZone) {
+    const parts = getZonedParts(date, timeZone);
+    const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, 0, parts.minutes, parts.seconds);
+    const instant = Math.floor(date.getTime() / 1000) * 1000;
+    return Math.round((asUTC - instant) / 60000);
+}
+
+/**
+ * Converts a civil moment in a timezone back into an instant
+ * @param {Object} moment - { year, month, day, minutes }
+ * @param {string} timeZone - IANA zone
+ * @returns {Date}
+ */
+export function zonedToDate(moment, timeZone) {
+    const asUTC = Date.UTC(moment.year, moment.month - 1, moment.day, 0, moment.minutes);
+    let offset = getTimezoneOffset(new Date(asUTC), timeZone);
+
+    // Re-check once in case the first guess landed across a DST change
+    const corrected = getTimezoneOffset(new Date(asUTC - offset * 60000), timeZone);
+    if (corrected !== offset) offset = corrected;
+
+    return new Date(asUTC - offset * 60000);
+}
@@ -0,0 +1,272 @@
+// assets/js/modules/cart/cart-panel.js
+
+import { CONFIG } from '../config.js';
+import { getElement, setAttributes, escapeHtml, formatPrice, trapFocus } from '../utils.js';
+import { cartManager } from './cart.js';
+
+/**
+ * CartPanel - Floating cart button and slide-in order panel
+ */
+export class CartPanel {
+    constructor(showToast = null) {
+        this.showToast = showToast;
+        this.button = null;
+        this.count = null;
+        this.panel = null;
+        this.linesContainer = null;
+        this.total = null;
+        this.promotionsList = null;
+        this.isOpen = false;
+        this.unsubscribe = null;
+        this.handlers = {};
+        this.isInitialized = false;
+    }
+
+    init() {
+        try {
+            this.button = getElement(CONFIG.SELECTORS.CART.BUTTON);
+            this.count = getElement(CONFIG.SELECTORS.CART.COUNT);
+            this.panel = getElement(CONFIG.SELECTORS.CART.PANEL);
+            this.linesContainer = getElement(CONFIG.SELECTORS.CART.LINES);
+            this.total = getElement(CONFIG.SELECTORS.CART.TOTAL);
+            this.promotionsList = getElement(CONFIG.SELECTORS.CART.PROMOTIONS);
+
+            if (!this.button || !this.panel || !this.linesContainer) {
+                console.log('No cart panel found');
+                return;
+            }
+
+            this.handlers.buttonClick = () => this.toggle();
+            this.handlers.panelClick = (event) => this.handlePanelClick(event);
+            this.handlers.panelChange = (event) => this.handlePanelChange(event);
+            this.handlers.keydown = (event) => {
+                if (!this.isOpen) return;
+                if (event.key === 'Escape') this.close();
+                if (event.key === 'Tab') trapFocus(event, this.panel);
+            };
+
+            this.button.addEventListener('click', this.handlers.buttonClick);
+            this.panel.addEventListener('click', this.handlers.panelClick);
+            this.panel.addEventListener('change', this.handlers.panelChange);
+            document.addEventListener('keydown', this.handlers.keydown);
+
+            this.unsubscribe = cartManager.onChange(() => this.render());
+            this.render();
+
+            this.isInitialized = true;
+            console.log('✅ Cart panel initialized');
+
+        } catch (error) {
+            console.error('❌ Error initializing cart panel:', error);
+        }
+    }
+
+    /**
+     * Delegated handling for line controls inside the panel
+     */
+    handlePanelClick(event) {
+        const control = event.target.closest('[data-cart-action]');
+        if (!control) return;
+
+        const lineId = control.closest('[data-line-id]')?.dataset.lineId;
+        const line = lineId ? cartManager.getLine(lineId) : null;
+
+        switch (control.dataset.cartAction) {
+            case 'increment':
+                if (line) cartManager.setQuantity(line.id, line.quantity + 1);
+                break;
+            case 'decrement':
+                if (line) cartManager.setQuantity(line.id, line.quantity - 1);
+                break;
+            case 'remove':
+                if (line) cartManager.removeLine(line.id);
+                break;
+            case 'clear':
+                cartManager.clear();
+                break;
+            case 'close':
+                this.close();
+                break;
+        }
+    }
+
+    handlePanelChange(event) {
+        const notesField = event.target.closest('[data-cart-notes]');
+        if (!notesField) return;
+
+        const lineId = notesField.closest('[data-line-id]')?.dataset.lineId;
+        if (lineId) {
+            cartManager.setNotes(lineId, notesField.value);
+        }
+    }
+
+    render() {
+        const lines = cartManager.getLines();
+        const { itemCount, total, subtotal, promotions } = cartManager.getTotals();
+
+        if (this.count) {
+            this.count.textContent = itemCount;
+            this.count.classList.toggle('hidden', itemCount === 0);
+        }
+        if (this.total) {
+            this.total.textContent = formatPrice(total);
+        }
+        this.renderPromotions(promotions, subtotal);
+        this.button.setAttribute('aria-label', `Ver pedido (${itemCount} ${itemCount === 1 ? 'producto' : 'productos'})`);
+
+        const focus = this.getFocusedControl();
+
+        if (lines.length === 0) {
+            this.linesContainer.innerHTML = `
+                <p class="text-gray-500 text-center py-12">Tu pedido está vacío. Agrega platillos desde el menú.</p>
+            `;
+            this.restoreFocus(focus);
+            return;
+        }
+
+        this.linesContainer.innerHTML = lines.map(line => `
+            <div class="cart-line" data-line-id="${escapeHtml(line.id)}">
+                <div class="flex items-start justify-between gap-4">
+                    <div>
+                        <p class="font-bold text-gray-900">${escapeHtml(line.name)}</p>
+                        ${line.details.map(detail => `
+                            <p class="cart-line-detail">${escapeHtml(`${detail.label}: ${detail.value}`)}</p>
+                        `).join('')}
+                        <p class="text-sm text-gray-500">${formatPrice(line.unitPrice)} c/u</p>
+                    </div>
+                    <span class="font-bold text-gray-900 whitespace-nowrap">${formatPrice(line.total)}</span>
+                </div>
+                <div class="flex items-center justify-between mt-3">
+                    <div class="flex items-center gap-2">
+                        <button type="button" class="cart-qty-btn" data-cart-action="decrement" aria-label="Quitar uno de ${escapeHtml(line.name)}">−</button>
+                        <span class="w-8 text-center font-semibold" aria-label="Cantidad">${line.quantity}</span>
+                        <button type="button" class="cart-qty-btn" data-cart-action="increment" aria-label="Agregar uno de ${escapeHtml(line.name)}">+</button>
+                    </div>
+                    <button type="button" class="text-sm text-red-600 font-semibold" data-cart-action="remove">Eliminar</button>
+                </div>
+                <label class="block mt-3">
+                    <span class="sr-only">Notas para ${escapeHtml(line.name)}</span>
+                    <textarea class="cart-notes" rows="1" maxlength="${CONFIG.CART.MAX_NOTES_LENGTH}"
+                        placeholder="Notas (ej. cortada en tiras)" data-cart-notes>${escapeHtml(line.notes)}</textarea>
+                </label>
+            </div>
+        `).join('');
+
+        this.restoreFocus(focus);
+    }
+
+    /**
+     * The line control that has focus, so render() can put it back after rebuilding the lines
+     * @returns {Object|null} - { lineId, index, selector }
+     */
+    getFocusedControl() {
+        const active = document.activeElement;
+        const line = active && this.linesContainer.contains(active) ? active.closest('[data-line-id]') : null;
+        if (!line) return null;
+
+        const lineIds = [...this.linesContainer.querySelectorAll('[data-line-id]')].map(element => element.dataset.lineId);
+        return {
+            lineId: line.dataset.lineId,
+            index: lineIds.indexOf(line.dataset.lineId),
+            selector: active.dataset.cartAction ? `[data-cart-action="${active.dataset.cartAction}"]` : '[data-cart-notes]'
+        };
+    }
+
+    /**
+     * Focuses the same control of the same line; when the line was removed, the
+     * line that took its place, or the close button once the cart is empty
+     */
+    restoreFocus(focus) {
+        if (!focus) return;
+
+        const lines = [...this.linesContainer.querySelectorAll('[data-line-id]')];
+        const line = lines.find(element => element.dataset.lineId === focus.lineId);
+
+        let target = null;
+        if (line) {
+            target = line.querySelector(focus.selector);
+        } else if (lines.length > 0) {
+            target = lines[Math.min(focus.index, lines.length - 1)].querySelector('[data-cart-action]');
+        } else {
+            target = this.panel.querySelector('[data-cart-action="close"]');
+        }
+
+        if (target) target.focus();
+    }
+
+    /**
+     * One row per applied promotion with what it saves, below the subtotal
+     */
+    renderPromotions(promotions, subtotal) {
+        if (!this.promotionsList) return;
+
+        this.promotionsList.hidden = promotions.length === 0;
+        if (promotions.length === 0) {
+            this.promotionsList.innerHTML = '';
+            return;
+        }
+
+        this.promotionsList.innerHTML = `
+            <div class="cart-promotion text-gray-600">
+                <span>Subtotal</span>
+                <span>${formatPrice(subtotal)}</span>
+            </div>
+            ${promotions.map(promotion => `
+                <div class="cart-promotion text-green-700">
+                    <span>${escapeHtml(promotion.name)}${promotion.times > 1 ? ` ×${promotion.times}` : ''}</span>
+                    <span>−${formatPrice(promotion.savings)}</span>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        if (!this.panel || this.isOpen) return;
+
+        this.isOpen = true;
+        this.panel.classList.add('show');
+        this.panel.setAttribute('aria-hidden', 'false');
+        setAttributes(this.button, { 'aria-expanded': 'true' });
+
+        const firstControl = this.panel.querySelector('button, textarea');
+        if (firstControl) {
+            setTimeout(() => firstControl.focus(), 100);
+        }
+    }
+
+    close() {
+        if (!this.panel || !this.isOpen) return;
+
+        this.isOpen = false;
+        this.panel.classList.remove('show');
+        this.panel.setAttribute('aria-hidden', 'true');
+        setAttributes(this.button, { 'aria-expanded': 'false' });
+        this.button.focus();
+    }
+
+    destroy() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        this.button?.removeEventListener('click', this.handlers.buttonClick);
+        this.panel?.removeEventListener('click', this.handlers.panelClick);
+        this.panel?.removeEventListener('change', this.handlers.panelChange);
+        document.removeEventListener('keydown', this.handlers.keydown);
+        this.handlers = {};
+
+        this.isInitialized = false;
+        console.log('Cart panel destroyed');
+    }
+}
+
+// Create a singleton instance
+export const cartPanel = new CartPanel();
@@ -0,0 +1,423 @@
+// assets/js/modules/cart/cart.js
+
+import { CONFIG } from '../config.js';
+import { safeJSONParse, safeJSONStringify, formatPrice } from '../utils.js';
+import { menuCatalog } from '../product/menu-catalog.js';
+import {
+    EMPTY_SELECTION,
+    getDefaultSelection,
+    priceSelection,
+    getSelectionKey,
+    lineTotal,
+    calculateTotals
+} from './pricing.js';
+import { applyPromotions } from './promotions.js';
+import { getWeekday } from '../business/schedule.js';
+import { getZonedParts } from '../business/timezone.js';
+
+/**
+ * CartManager - Holds the order lines, computes totals and persists to localStorage.
+ * Line prices come from pricing.js when the item is added; combos and 2x1 rules
+ * from menu.json are applied over the whole cart by promotions.js.
+ */
+export class CartManager {
+    constructor(showToast = null) {
+        this.showToast = showToast;
+        this.announce = null;
+        this.lines = [];
+        this.promotions = [];
+        this.totalsCache = null;
+        this.catalogReady = false;
+        this.listeners = new Set();
+        this.storageHandler = null;
+        this.clickHandler = null;
+        this.isInitialized = false;
+    }
+
+    /**
+     * Initialize cart state and "Agregar" buttons
+     */
+    init() {
+        try {
+            this.restore();
+
+            // Keep several open tabs in sync
+            this.storageHandler = (event) => {
+                if (event.key === CONFIG.CART.STORAGE_KEY) {
+                    this.restore();
+                    if (this.catalogReady) this.reprice();
+                    this.notify('sync');
+                }
+            };
+            window.addEventListener('storage', this.storageHandler);
+
+            this.initAddButtons();
+
+            // Prices, options and promotion rules ship with the menu
+            menuCatalog.whenReady()
+                .then(catalog => {
+                    this.catalogReady = true;
+                    this.promotions = catalog.promotions;
+                    this.totalsCache = null;
+                    this.notify(this.reprice() ? 'reprice' : 'promotions');
+                })
+                .catch(() => {});
+
+            this.isInitialized = true;
+            console.log(`✅ Cart initialized - ${this.getTotals().itemCount} items restored`);
+
+        } catch (error) {
+            console.error('❌ Error initializing cart:', error);
+            if (this.showToast) {
+                this.showToast('Error al inicializar el carrito', 'error');
+            }
+        }
+    }
+
+    /**
+     * Delegated click handling for [data-add-to-cart] buttons rendered by the catalog
+     */
+    initAddButtons() {
+        this.clickHandler = (event) => {
+            const button = event.target.closest('[data-add-to-cart]');
+            if (!button) return;
+
+            event.preventDefault();
+            const item = menuCatalog.getItem(button.dataset.addToCart);
+            if (!item) {
+                console.warn('Menu item not found:', button.dataset.addToCart);
+                return;
+            }
+
+            if (!this.addItem(item)) {
+                if (this.showToast) {
+                    this.showToast(`Elige las opciones de ${item.name}`, 'warning');
+                }
+                return;
+            }
+            if (this.showToast) {
+                this.showToast(`${item.name} agregado al pedido`, 'success', 2000);
+            }
+        };
+        document.addEventListener('click', this.clickHandler);
+    }
+
+    /**
+     * Adds a menu item; identical item + options + notes are merged into one line
+     * @param {Object} item - Menu item from the catalog
+     * @param {number} quantity - Units to add
+     * @param {string} notes - Free text such as "cortada en tiras"
+     * @param {Object} selection - Options and weight (see pricing.js); the item's defaults when omitted
+     * @returns {Object|null} - The affected line, or null when the selection is not valid
+     */
+    addItem(item, quantity = 1, notes = '', selection = null) {
+        const priced = priceSelection(item, selection || getDefaultSelection(item));
+        if (!priced.valid) {
+            console.warn('Invalid options for', item.id, priced.errors);
+            return null;
+        }
+
+        const cleanNotes = this.sanitizeNotes(notes);
+        const selectionKey = getSelectionKey(priced.selection);
+        let line = this.lines.find(existing =>
+            existing.itemId === item.id && existing.notes === cleanNotes &&
+            getSelectionKey(existing.selection) === selectionKey
+        );
+
+        if (line) {
+            line.quantity = this.clampQuantity(line.quantity + quantity);
+        } else {
+            line = {
+                id: `line-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 5)}`,
+                itemId: item.id,
+                name: item.name,
+                unitPrice: priced.unitPrice,
+                quantity: this.clampQuantity(quantity),
+                notes: cleanNotes,
+                selection: priced.selection,
+                details: priced.details
+            };
+            this.lines.push(line);
+        }
+
+        this.commit('add', line);
+        return line;
+    }
+
+    /**
+     * Removes a line from the cart
+     */
+    removeLine(lineId) {
+        const line = this.getLine(lineId);
+        if (!line) return false;
+
+        this.lines = this.lines.filter(existing => existing.id !== lineId);
+        this.commit('remove', line);
+        return true;
+    }
+
+    /**
+     * Sets the quantity of a line; zero or less removes it
+     */
+    setQuantity(lineId, quantity) {
+        const line = this.getLine(lineId);
+        if (!line) return false;
+
+        if (quantity <= 0) {
+            return this.removeLine(lineId);
+        }
+
+        line.quantity = this.clampQuantity(quantity);
+        this.commit('quantity', line);
+        return true;
+    }
+
+    /**
+     * Updates the preparation notes of a line
+     */
+    setNotes(lineId, notes) {
+        const line = this.getLine(lineId);
+        if (!line) return false;
+
+        line.notes = this.sanitizeNotes(notes);
+        this.commit('notes', line);
+        return true;
+    }
+
+    /**
+     * Empties the cart
+     */
+    clear() {
+        if (this.lines.length === 0) return;
+        this.lines = [];
+        this.commit('clear');
+    }
+
+    clampQuantity(quantity) {
+        const value = Math.floor(Number(quantity)) || 0;
+        return Math.min(Math.max(value, 1), CONFIG.CART.MAX_QUANTITY);
+    }
+
+    sanitizeNotes(notes) {
+        return String(notes || '').trim().slice(0, CONFIG.CART.MAX_NOTES_LENGTH);
+    }
+
+    /**
+     * Line and cart totals, all amounts in centavos
+     */
+    getLineTotal(line) {
+        return lineTotal(line.unitPrice, line.quantity);
+    }
+
+    /**
+     * @returns {Object} - { itemCount, subtotal, discount, promotions: applied rules, total }
+     */
+    getTotals() {
+        const weekday = getWeekday(getZonedParts(new Date(), CONFIG.BUSINESS.TIMEZONE));
+
+        // Cached until the cart changes: the promotion search is the expensive part
+        if (this.totalsCache?.weekday !== weekday) {
+            const totals = calculateTotals(this.lines);
+            const { applied, discount } = applyPromotions(this.getPromotionLines(), this.promotions, { weekday });
+
+            this.totalsCache = {
+                weekday,
+                totals: { ...totals, discount, promotions: applied, total: totals.subtotal - discount }
+            };
+        }
+        return this.totalsCache.totals;
+    }
+
+    /**
+     * Lines in the shape promotions.js expects
+     */
+    getPromotionLines() {
+        return this.lines.map(line => ({
+            id: line.id,
+            itemId: line.itemId,
+            categoryId: menuCatalog.getItemCategory(line.itemId)?.id || null,
+            unitPrice: line.unitPrice,
+            quantity: line.quantity,
+            optionsPrice: line.details.reduce((sum, detail) => sum + detail.price, 0)
+        }));
+    }
+
+    getLine(lineId) {
+        return this.lines.find(line => line.id === lineId) || null;
+    }
+
+    getLines() {
+        return this.lines.map(line => ({ ...line, total: this.getLineTotal(line) }));
+    }
+
+    isEmpty() {
+        return this.lines.length === 0;
+    }
+
+    /**
+     * Subscribe to cart changes
+     * @returns {Function} - Unsubscribe function
+     */
+    onChange(callback) {
+        if (typeof callback !== 'function') return () => {};
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    /**
+     * Persists, announces and notifies after a mutation
+     */
+    commit(reason, line = null) {
+        this.totalsCache = null;
+        this.persist();
+        this.announceChange(reason, line);
+        this.notify(reason, line);
+    }
+
+    notify(reason, line = null) {
+        const snapshot = { reason, line, lines: this.getLines(), totals: this.getTotals() };
+        this.listeners.forEach(callback => {
+            try {
+                callback(snapshot);
+            } catch (error) {
+                console.error('Cart listener error:', error);
+            }
+        });
+    }
+
+    /**
+     * Screen reader announcement for cart changes
+     */
+    announceChange(reason, line) {
+        if (!this.announce) return;
+
+        const { itemCount, total } = this.getTotals();
+        const summary = `${itemCount} ${itemCount === 1 ? 'producto' : 'productos'}, total ${formatPrice(total)}`;
+        const messages = {
+            add: line && `${line.name} agregado al pedido. ${summary}`,
+            remove: line && `${line.name} eliminado del pedido. ${summary}`,
+            quantity: line && `${line.name}: cantidad ${line.quantity}. ${summary}`,
+            notes: line && `Notas actualizadas para ${line.name}`,
+            clear: 'Pedido vaciado'
+        };
+
+        if (messages[reason]) {
+            this.announce(messages[reason]);
+        }
+    }
+
+    persist() {
+        const payload = safeJSONStringify({
+            version: 1,
+            lines: this.lines,
+            updatedAt: new Date().toISOString()
+        });
+        if (!payload) return;
+
+        try {
+            localStorage.setItem(CONFIG.CART.STORAGE_KEY, payload);
+        } catch (error) {
+            console.warn('Cart could not be saved:', error);
+        }
+    }
+
+    restore() {
+        let stored = null;
+        try {
+            stored = safeJSONParse(localStorage.getItem(CONFIG.CART.STORAGE_KEY), null);
+        } catch (error) {
+            console.warn('Cart could not be restored:', error);
+        }
+
+        const lines = Array.isArray(stored?.lines) ? stored.lines : [];
+        this.totalsCache = null;
+        this.lines = lines
+            .filter(line =>
+                line && line.id && line.itemId &&
+                Number.isInteger(line.unitPrice) && Number.isInteger(line.quantity) && line.quantity > 0
+            )
+            // Lines saved before option groups have no selection
+            .map(line => ({
+                ...line,
+                selection: line.selection || { ...EMPTY_SELECTION },
+                details: Array.isArray(line.details) ? line.details : []
+            }));
+    }
+
+    /**
+     * Prices restored lines again with the current menu, since what was saved in
+     * localStorage may be stale or edited by hand. Lines whose item, options or
+     * weight no longer exist are dropped.
+     * @returns {boolean} - Whether any line changed
+     */
+    reprice() {
+        let removed = 0;
+        let changed = false;
+
+        const countChoices = selection => Object.values(selection?.options || {})
+            .reduce((sum, ids) => sum + (Array.isArray(ids) ? ids.length : 0), 0);
+
+        const lines = this.lines
+            .map(line => {
+                const item = menuCatalog.getItem(line.itemId);
+                const priced = item ? priceSelection(item, line.selection) : null;
+
+                if (!priced || !priced.valid || countChoices(priced.selection) !== countChoices(line.selection)) {
+                    removed++;
+                    return null;
+                }
+
+                const repriced = {
+                    ...line,
+                    name: item.name,
+                    unitPrice: priced.unitPrice,
+                    selection: priced.selection,
+                    details: priced.details
+                };
+                if (safeJSONStringify(repriced) !== safeJSONStringify(line)) changed = true;
+                return repriced;
+            })
+            .filter(Boolean);
+
+        if (removed === 0 && !changed) return false;
+
+        this.lines = lines;
+        this.totalsCache = null;
+        this.persist();
+
+        if (this.showToast && removed > 0) {
+            this.showToast(
+                removed === 1
+                    ? 'Un producto de tu pedido ya no está en el menú y se quitó'
+                    : `${removed} productos de tu pedido ya no están en el menú y se quitaron`,
+                'warning'
+            );
+        }
+        return true;
+    }
+
+    getStats() {
+        return {
+            isInitialized: this.isInitialized,
+            lines: this.lines.length,
+            ...this.getTotals()
+        };
+    }
+
+    destroy() {
+        if (this.storageHandler) {
+            window.removeEventListener('storage', this.storageHandler);
+            this.storageHandler = null;
+        }
+        if (this.clickHandler) {
+            document.removeEventListener('click', this.clickHandler);
+            this.clickHandler = null;
+        }
+        this.listeners.clear();
+        this.isInitialized = false;
+        console.log('Cart manager destroyed');
+    }
+}
+
+// Create a singleton instance
+export const cartManager = new CartManager();
@@ -0,0 +1,320 @@
+// assets/js/modules/cart/order-composer.js
+
+import { CONFIG, CONTACT_INFO } from '../config.js';
+import { getElement, formatPrice, formatPriceDelta, safeJSONParse, safeJSONStringify } from '../utils.js';
+import { cartManager } from './cart.js';
+import { orderQueue } from './order-queue.js';
+import { contactManager } from '../business/contact.js';
+
+/**
+ * OrderComposer - Turns the cart into a formatted WhatsApp order message
+ */
+export class OrderComposer {
+    constructor(showToast = null) {
+        this.showToast = showToast;
+        this.form = null;
+        this.submitHandler = null;
+        this.isInitialized = false;
+    }
+
+    init() {
+        try {
+            this.form = getElement(CONFIG.SELECTORS.CART.ORDER_FORM);
+
+            if (!this.form) {
+                console.log('No order form found');
+                return;
+            }
+
+            this.submitHandler = this.handleSubmit.bind(this);
+            this.form.addEventListener('submit', this.submitHandler);
+
+            this.isInitialized = true;
+            console.log('✅ Order composer initialized');
+
+        } catch (error) {
+            console.error('❌ Error initializing order composer:', error);
+        }
+    }
+
+    handleSubmit(event) {
+        event.preventDefault();
+
+        const details = this.readForm();
+        const error = this.validate(details);
+
+        if (error) {
+            if (this.showToast) this.showToast(error.message, 'warning');
+            this.form.elements[error.field]?.focus();
+            return;
+        }
+
+        this.sendOrder(details);
+    }
+
+    /**
+     * Reads customer details from the order form
+     */
+    readForm() {
+        const { elements } = this.form;
+        return {
+            name: (elements.name?.value || '').trim(),
+            pickupTime: elements.pickupTime?.value || '',
+            paymentMethod: elements.paymentMethod?.value || 'cash'
+        };
+    }
+
+    /**
+     * @returns {Object|null} - First validation error as { field, message }
+     */
+    validate(details) {
+        if (cartManager.isEmpty()) {
+            return { field: null, message: 'Agrega al menos un platillo a tu pedido' };
+        }
+        if (!details.name) {
+            return { field: 'name', message: 'Escribe tu nombre para el pedido' };
+        }
+        if (!CONFIG.ORDER.PAYMENT_METHODS[details.paymentMethod]) {
+            return { field: 'paymentMethod', message: 'Elige un método de pago' };
+        }
+        return null;
+    }
+
+    /**
+     * Builds the Spanish order message
+     * @param {Object} details - { name, pickupTime, paymentMethod }
+     * @param {Object} options - { compact: true } drops notes, unit prices and option prices
+     * @returns {string}
+     */
+    buildMessage(details, { compact = false } = {}) {
+        const lines = cartManager.getLines();
+        const { subtotal, promotions, total } = cartManager.getTotals();
+
+        const itemLines = lines.map(line => {
+            const parts = [`${line.quantity}x ${line.name} - ${formatPrice(line.total)}`];
+            if (!compact && line.quantity > 1) {
+                parts[0] += ` (${formatPrice(line.unitPrice)} c/u)`;
+            }
+            // Options are part of what the kitchen prepares, so they stay in the compact message
+            line.details.forEach(detail => {
+                const price = !compact && detail.price ? ` (${formatPriceDelta(detail.price)})` : '';
+                parts.push(`   • ${detail.label}: ${detail.value}${price}`);
+            });
+            if (!compact && line.notes) {
+                parts.push(`   • Nota: ${line.notes}`);
+            }
+            return parts.join('\n');
+        });
+
+        const promotionLines = promotions.length > 0 ? [
+            '',
+            '*Promociones:*',
+            ...promotions.map(promotion =>
+                `${promotion.times > 1 ? `${promotion.times}x ` : ''}${promotion.name} - ahorro ${formatPrice(promotion.savings)}`),
+            `Subtotal: ${formatPrice(subtotal)}`
+        ] : [];
+
+        return [
+            '🔥 *Nuevo pedido - Brasas Smokehouse*',
+            '',
+            '*Pedido:*',
+            ...itemLines,
+            ...promotionLines,
+            '',
+            `*Total: ${formatPrice(total)}*`,
+            '',
+            `*Nombre:* ${details.name}`,
+            `*Recoger:* ${this.formatPickupTime(details.pickupTime)}`,
+            `*Pago:* ${CONFIG.ORDER.PAYMENT_METHODS[details.paymentMethod]}`
+        ].join('\n');
+    }
+
+    /**
+     * Formats "19:30" as "7:30 PM"; empty means as soon as possible
+     */
+    formatPickupTime(value) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+        if (!match) return 'Lo antes posible';
+
+        const hour = parseInt(match[1], 10);
+        const period = hour >= 12 ? 'PM' : 'AM';
+        const displayHour = hour % 12 === 0 ? 12 : hour % 12;
+        return `${displayHour}:${match[2]} ${period}`;
+    }
+
+    /**
+     * Builds the wa.me link for the business phone
+     * @returns {string|null} - null when the link would exceed MAX_URL_LENGTH
+     */
+    buildWhatsAppUrl(message = '') {
+        const phone = CONTACT_INFO.phone.replace(/\D/g, '');
+        const url = message
+            ? `https://wa.me/${phone}?text=${encodeURIComponent(message)}`
+            : `https://wa.me/${phone}`;
+
+        return url.length <= CONFIG.ORDER.MAX_URL_LENGTH ? url : null;
+    }
+
+    /**
+     * Structured order body stored in the offline outbox
+     */
+    buildOrderPayload(details) {
+        return {
+            customer: {
+                name: details.name,
+                pickupTime: details.pickupTime || null,
+                paymentMethod: details.paymentMethod
+            },
+            lines: cartManager.getLines().map(line => ({
+                itemId: line.itemId,
+                name: line.name,
+                quantity: line.quantity,
+                unitPrice: line.unitPrice,
+                selection: line.selection,
+                details: line.details,
+                notes: line.notes,
+                total: line.total
+            })),
+            totals: cartManager.getTotals(),
+            message: this.buildMessage(details),
+            placedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Offline orders go to the outbox and are sent by the service worker later
+     */
+    async queueOrder(details) {
+        // Built before the await; the chat can't be opened from here anyway,
+        // since the click's user activation is gone by the time enqueue fails
+        const message = this.buildMessage(details);
+
+        try {
+            await orderQueue.enqueue(this.buildOrderPayload(details));
+            cartManager.clear();
+            if (this.showToast) {
+                this.showToast('Sin conexión: tu pedido se enviará al reconectar', 'info', 5000);
+            }
+            return true;
+        } catch (error) {
+            console.error('❌ Could not queue offline order:', error);
+            this.copyOrderFallback(message, { openChat: false });
+            return false;
+        }
+    }
+
+    /**
+     * Opens WhatsApp with the order, falling back to the clipboard;
+     * offline orders are queued instead when the deployment has an order
+     * backend (resolves asynchronously)
+     */
+    sendOrder(details) {
+        this.rememberOrder();
+
+        if (!navigator.onLine && orderQueue.isAvailable()) {
+            return this.queueOrder(details);
+        }
+
+        const message = this.buildMessage(details);
+        const url = this.buildWhatsAppUrl(message) ||
+                    this.buildWhatsAppUrl(this.buildMessage(details, { compact: true }));
+
+        if (url && this.openWhatsApp(url)) {
+            contactManager.trackWhatsAppClick(message);
+            if (this.showToast) {
+                this.showToast('Pedido listo en WhatsApp. Envía el mensaje para confirmar', 'success', 4000);
+            }
+            return true;
+        }
+
+        // A blocked popup would be blocked again; only copy in that case
+        this.copyOrderFallback(message, { openChat: !url });
+        return false;
+    }
+
+    /**
+     * Keeps the lines of the order being sent so the "Repetir último pedido"
+     * shortcut can refill the cart; prices and options are checked again at that point
+     */
+    rememberOrder() {
+        const payload = safeJSONStringify({
+            lines: cartManager.getLines().map(({ itemId, quantity, notes, selection }) => ({ itemId, quantity, notes, selection })),
+            placedAt: new Date().toISOString()
+        });
+        if (!payload) return;
+
+        try {
+            localStorage.setItem(CONFIG.ORDER.LAST_ORDER_KEY, payload);
+        } catch (error) {
+            console.warn('Last order could not be saved:', error);
+        }
+    }
+
+    /**
+     * @returns {Object|null} - { lines: [{ itemId, quantity, notes, selection }], placedAt }
+     */
+    getLastOrder() {
+        let stored = null;
+        try {
+            stored = safeJSONParse(localStorage.getItem(CONFIG.ORDER.LAST_ORDER_KEY), null);
+        } catch (error) {
+            console.warn('Last order could not be read:', error);
+        }
+
+        return Array.isArray(stored?.lines) && stored.lines.length > 0 ? stored : null;
+    }
+
+    /**
+     * @returns {boolean} - false when a popup blocker stopped the new tab
+     */
+    openWhatsApp(url) {
+        // 'noopener' makes window.open return null, so detach the opener manually
+        const opened = window.open(url, '_blank');
+        if (!opened) return false;
+
+        opened.opener = null;
+        return true;
+    }
+
+    /**
+     * Opens an empty chat and copies the full message to paste into it. The chat
+     * opens first, while the submit is still a user gesture: popup blockers stop
+     * window.open once the clipboard promise has settled.
+     * @param {Object} options - { openChat: false when a popup was just blocked or the gesture is gone }
+     */
+    copyOrderFallback(message, { openChat = true } = {}) {
+        const opened = openChat && this.openWhatsApp(this.buildWhatsAppUrl());
+
+        contactManager.copyTextToClipboard(
+            message,
+            () => {
+                if (this.showToast) {
+                    this.showToast(
+                        opened ? 'Pedido copiado. Pégalo en el chat de WhatsApp' : 'Pedido copiado. Abre WhatsApp y pégalo en nuestro chat',
+                        'info',
+                        5000
+                    );
+                }
+            },
+            () => {
+                if (this.showToast) {
+                    this.showToast('No se pudo preparar el pedido. Intenta de nuevo', 'error');
+                }
+            },
+            'order'
+        );
+    }
+
+    destroy() {
+        if (this.form && this.submitHandler) {
+            this.form.removeEventListener('submit', this.submitHandler);
+        }
+        this.form = null;
+        this.submitHandler = null;
+        this.isInitialized = false;
+        console.log('Order composer destroyed');
+    }
+}
+
+// Create a singleton instance
+export const orderComposer = new OrderComposer();
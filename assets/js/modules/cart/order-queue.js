@@ -0,0 +1,128 @@
+// assets/js/modules/cart/order-queue.js
+
+import '../../shared/idb.js';
+import '../../shared/sw-messages.js';
+import { CONFIG } from '../config.js';
+import { createId } from '../utils.js';
+
+const { BrasasDB, BrasasMessages } = self;
+
+/**
+ * OrderQueue - IndexedDB outbox for orders placed offline, drained by sw.js ('order-sync')
+ */
+export class OrderQueue {
+    constructor(showToast = null) {
+        this.showToast = showToast;
+        this.messageHandler = null;
+        this.onlineHandler = null;
+        this.isInitialized = false;
+    }
+
+    init() {
+        try {
+            if ('serviceWorker' in navigator) {
+                this.messageHandler = (event) => this.handleServiceWorkerMessage(event);
+                navigator.serviceWorker.addEventListener('message', this.messageHandler);
+            }
+
+            // Browsers without Background Sync drain the outbox when the page reconnects
+            this.onlineHandler = () => this.requestSync();
+            window.addEventListener('online', this.onlineHandler);
+
+            this.isInitialized = true;
+            console.log('✅ Order queue initialized');
+
+        } catch (error) {
+            console.error('❌ Error initializing order queue:', error);
+        }
+    }
+
+    /**
+     * Stores an order in the outbox and asks the service worker to send it
+     * @param {Object} payload - Order body posted to CONFIG.ORDER.ENDPOINT
+     * @returns {Promise<Object>} - The stored outbox record
+     */
+    async enqueue(payload) {
+        if (!this.isAvailable()) {
+            throw new Error('No order endpoint configured for this deployment');
+        }
+
+        const id = createId();
+        const record = {
+            id,
+            idempotencyKey: id,
+            endpoint: CONFIG.ORDER.ENDPOINT,
+            payload: { ...payload, orderId: id },
+            attempts: 0,
+            status: 'pending',
+            lastError: null,
+            createdAt: new Date().toISOString()
+        };
+
+        await BrasasDB.put(BrasasDB.STORES.OUTBOX, record);
+        await this.requestSync();
+        return record;
+    }
+
+    /**
+     * Whether this deployment has an order backend to replay the outbox to
+     */
+    isAvailable() {
+        return Boolean(CONFIG.ORDER.ENDPOINT);
+    }
+
+    /**
+     * Registers the 'order-sync' background sync, or messages the worker directly
+     */
+    async requestSync() {
+        if (!('serviceWorker' in navigator)) return;
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+
+            if ('sync' in registration) {
+                await registration.sync.register('order-sync');
+            } else if (navigator.onLine) {
+                BrasasMessages.send(registration.active, BrasasMessages.TYPES.SYNC_ORDERS);
+            }
+        } catch (error) {
+            console.warn('Order sync registration failed:', error);
+        }
+    }
+
+    handleServiceWorkerMessage(event) {
+        const { type, data = {} } = event.data || {};
+        if (type !== BrasasMessages.TYPES.ORDER_SYNC_RESULT || !this.showToast) return;
+
+        const { orderId, status } = data;
+        const shortId = String(orderId || '').slice(0, 8).toUpperCase();
+
+        if (status === 'sent') {
+            this.showToast(`Pedido ${shortId} enviado al restaurante`, 'success', 4000);
+        } else if (status === 'failed') {
+            this.showToast(`No se pudo enviar el pedido ${shortId}. Envíalo por WhatsApp`, 'error', 6000);
+        }
+    }
+
+    getPendingOrders() {
+        return BrasasDB.getAll(BrasasDB.STORES.OUTBOX)
+            .then(records => records.filter(record => record.status === 'pending'))
+            .catch(() => []);
+    }
+
+    destroy() {
+        if (this.messageHandler) {
+            navigator.serviceWorker.removeEventListener('message', this.messageHandler);
+            this.messageHandler = null;
+        }
+        if (this.onlineHandler) {
+            window.removeEventListener('online', this.onlineHandler);
+            this.onlineHandler = null;
+        }
+        this.isInitialized = false;
+        console.log('Order queue destroyed');
+    }
+}
+
+// Create a singleton instance
+export const orderQueue = new OrderQueue();
@@ -0,0 +1,242 @@
+// assets/js/modules/cart/pricing.js
+
+import { CONFIG } from '../config.js';
+
+/**
+ * Option groups, weight pricing and line totals for menu items. Everything here
+ * is pure and works in integer centavos, so the product sheet, the cart and the
+ * WhatsApp order message all show the same numbers.
+ *
+ * A selection looks like { options: { tortilla: ['harina'], salsas: ['verde'] }, grams: 500 }
+ */
+
+export const EMPTY_SELECTION = Object.freeze({ options: Object.freeze({}), grams: null });
+
+function toCentavos(value) {
+    return Number.isInteger(value) ? value : 0;
+}
+
+/**
+ * Option groups of a raw menu.json item. Menus cached before option groups
+ * existed list plain `modifiers` strings; those become one optional, free
+ * "Preparación" group.
+ * @returns {Array<Object>} - [{ id, name, type: 'single'|'multi', min, max, required, choices: [{ id, name, price, default }] }]
+ */
+export function normalizeOptionGroups(item) {
+    let groups = Array.isArray(item?.options) ? item.options : [];
+
+    if (!Array.isArray(item?.options) && Array.isArray(item?.modifiers)) {
+        groups = [{
+            id: 'preparacion',
+            name: 'Preparación',
+            type: 'multi',
+            choices: item.modifiers.filter(Boolean).map((name, index) => ({ id: `modifier-${index}`, name }))
+        }];
+    }
+
+    return groups
+        .filter(group => group && group.id && group.name && Array.isArray(group.choices))
+        .map(group => {
+            const choices = group.choices
+                .filter(choice => choice && choice.id && choice.name)
+                .map(choice => ({
+                    id: String(choice.id),
+                    name: String(choice.name),
+                    price: toCentavos(choice.price),
+                    default: choice.default === true
+                }));
+
+            const single = group.type !== 'multi';
+            const max = single ? 1 : Math.min(Math.max(Number.isInteger(group.max) ? group.max : choices.length, 1), choices.length);
+            const min = Math.min(Number.isInteger(group.min) ? Math.max(group.min, 0) : (group.required ? 1 : 0), max);
+
+            return {
+                id: String(group.id),
+                name: String(group.name),
+                type: single ? 'single' : 'multi',
+                min,
+                max,
+                required: min > 0,
+                choices
+            };
+        })
+        .filter(group => group.choices.length > 0);
+}
+
+/**
+ * Weight range of an item sold by weight; its `price` is then per WEIGHT_UNIT_GRAMS
+ * @returns {Object|null} - { min, max, step, default } in grams
+ */
+export function normalizeWeight(item) {
+    const weight = item?.weight;
+    if (!weight || typeof weight !== 'object') return null;
+
+    const step = Number.isInteger(weight.step) && weight.step > 0 ? weight.step : CONFIG.PRICING.WEIGHT_UNIT_GRAMS;
+    const min = Number.isInteger(weight.min) && weight.min > 0 ? weight.min : step;
+    const max = Number.isInteger(weight.max) && weight.max >= min ? weight.max : min;
+    const range = { min, max, step, default: min };
+
+    return { ...range, default: isWeightAllowed(range, weight.default) ? weight.default : min };
+}
+
+export function isWeightAllowed(weight, grams) {
+    return Number.isInteger(grams) && grams >= weight.min && grams <= weight.max &&
+        (grams - weight.min) % weight.step === 0;
+}
+
+/**
+ * Every weight the customer can pick, in grams
+ */
+export function getWeightSteps(weight) {
+    const steps = [];
+    for (let grams = weight.min; grams <= weight.max; grams += weight.step) {
+        steps.push(grams);
+    }
+    return steps;
+}
+
+/**
+ * '500 g', '1.5 kg'
+ */
+export function formatWeight(grams) {
+    if (grams < 1000) return `${grams} g`;
+    return `${(grams / 1000).toLocaleString(CONFIG.MENU.LOCALE, { maximumFractionDigits: 2 })} kg`;
+}
+
+/**
+ * Unit the listed price refers to: '100 g' for items sold by weight, null otherwise
+ */
+export function getPriceUnit(item) {
+    return item.weight ? formatWeight(CONFIG.PRICING.WEIGHT_UNIT_GRAMS) : null;
+}
+
+/**
+ * Pre-selected choices (marked `default` in menu.json) and the default weight
+ * @param {Object} item - Normalized catalog item
+ */
+export function getDefaultSelection(item) {
+    const options = {};
+
+    item.options.forEach(group => {
+        const defaults = group.choices.filter(choice => choice.default).map(choice => choice.id);
+        if (defaults.length > 0) {
+            options[group.id] = defaults.slice(0, group.max);
+        }
+    });
+
+    return { options, grams: item.weight ? item.weight.default : null };
+}
+
+/**
+ * Checks a selection against the item's groups. Unknown choices are dropped and
+ * the rest are put in menu order, so equal selections compare equal.
+ * @param {Object} item - Normalized catalog item
+ * @param {Object} selection - { options, grams }
+ * @returns {Object} - { valid, errors: [{ groupId, message }], selection }
+ */
+export function validateSelection(item, selection) {
+    const options = {};
+    const errors = [];
+
+    item.options.forEach(group => {
+        const requested = Array.isArray(selection?.options?.[group.id]) ? selection.options[group.id] : [];
+        const chosen = group.choices.filter(choice => requested.includes(choice.id)).map(choice => choice.id);
+
+        if (chosen.length < group.min) {
+            errors.push({
+                groupId: group.id,
+                message: group.type === 'single'
+                    ? `Elige ${group.name.toLowerCase()}`
+                    : `Elige al menos ${group.min} en ${group.name.toLowerCase()}`
+            });
+        } else if (chosen.length > group.max) {
+            errors.push({ groupId: group.id, message: `Elige máximo ${group.max} en ${group.name.toLowerCase()}` });
+        }
+
+        if (chosen.length > 0) options[group.id] = chosen;
+    });
+
+    let grams = null;
+    if (item.weight) {
+        grams = isWeightAllowed(item.weight, selection?.grams) ? selection.grams : null;
+        if (grams === null) {
+            errors.push({
+                groupId: 'weight',
+                message: `Elige un peso entre ${formatWeight(item.weight.min)} y ${formatWeight(item.weight.max)}`
+            });
+        }
+    }
+
+    return { valid: errors.length === 0, errors, selection: { options, grams } };
+}
+
+/**
+ * Unit price of an item with a selection. Weight prices round to the nearest
+ * centavo; option deltas (which may be negative) are added once per unit.
+ * @param {Object} item - Normalized catalog item
+ * @param {Object} selection - { options, grams }
+ * @returns {Object} - { valid, errors, selection, base, optionsTotal, unitPrice,
+ *                       details: [{ groupId, label, value, price }] }
+ */
+export function priceSelection(item, selection) {
+    const { valid, errors, selection: clean } = validateSelection(item, selection);
+    const details = [];
+
+    let base = item.price;
+    if (item.weight) {
+        const grams = clean.grams ?? item.weight.default;
+        base = Math.round(item.price * grams / CONFIG.PRICING.WEIGHT_UNIT_GRAMS);
+        details.push({ groupId: 'weight', label: 'Peso', value: formatWeight(grams), price: 0 });
+    }
+
+    let optionsTotal = 0;
+    item.options.forEach(group => {
+        const chosen = group.choices.filter(choice => (clean.options[group.id] || []).includes(choice.id));
+        if (chosen.length === 0) return;
+
+        const price = chosen.reduce((sum, choice) => sum + choice.price, 0);
+        optionsTotal += price;
+        details.push({
+            groupId: group.id,
+            label: group.name,
+            value: chosen.map(choice => choice.name).join(', '),
+            price
+        });
+    });
+
+    return { valid, errors, selection: clean, base, optionsTotal, unitPrice: Math.max(base + optionsTotal, 0), details };
+}
+
+/**
+ * Items with a required choice without default, or sold by weight, are
+ * configured in the product sheet instead of added straight from the card
+ */
+export function requiresCustomization(item) {
+    return Boolean(item.weight) || !validateSelection(item, getDefaultSelection(item)).valid;
+}
+
+/**
+ * Stable text for a cleaned selection; lines merge only when it matches
+ */
+export function getSelectionKey(selection) {
+    const options = selection?.options || {};
+    const parts = Object.keys(options).sort().map(groupId => `${groupId}:${options[groupId].join('+')}`);
+    if (selection?.grams) parts.push(`g:${selection.grams}`);
+    return parts.join('|');
+}
+
+export function lineTotal(unitPrice, quantity) {
+    return toCentavos(unitPrice) * (Number.isInteger(quantity) ? quantity : 0);
+}
+
+/**
+ * Cart totals in centavos
+ * @param {Array<Object>} lines - [{ unitPrice, quantity }]
+ * @returns {Object} - { itemCount, subtotal, total }
+ */
+export function calculateTotals(lines) {
+    const itemCount = lines.reduce((sum, line) => sum + line.quantity, 0);
+    const subtotal = lines.reduce((sum, line) => sum + lineTotal(line.unitPrice, line.quantity), 0);
+
+    return { itemCount, subtotal, total: subtotal };
+}
@@ -0,0 +1,215 @@
+// assets/js/modules/cart/promotions.js
+
+import { CONFIG } from '../config.js';
+
+/**
+ * Promotion rules from menu.json, applied over the cart. Pure and deterministic:
+ * the weekday comes in as an argument, ties go to the rule listed first and all
+ * amounts are integer centavos.
+ *
+ * Rule types:
+ *   bundle       - Fixed price for a set of items: { price, components: [{ match, quantity }] }.
+ *                  Option surcharges (extra meat, tortilla de harina) are still charged.
+ *   buy-x-get-y  - For every `buy` + `get` matching units, the `get` cheapest are
+ *                  `percentOff` cheaper (100 = free, so a 2x1 is buy 1 get 1).
+ * Any rule can be limited to `days` (0 Sunday - 6 Saturday, restaurant time) and
+ * to `limit` uses per order. `match` is { items: [itemIds], categories: [categoryIds] }.
+ */
+
+const RULE_TYPES = ['bundle', 'buy-x-get-y'];
+
+function toIdList(value) {
+    return Array.isArray(value) ? value.filter(Boolean).map(String) : [];
+}
+
+function normalizeMatch(match) {
+    return { items: toIdList(match?.items), categories: toIdList(match?.categories) };
+}
+
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Drops malformed rules so a typo in menu.json can't break the cart
+ * @param {Array<Object>} rules - Raw `promotions` from menu.json
+ * @returns {Array<Object>} - [{ id, type, name, description, days, limit, ...type fields }]
+ */
+export function normalizePromotions(rules) {
+    if (!Array.isArray(rules)) return [];
+
+    return rules
+        .filter(rule => rule && rule.id && rule.name && RULE_TYPES.includes(rule.type) && rule.active !== false)
+        .map(rule => {
+            const days = Array.isArray(rule.days)
+                ? rule.days.filter(day => Number.isInteger(day) && day >= 0 && day <= 6)
+                : null;
+            // A day list with no valid day must not turn into "every day"
+            if (days && days.length === 0) return null;
+
+            const base = {
+                id: String(rule.id),
+                type: rule.type,
+                name: String(rule.name),
+                description: String(rule.description || ''),
+                days,
+                limit: isPositiveInteger(rule.limit) ? rule.limit : null
+            };
+
+            if (rule.type === 'bundle') {
+                const components = (Array.isArray(rule.components) ? rule.components : [])
+                    .filter(component => component && isPositiveInteger(component.quantity))
+                    .map(component => ({ match: normalizeMatch(component.match), quantity: component.quantity }));
+
+                return Number.isInteger(rule.price) && rule.price >= 0 && components.length > 0
+                    ? { ...base, price: rule.price, components }
+                    : null;
+            }
+
+            const percentOff = Number.isInteger(rule.percentOff) ? Math.min(Math.max(rule.percentOff, 1), 100) : 100;
+            return isPositiveInteger(rule.buy) && isPositiveInteger(rule.get)
+                ? { ...base, match: normalizeMatch(rule.match), buy: rule.buy, get: rule.get, percentOff }
+                : null;
+        })
+        .filter(Boolean);
+}
+
+export function isPromotionActive(rule, weekday) {
+    return !rule.days || rule.days.includes(weekday);
+}
+
+function matchesLine(match, line) {
+    return match.items.includes(line.itemId) || match.categories.includes(line.categoryId);
+}
+
+/**
+ * Picks the best set of non-overlapping promotion uses for the cart. Every unit
+ * of a line counts for at most one use; among equal savings the earlier rule wins.
+ * @param {Array<Object>} lines - [{ id, itemId, categoryId, unitPrice, quantity, optionsPrice }]
+ * @param {Array<Object>} rules - From normalizePromotions()
+ * @param {Object} context - { weekday: 0-6 in restaurant time }
+ * @returns {Object} - { applied: [{ id, type, name, times, savings, lineIds }], discount }
+ */
+export function applyPromotions(lines, rules, { weekday } = {}) {
+    const active = rules.filter(rule => isPromotionActive(rule, weekday));
+    if (lines.length === 0 || active.length === 0) return { applied: [], discount: 0 };
+
+    // Line indexes a match can use, most valuable first (line order breaks ties)
+    const rankings = new Map();
+    const rank = (match, valueOf) => {
+        if (!rankings.has(match)) {
+            rankings.set(match, lines
+                .map((line, index) => index)
+                .filter(index => matchesLine(match, lines[index]))
+                .sort((a, b) => valueOf(lines[b]) - valueOf(lines[a]) || a - b));
+        }
+        return rankings.get(match);
+    };
+
+    const baseValue = line => line.unitPrice - line.optionsPrice;
+    const fullValue = line => line.unitPrice;
+
+    /**
+     * One use of a rule on the remaining units, or null when it doesn't fit or saves nothing
+     * @returns {Object|null} - { taken: units per line, savings }
+     */
+    const takeOnce = (rule, remaining) => {
+        const taken = lines.map(() => 0);
+
+        if (rule.type === 'bundle') {
+            let value = 0;
+            let surcharges = 0;
+
+            for (const component of rule.components) {
+                let needed = component.quantity;
+                for (const index of rank(component.match, baseValue)) {
+                    const count = Math.min(remaining[index] - taken[index], needed);
+                    if (count <= 0) continue;
+
+                    taken[index] += count;
+                    needed -= count;
+                    value += count * lines[index].unitPrice;
+                    surcharges += count * lines[index].optionsPrice;
+                    if (needed === 0) break;
+                }
+                if (needed > 0) return null;
+            }
+
+            const savings = value - (rule.price + surcharges);
+            return savings > 0 ? { taken, savings } : null;
+        }
+
+        // buy-x-get-y: the most expensive units, so the discounted ones are worth the most
+        const size = rule.buy + rule.get;
+        const prices = [];
+        for (const index of rank(rule.match, fullValue)) {
+            while (prices.length < size && remaining[index] - taken[index] > 0) {
+                taken[index]++;
+                prices.push(lines[index].unitPrice);
+            }
+            if (prices.length === size) break;
+        }
+        if (prices.length < size) return null;
+
+        const discounted = prices.slice(-rule.get).reduce((sum, price) => sum + price, 0);
+        const savings = Math.round(discounted * rule.percentOff / 100);
+        return savings > 0 ? { taken, savings } : null;
+    };
+
+    // Depth-first over "use one more promotion", memoized on what is left. Past
+    // the step budget (huge carts) each state only follows its first usable rule,
+    // which still finishes the order greedily
+    const memo = new Map();
+    let steps = 0;
+
+    const search = (remaining, uses) => {
+        const key = `${remaining.join(',')}|${uses.join(',')}`;
+        if (memo.has(key)) return memo.get(key);
+
+        const exhaustive = steps++ < CONFIG.PROMOTIONS.MAX_SEARCH_STEPS;
+        let best = { savings: 0, applications: [] };
+
+        active.forEach((rule, ruleIndex) => {
+            if (!exhaustive && best.applications.length > 0) return;
+            if (rule.limit !== null && uses[ruleIndex] >= rule.limit) return;
+
+            const application = takeOnce(rule, remaining);
+            if (!application) return;
+
+            const next = search(
+                remaining.map((count, index) => count - application.taken[index]),
+                uses.map((count, index) => (index === ruleIndex ? count + 1 : count))
+            );
+            const savings = application.savings + next.savings;
+
+            if (savings > best.savings) {
+                best = { savings, applications: [{ ruleIndex, ...application }, ...next.applications] };
+            }
+        });
+
+        memo.set(key, best);
+        return best;
+    };
+
+    const best = search(lines.map(line => line.quantity), active.map(() => 0));
+
+    const applied = active
+        .map((rule, ruleIndex) => {
+            const uses = best.applications.filter(application => application.ruleIndex === ruleIndex);
+            if (uses.length === 0) return null;
+
+            return {
+                id: rule.id,
+                type: rule.type,
+                name: rule.name,
+                times: uses.length,
+                savings: uses.reduce((sum, application) => sum + application.savings, 0),
+                lineIds: lines
+                    .filter((line, index) => uses.some(application => application.taken[index] > 0))
+                    .map(line => line.id)
+            };
+        })
+        .filter(Boolean);
+
+    return { applied, discount: best.savings };
+}
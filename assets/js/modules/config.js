@@ -1,5 +1,11 @@
 // assets/js/modules/config.js
 
+import '../shared/deploy-config.js';
+
+// Backend URLs and the VAPID key are set per deployment by scripts/build-deploy-config.mjs;
+// read from globalThis because the build scripts load this file in Node too
+const { BrasasDeploy } = globalThis;
+
 /**
  * Configuration constants for Brasas Smokehouse website
  */
@@ -13,15 +19,203 @@ export const CONFIG = {
         DEBOUNCE_DELAY: 10
     },
     BUSINESS: {
-        OPEN_TIME: 6.00, // 6:00 AM
-        CLOSE_TIME: 23,   // 11:00 PM
+        NAME: 'Brasas Smokehouse',
+        DESCRIPTION: 'Carne ahumada y asada estilo Sonora - Drive-Thru en Heroica Nogales',
+        SITE_URL: 'https://eatbrasas.com',
+        MENU_URL: 'https://eatbrasas.com/main-site.html#menu',
+        IMAGE_URL: 'https://eatbrasas.com/assets/images/logo/logo-og-1200-630.png',
+        CUISINE: ['Mexicana', 'Carne asada', 'Ahumados'],
+        PRICE_RANGE: '$$',
+        ACCEPTS_RESERVATIONS: false,
+        // All hours are wall-clock times in this zone (Sonora has no DST)
+        TIMEZONE: 'America/Hermosillo',
+        TIMEZONE_LABEL: 'hora de Sonora',
+        // Ranges are 'HH:MM' pairs; an end at or before the start runs past midnight
+        SCHEDULE: {
+            WEEKLY: {
+                monday:    [['06:30', '23:00']],
+                tuesday:   [['06:30', '23:00']],
+                wednesday: [['06:30', '23:00']],
+                thursday:  [['06:30', '23:00']],
+                friday:    [['06:30', '23:00']],
+                saturday:  [['06:30', '23:00']],
+                sunday:    [['06:30', '23:00']]
+            },
+            // Dated overrides, e.g. { date: '2025-12-24', ranges: [['06:30', '18:00']], reason: 'Nochebuena' }
+            // or { date: '2025-10-04', ranges: [], reason: 'Evento privado' }
+            EXCEPTIONS: [],
+            // Temporary closures, inclusive, e.g. { from: '2025-08-04', to: '2025-08-06', reason: 'Remodelación' }
+            CLOSURES: [],
+            // Official holidays by id (see holidays.js): { closed: true } or { ranges: [...] };
+            // holidays left out keep the weekly hours
+            HOLIDAYS: {
+                'ano-nuevo': { closed: true },
+                'constitucion': { ranges: [['08:00', '22:00']] },
+                'benito-juarez': { ranges: [['08:00', '22:00']] },
+                'dia-del-trabajo': { ranges: [['08:00', '22:00']] },
+                'independencia': { ranges: [['08:00', '22:00']] },
+                'revolucion': { ranges: [['08:00', '22:00']] },
+                'transmision-poder': { ranges: [['08:00', '22:00']] },
+                'navidad': { closed: true }
+            },
+            LOOKAHEAD_DAYS: 31
+        },
         ADDRESS: 'Prolongación Álvaro Obregón 4257, Villa Sonora, 84093 Heroica Nogales, Son'
     },
+    MENU: {
+        DATA_URL: '/assets/data/menu.json',
+        CURRENCY: 'MXN',
+        LOCALE: 'es-MX',
+        ITEM_HASH_PREFIX: '#menu/',        // #menu/<categoryId>/<itemId> opens the product sheet
+        SEARCH_MIN_LENGTH: 2,              // Shorter queries show the whole menu
+        SEARCH_DEBOUNCE: 120
+    },
+    MENU_FILTERS: {
+        STORAGE_KEY: 'brasas-menu-filters',
+        // Keys items may list in menu.json `allergens`; each one gets a "Sin ..." chip
+        ALLERGENS: {
+            gluten: { label: 'Gluten', icon: '🌾' },
+            lacteos: { label: 'Lácteos', icon: '🥛' },
+            cerdo: { label: 'Cerdo', icon: '🐖' }
+        },
+        // Keys for menu.json `dietary`
+        DIETARY: {
+            vegetariano: { label: 'Vegetariano', icon: '🥬' },
+            vegano: { label: 'Vegano', icon: '🌱' }
+        },
+        // Index is the item's `spice` (0-3)
+        SPICE_LEVELS: ['Sin picante', 'Poco picante', 'Picante', 'Muy picante']
+    },
+    CART: {
+        STORAGE_KEY: 'brasas-cart',
+        MAX_QUANTITY: 99,
+        MAX_NOTES_LENGTH: 140
+    },
+    PRICING: {
+        // Items sold by weight list their price per this many grams
+        WEIGHT_UNIT_GRAMS: 100
+    },
+    PROMOTIONS: {
+        // Upper bound on the combinations tried per cart; plenty for real orders
+        MAX_SEARCH_STEPS: 2000
+    },
+    ORDER: {
+        // Empty on the static site: offline orders then go to WhatsApp instead of the outbox
+        ENDPOINT: BrasasDeploy.ORDERS_ENDPOINT,
+        // wa.me links longer than this get truncated by some Android WhatsApp builds
+        MAX_URL_LENGTH: 2000,
+        LAST_ORDER_KEY: 'brasas-last-order',   // Lines of the last sent order, for "Repetir último pedido"
+        PAYMENT_METHODS: {
+            cash: 'Efectivo',
+            card: 'Tarjeta en sucursal',
+            transfer: 'Transferencia'
+        }
+    },
+    DATA_SAVER: {
+        STORAGE_KEY: 'brasas-data-saver',
+        SLOW_CONNECTION_TYPES: ['slow-2g', '2g'],
+        MIN_DOWNLINK: 1.5,                 // Mbps
+        DEFER_TIMEOUT: 10000               // Non-critical modules wait for interaction up to this long
+    },
+    INSTALL: {
+        STORAGE_KEY: 'brasas-install',
+        LEGACY_DISMISS_KEY: 'pwa-install-dismissed',  // Snooze timestamp written by the old prompts
+        MIN_VISITS: 2,
+        ENGAGEMENT_TIME: 30000,            // Time on the page that counts as engagement
+        DISMISS_BACKOFF_DAYS: [7, 30, 90], // After the 1st, 2nd and any later dismissal
+        MAX_OUTCOMES: 20
+    },
+    APP_BADGE: {
+        SETTING_ID: 'app-badge'            // BrasasDB SETTINGS record; sw.js sets it on ORDER_READY pushes
+    },
+    SHORTCUTS: {
+        PARAM: 'shortcut',                 // ?shortcut=<action> on manifest shortcut URLs
+        PAGE: '/main-site.html',
+        MAX: 8,                            // Android shows only the first four
+        PROMO_TAGS: ['Promoción', 'Nuevo'] // Menu items with these tags feed "Ver promociones"
+    },
+    HERO_VIDEO: {
+        MOBILE_QUERY: '(max-width: 767px)',
+        // Video needs a fast connection; anything slower gets the poster
+        VIDEO_CONNECTION_TYPES: ['4g'],
+        MIN_DOWNLINK: 3,                   // Mbps
+        SOURCES: {
+            mobile: {
+                webm: '/assets/videos/hero-mobile.webm',
+                mp4: '/assets/videos/hero-mobile.mp4',
+                poster: '/assets/images/hero/hero-poster-mobile-1200-1200.jpg',
+                posterLow: '/assets/images/hero/low/hero-poster-mobile-600-600.jpg'
+            },
+            desktop: {
+                webm: '/assets/videos/hero-desktop.webm',
+                mp4: '/assets/videos/hero-desktop.mp4',
+                poster: '/assets/images/hero/hero-poster-desktop-1920-1080.jpg',
+                posterLow: '/assets/images/hero/low/hero-poster-desktop-960-540.jpg'
+            }
+        }
+    },
+    STRUCTURED_DATA: {
+        SCRIPT_ID: 'restaurant-schema',
+        // Dated exceptions, holidays and closures within this window are published
+        SPECIAL_HOURS_DAYS: 60
+    },
+    REMINDERS: {
+        SYNC_TAG: 'reminder-check',
+        CHECK_INTERVAL: 15 * 60 * 1000,  // Periodic sync minimum interval
+        GRACE_PERIOD: 2 * 60 * 60 * 1000, // Reminders delivered later than this are marked as late
+        URL: '/main-site.html#location'
+    },
+    PUSH: {
+        // Push is offered only when the deployment sets both
+        VAPID_PUBLIC_KEY: BrasasDeploy.VAPID_PUBLIC_KEY,
+        ENDPOINT: BrasasDeploy.PUSH_ENDPOINT,
+        STORAGE_KEY: 'brasas-push-topics',
+        // Topic ids match shared/push-payloads.js; promos are opt-in
+        TOPICS: {
+            orders: { label: 'Pedido listo', default: true },
+            reminders: { label: 'Avisos de apertura', default: true },
+            menu: { label: 'Cambios en el menú', default: true },
+            promos: { label: 'Promociones', default: false }
+        }
+    },
     SELECTORS: {
         BUSINESS: {
             STATUS_CONTAINER: '#business-status',
             STATUS_INDICATOR: '#status-indicator',
-            STATUS_TEXT: '#status-text'
+            STATUS_TEXT: '#status-text',
+            REMINDER_BUTTON: '#reminder-button',
+            REMINDER_LIST: '#reminder-list',
+            REMINDER_NOTICE: '#reminder-notice'
+        },
+        HERO_VIDEO: '#hero-video',
+        PRODUCT_SHEET: '#product-sheet',
+        INSTALL: {
+            SHEET: '#install-sheet'
+        },
+        DATA_SAVER: {
+            TOGGLE: '#data-saver-toggle',
+            INDICATOR: '#data-saver-indicator'
+        },
+        PUSH: {
+            TOGGLE: '#push-toggle',
+            TOPICS: '#push-topics'
+        },
+        MENU: {
+            CATEGORIES_GRID: '#categories-grid',
+            CATEGORY_NAV: '#category-nav',
+            SECTIONS: '#menu-sections',
+            SEARCH_INPUT: '#menu-search-input',
+            SEARCH_STATUS: '#menu-search-status',
+            FILTERS: '#menu-filters'
+        },
+        CART: {
+            BUTTON: '#cart-button',
+            COUNT: '#cart-count',
+            PANEL: '#cart-panel',
+            LINES: '#cart-lines',
+            TOTAL: '#cart-total',
+            PROMOTIONS: '#cart-promotions',
+            ORDER_FORM: '#order-form'
         }
     }
 };
@@ -35,7 +229,15 @@ export const CONTACT_INFO = {
         full: 'Prolongación Álvaro Obregón 4257, Villa Sonora, 84093 Heroica Nogales, Son',
         street: 'Prolongación Álvaro Obregón 4257',
         city: 'Villa Sonora, Heroica Nogales, Sonora',
-        postalCode: '84093'
+        locality: 'Heroica Nogales',
+        region: 'Sonora',
+        postalCode: '84093',
+        country: 'MX'
+    },
+    // Approximate; keep in sync with the Google Maps pin
+    geo: {
+        latitude: 31.2706,
+        longitude: -110.9397
     },
     googleMapsUrl: 'https://maps.app.goo.gl/tumFtTnoojhrDaqt7'
 };
\ No newline at end of file
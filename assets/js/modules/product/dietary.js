@@ -0,0 +1,121 @@
+// assets/js/modules/product/dietary.js
+
+import { CONFIG } from '../config.js';
+import { escapeHtml } from '../utils.js';
+
+const MAX_SPICE = CONFIG.MENU_FILTERS.SPICE_LEVELS.length - 1;
+
+export const EMPTY_FILTERS = Object.freeze({ exclude: [], require: [], maxSpice: null });
+
+/**
+ * Dietary fields of a raw menu.json item. A missing `allergens` list means
+ * "unknown", which is not the same as "none": such items never pass a "Sin ..." filter.
+ * @returns {Object} - { allergens: string[] | null, dietary: string[], spice: number | null }
+ */
+export function normalizeDietary(item) {
+    const spice = Number.isInteger(item?.spice) ? Math.min(Math.max(item.spice, 0), MAX_SPICE) : null;
+
+    return {
+        allergens: Array.isArray(item?.allergens)
+            ? item.allergens.filter(key => CONFIG.MENU_FILTERS.ALLERGENS[key])
+            : null,
+        dietary: Array.isArray(item?.dietary)
+            ? item.dietary.filter(key => CONFIG.MENU_FILTERS.DIETARY[key])
+            : [],
+        spice
+    };
+}
+
+/**
+ * Drops unknown keys from stored or user-provided filters
+ * @returns {Object} - { exclude, require, maxSpice }
+ */
+export function sanitizeFilters(filters) {
+    const maxSpice = Number.isInteger(filters?.maxSpice) && filters.maxSpice >= 0 && filters.maxSpice <= MAX_SPICE
+        ? filters.maxSpice
+        : null;
+
+    return {
+        exclude: (Array.isArray(filters?.exclude) ? filters.exclude : [])
+            .filter(key => CONFIG.MENU_FILTERS.ALLERGENS[key]),
+        require: (Array.isArray(filters?.require) ? filters.require : [])
+            .filter(key => CONFIG.MENU_FILTERS.DIETARY[key]),
+        maxSpice
+    };
+}
+
+export function hasActiveFilters(filters) {
+    return filters.exclude.length > 0 || filters.require.length > 0 || filters.maxSpice !== null;
+}
+
+/**
+ * @param {Object} item - Normalized catalog item
+ * @param {Object} filters - { exclude: allergen keys, require: dietary keys, maxSpice }
+ */
+export function matchesDietaryFilters(item, filters) {
+    if (filters.exclude.length > 0) {
+        if (!item.allergens) return false;
+        if (filters.exclude.some(key => item.allergens.includes(key))) return false;
+    }
+    if (!filters.require.every(key => item.dietary.includes(key))) return false;
+    if (filters.maxSpice !== null && (item.spice === null || item.spice > filters.maxSpice)) return false;
+
+    return true;
+}
+
+/**
+ * Spanish summary of the active filters: 'sin gluten, vegetariano, hasta poco picante'
+ */
+export function describeFilters(filters) {
+    let spice = null;
+    if (filters.maxSpice === 0) {
+        spice = 'sin picante';
+    } else if (filters.maxSpice !== null) {
+        spice = `hasta ${CONFIG.MENU_FILTERS.SPICE_LEVELS[filters.maxSpice].toLowerCase()}`;
+    }
+
+    return [
+        ...filters.exclude.map(key => `sin ${CONFIG.MENU_FILTERS.ALLERGENS[key].label.toLowerCase()}`),
+        ...filters.require.map(key => CONFIG.MENU_FILTERS.DIETARY[key].label.toLowerCase()),
+        spice
+    ].filter(Boolean).join(', ');
+}
+
+/**
+ * Icons for a card or the product sheet: allergens, dietary labels and spice level,
+ * each with a text alternative
+ */
+export function renderDietaryIcons(item) {
+    const icons = [];
+
+    (item.dietary || []).forEach(key => {
+        const { label, icon } = CONFIG.MENU_FILTERS.DIETARY[key];
+        icons.push({ icon, label, className: 'is-dietary' });
+    });
+
+    (item.allergens || []).forEach(key => {
+        const { label, icon } = CONFIG.MENU_FILTERS.ALLERGENS[key];
+        icons.push({ icon, label: `Contiene ${label.toLowerCase()}`, className: 'is-allergen' });
+    });
+
+    if (item.spice > 0) {
+        icons.push({
+            icon: '🌶️'.repeat(item.spice),
+            label: `${CONFIG.MENU_FILTERS.SPICE_LEVELS[item.spice]} (${item.spice} de ${MAX_SPICE})`,
+            className: 'is-spice'
+        });
+    }
+
+    if (icons.length === 0) return '';
+
+    return `
+        <ul class="dietary-icons" aria-label="Información alimentaria">
+            ${icons.map(({ icon, label, className }) => `
+                <li class="dietary-icon ${className}" title="${escapeHtml(label)}">
+                    <span aria-hidden="true">${icon}</span>
+                    <span class="sr-only">${escapeHtml(label)}</span>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
@@ -1,6 +1,7 @@
 // assets/js/modules/product/image-loading.js
 
 import { getElements } from '../utils.js';
+import { dataSaver } from '../ui/data-saver.js';
 
 export class ImageLoader {
     constructor(showToast = null) {
@@ -12,6 +13,7 @@ export class ImageLoader {
         this.isLowEndDevice = false;
         this.retryMap = new WeakMap();
         this.failsafeTimeout = null;
+        this.unsubscribeDataSaver = null;
     }
 
     async init() {
@@ -23,6 +25,12 @@ export class ImageLoader {
             this.detectDeviceCapabilities();
             this.findAndPrepareImages();
             
+            if (!this.unsubscribeDataSaver) {
+                this.unsubscribeDataSaver = dataSaver.onChange(enabled => {
+                    if (!enabled) this.upgradeImages();
+                });
+            }
+            
             if (this.images.length === 0) {
                 console.log('No images found to process');
                 this.isInitialized = true;
@@ -47,10 +55,7 @@ export class ImageLoader {
         const indicators = {
             lowMemory: navigator.deviceMemory && navigator.deviceMemory < 3,
             lowCPU: navigator.hardwareConcurrency && navigator.hardwareConcurrency < 4,
-            slowConnection: navigator.connection && 
-                          (navigator.connection.effectiveType === '2g' || 
-                           navigator.connection.effectiveType === 'slow-2g' ||
-                           navigator.connection.downlink < 1.5)
+            dataSaver: dataSaver.isEnabled()
         };
 
         this.isLowEndDevice = Object.values(indicators).some(Boolean);
@@ -113,7 +118,7 @@ export class ImageLoader {
                 }
                 
                 if (img.dataset.src && !img.src) {
-                    img.src = img.dataset.src;
+                    img.src = this.getImageSource(img);
                 }
                 return; 
             }
@@ -124,7 +129,7 @@ export class ImageLoader {
             img.style.display = 'block';
             
             if (img.dataset.src && !img.src) {
-                img.src = img.dataset.src;
+                img.src = this.getImageSource(img);
             }
             
             // Only make parent containers visible if they don't have responsive hiding classes
@@ -234,7 +239,7 @@ export class ImageLoader {
                 this.retryMap.set(img, retries + 1);
                 setTimeout(() => {
                     if (img.dataset.src) {
-                        img.src = img.dataset.src;
+                        img.src = this.getImageSource(img);
                     }
                 }, 1000);
             } else {
@@ -254,7 +259,7 @@ export class ImageLoader {
         img.addEventListener('error', handleError, { once: true });
 
         if (img.dataset.src && !img.src) {
-            img.src = img.dataset.src;
+            img.src = this.getImageSource(img);
         }
 
         if (img.complete && img.naturalWidth > 0) {
@@ -274,7 +279,7 @@ export class ImageLoader {
             this.images.forEach(img => {
                 if (!img.classList.contains('loaded') && !img.classList.contains('error')) {
                     if (img.dataset.src && !img.src) {
-                        img.src = img.dataset.src;
+                        img.src = this.getImageSource(img);
                     }
                     img.classList.add('loaded');
                 }
@@ -292,7 +297,7 @@ export class ImageLoader {
             img.style.display = 'block';
             
             if (img.dataset.src && !img.src) {
-                img.src = img.dataset.src;
+                img.src = this.getImageSource(img);
             }
             img.classList.add('loaded');
         });
@@ -306,7 +311,7 @@ export class ImageLoader {
             img.style.display = 'block';
             
             if (img.dataset.src && !img.src) {
-                img.src = img.dataset.src;
+                img.src = this.getImageSource(img);
             }
             img.classList.remove('loading', 'lazy-loading');
             img.classList.add('loaded');
@@ -315,6 +320,24 @@ export class ImageLoader {
         console.log(`🚀 Force loaded ${this.images.length} images`);
     }
 
+    /**
+     * Low-res variant (data-src-low) while Data Saver is on, full image otherwise
+     */
+    getImageSource(img) {
+        return dataSaver.isEnabled() && img.dataset.srcLow ? img.dataset.srcLow : img.dataset.src;
+    }
+
+    /**
+     * Upgrades low-res images once Data Saver is turned off
+     */
+    upgradeImages() {
+        this.images.forEach(img => {
+            if (img.dataset.srcLow && img.dataset.src && img.getAttribute('src') === img.dataset.srcLow) {
+                img.src = img.dataset.src;
+            }
+        });
+    }
+
     getMode() {
         return this.isLowEndDevice ? 'immediate' : 'intelligent';
     }
@@ -362,6 +385,11 @@ export class ImageLoader {
             this.failsafeTimeout = null;
         }
         
+        if (this.unsubscribeDataSaver) {
+            this.unsubscribeDataSaver();
+            this.unsubscribeDataSaver = null;
+        }
+        
         this.images = [];
         this.retryMap = new WeakMap();
         this.isInitialized = false;
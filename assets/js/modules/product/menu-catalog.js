@@ -0,0 +1,375 @@
+// assets/js/modules/product/menu-catalog.js
+
+import { CONFIG } from '../config.js';
+import { getElement, escapeHtml, formatPrice } from '../utils.js';
+import { navigationManager } from '../ui/navigation.js';
+import { imageLoader } from './image-loading.js';
+import { normalizeDietary, renderDietaryIcons } from './dietary.js';
+import { normalizeOptionGroups, normalizeWeight, getPriceUnit, requiresCustomization } from '../cart/pricing.js';
+import { normalizePromotions } from '../cart/promotions.js';
+
+/**
+ * MenuCatalog - Loads the menu from menu.json and renders cards and category sections
+ */
+export class MenuCatalog {
+    constructor(showToast = null) {
+        this.showToast = showToast;
+        this.catalog = null;
+        this.itemIndex = new Map();
+        this.filters = new Map();
+        this.filterListeners = new Set();
+        this.visibility = null;
+        this.loadPromise = null;
+        this.isInitialized = false;
+    }
+
+    /**
+     * Initialize the catalog: load, render and refresh dependent managers
+     */
+    async init() {
+        try {
+            await this.load();
+            this.render();
+            this.refreshDependents();
+
+            this.isInitialized = true;
+            console.log(`✅ Menu catalog initialized - ${this.catalog.categories.length} categories, ${this.itemIndex.size} items`);
+
+        } catch (error) {
+            console.error('❌ Error initializing menu catalog:', error);
+            if (this.showToast) {
+                this.showToast('No se pudo cargar el menú', 'error');
+            }
+        }
+    }
+
+    /**
+     * Fetches the catalog once; later calls reuse the same promise
+     * @returns {Promise<Object>} - Normalized catalog
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = fetch(CONFIG.MENU.DATA_URL)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Menu request failed: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(data => this.setCatalog(data))
+                .catch(error => {
+                    this.loadPromise = null;
+                    throw error;
+                });
+        }
+        return this.loadPromise;
+    }
+
+    /**
+     * Resolves with the catalog once it has been loaded
+     */
+    whenReady() {
+        return this.load();
+    }
+
+    /**
+     * Normalizes raw catalog data and rebuilds the item index
+     * @param {Object} data - Raw menu.json contents
+     * @returns {Object} - Normalized catalog
+     */
+    setCatalog(data) {
+        const categories = Array.isArray(data?.categories) ? data.categories : [];
+
+        this.catalog = {
+            version: data?.version || 1,
+            currency: data?.currency || CONFIG.MENU.CURRENCY,
+            promotions: normalizePromotions(data?.promotions),
+            categories: categories
+                .filter(category => category && category.id && category.name)
+                .map(category => ({
+                    ...category,
+                    items: (category.items || [])
+                        .filter(item => item && item.id && item.name)
+                        .map(item => ({
+                            ...item,
+                            price: Number.isInteger(item.price) ? item.price : 0,
+                            tags: Array.isArray(item.tags) ? item.tags : [],
+                            images: (Array.isArray(item.images) ? item.images : [item.image || category.image])
+                                .filter(Boolean),
+                            options: normalizeOptionGroups(item),
+                            weight: normalizeWeight(item),
+                            ...normalizeDietary(item)
+                        }))
+                }))
+        };
+
+        this.itemIndex.clear();
+        this.catalog.categories.forEach(category => {
+            category.items.forEach(item => {
+                this.itemIndex.set(item.id, { item, category });
+            });
+        });
+
+        return this.catalog;
+    }
+
+    /**
+     * Renders all catalog-driven markup
+     */
+    render() {
+        if (!this.catalog) return;
+
+        this.renderCategoryCards();
+        this.renderCategoryNav();
+        this.renderSections();
+        this.applyFilters();
+    }
+
+    /**
+     * Renders one preview card per category into #categories-grid
+     */
+    renderCategoryCards() {
+        const grid = getElement(CONFIG.SELECTORS.MENU.CATEGORIES_GRID);
+        if (!grid) return;
+
+        grid.innerHTML = this.catalog.categories.map(category => `
+            <div class="product-card bg-white rounded-3xl shadow-lg overflow-hidden hover:shadow-xl transition-all duration-300 hover:-translate-y-1 fade-in"
+                data-category="${escapeHtml(category.id)}"
+                data-title="${escapeHtml(category.name)}"
+                data-description="${escapeHtml(category.description || '')}">
+                <div class="aspect-w-16 aspect-h-10 relative">
+                    <img src="${escapeHtml(category.image || '')}"
+                        alt="${escapeHtml(category.name)}"
+                        class="w-full h-48 object-cover"
+                        loading="lazy">
+                    ${category.badge ? `
+                    <div class="absolute top-3 left-3">
+                        <span class="bg-primary text-white px-2 py-1 rounded-full text-xs font-semibold">
+                            ${escapeHtml(category.badge)}
+                        </span>
+                    </div>` : ''}
+                </div>
+                <div class="p-6">
+                    <h4 class="text-xl font-bold text-gray-900 mb-2">${escapeHtml(category.name)}</h4>
+                    <p class="text-gray-600 text-sm mb-4">${escapeHtml(category.description || '')}</p>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Renders the category tab buttons used by NavigationManager
+     */
+    renderCategoryNav() {
+        const nav = getElement(CONFIG.SELECTORS.MENU.CATEGORY_NAV);
+        if (!nav) return;
+
+        nav.innerHTML = this.catalog.categories.map(category => `
+            <button type="button" class="category-nav-btn" data-category="${escapeHtml(category.id)}">
+                ${escapeHtml(category.name)}
+            </button>
+        `).join('');
+    }
+
+    /**
+     * Renders one .menu-category section with item cards per category
+     */
+    renderSections() {
+        const container = getElement(CONFIG.SELECTORS.MENU.SECTIONS);
+        if (!container) return;
+
+        container.innerHTML = this.catalog.categories.map(category => `
+            <section id="categoria-${escapeHtml(category.id)}" class="menu-category mb-12"
+                data-category="${escapeHtml(category.id)}"
+                aria-labelledby="categoria-${escapeHtml(category.id)}-heading">
+                <h3 id="categoria-${escapeHtml(category.id)}-heading" class="text-2xl sm:text-3xl font-black text-gray-900 mb-6">
+                    ${escapeHtml(category.name)}
+                </h3>
+                <div class="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+                    ${category.items.map(item => this.renderItemCard(item, category)).join('')}
+                </div>
+            </section>
+        `).join('');
+    }
+
+    /**
+     * Builds the markup for a single item card
+     */
+    renderItemCard(item, category) {
+        const tags = item.tags.map(tag => `
+            <span class="bg-primary/10 text-primary px-2 py-1 rounded-full text-xs font-semibold" data-item-field="tag">${escapeHtml(tag)}</span>
+        `).join('');
+
+        const unit = getPriceUnit(item);
+
+        // Items that need a choice (or a weight) open their sheet instead of adding straight away
+        const addButton = requiresCustomization(item) ? `
+            <button type="button" class="add-to-cart-btn" data-product-open="${escapeHtml(item.id)}"
+                aria-haspopup="dialog" aria-label="Elegir opciones de ${escapeHtml(item.name)}">
+                Elegir
+            </button>
+        ` : `
+            <button type="button" class="add-to-cart-btn" data-add-to-cart="${escapeHtml(item.id)}"
+                aria-label="Agregar ${escapeHtml(item.name)} al pedido">
+                Agregar
+            </button>
+        `;
+
+        return `
+            <article class="product-card cursor-pointer bg-white rounded-3xl shadow-lg overflow-hidden hover:shadow-xl transition-all duration-300 hover:-translate-y-1"
+                data-item-id="${escapeHtml(item.id)}"
+                data-category="${escapeHtml(category.id)}"
+                data-title="${escapeHtml(item.name)}"
+                data-description="${escapeHtml(item.description || '')}">
+                <img src="${escapeHtml(item.image || category.image || '')}"
+                    alt="${escapeHtml(item.name)}"
+                    class="w-full h-40 object-cover"
+                    loading="lazy">
+                <div class="p-6">
+                    <div class="flex items-start justify-between gap-4 mb-2">
+                        <h4 class="text-lg font-bold text-gray-900">
+                            <button type="button" class="product-card-open" data-product-open="${escapeHtml(item.id)}"
+                                aria-haspopup="dialog" data-item-field="name">${escapeHtml(item.name)}</button>
+                        </h4>
+                        <span class="text-primary font-black whitespace-nowrap">
+                            ${formatPrice(item.price)}${unit ? `<span class="price-unit"> / ${unit}</span>` : ''}
+                        </span>
+                    </div>
+                    <p class="text-gray-600 text-sm mb-4" data-item-field="description">${escapeHtml(item.description || '')}</p>
+                    ${tags ? `<div class="flex flex-wrap gap-2 mb-4">${tags}</div>` : ''}
+                    ${renderDietaryIcons(item)}
+                    ${addButton}
+                </div>
+            </article>
+        `;
+    }
+
+    /**
+     * Adds, replaces or (with null) removes a named visibility filter; an item
+     * is shown only when every filter accepts it (search, dietary filters)
+     * @param {string} name
+     * @param {Function|null} predicate - item => boolean
+     * @returns {Object} - Visibility summary, see applyFilters()
+     */
+    setFilter(name, predicate) {
+        if (typeof predicate === 'function') {
+            this.filters.set(name, predicate);
+        } else {
+            this.filters.delete(name);
+        }
+        return this.applyFilters();
+    }
+
+    isItemVisible(item) {
+        for (const predicate of this.filters.values()) {
+            if (!predicate(item)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Hides filtered-out cards and the sections left empty, and tells
+     * navigation which category tabs still have something to show
+     * @returns {Object} - { visibleItems, totalItems, visibleCategories }
+     */
+    applyFilters() {
+        const container = getElement(CONFIG.SELECTORS.MENU.SECTIONS);
+        const visibleCategories = [];
+        let visibleItems = 0;
+
+        if (container && this.catalog) {
+            container.querySelectorAll('.menu-category').forEach(section => {
+                let count = 0;
+                section.querySelectorAll('.product-card[data-item-id]').forEach(card => {
+                    const item = this.getItem(card.dataset.itemId);
+                    const visible = Boolean(item) && this.isItemVisible(item);
+                    card.hidden = !visible;
+                    if (visible) count++;
+                });
+
+                section.hidden = count === 0;
+                if (count > 0) visibleCategories.push(section.dataset.category);
+                visibleItems += count;
+            });
+
+            navigationManager.setVisibleCategories(visibleCategories);
+        }
+
+        this.visibility = { visibleItems, totalItems: this.itemIndex.size, visibleCategories };
+        this.filterListeners.forEach(callback => {
+            try {
+                callback(this.visibility);
+            } catch (error) {
+                console.error('Menu filter listener error:', error);
+            }
+        });
+
+        return this.visibility;
+    }
+
+    /**
+     * @param {Function} callback - Receives the summary from applyFilters()
+     * @returns {Function} - Unsubscribe
+     */
+    onFilterChange(callback) {
+        if (typeof callback !== 'function') return () => {};
+        this.filterListeners.add(callback);
+        return () => this.filterListeners.delete(callback);
+    }
+
+    /**
+     * Lets navigation and image loading pick up the rendered markup
+     */
+    refreshDependents() {
+        navigationManager.refresh();
+
+        if (imageLoader.isInitialized) {
+            imageLoader.refresh();
+        }
+    }
+
+    /**
+     * Public API methods
+     */
+    getCategories() {
+        return this.catalog ? this.catalog.categories : [];
+    }
+
+    getCategory(categoryId) {
+        return this.getCategories().find(category => category.id === categoryId) || null;
+    }
+
+    getItem(itemId) {
+        return this.itemIndex.get(itemId)?.item || null;
+    }
+
+    getItemCategory(itemId) {
+        return this.itemIndex.get(itemId)?.category || null;
+    }
+
+    getAllItems() {
+        return [...this.itemIndex.values()].map(entry => entry.item);
+    }
+
+    getStats() {
+        return {
+            isInitialized: this.isInitialized,
+            categories: this.getCategories().length,
+            items: this.itemIndex.size
+        };
+    }
+
+    destroy() {
+        this.itemIndex.clear();
+        this.filters.clear();
+        this.filterListeners.clear();
+        this.visibility = null;
+        this.catalog = null;
+        this.loadPromise = null;
+        this.isInitialized = false;
+        console.log('Menu catalog destroyed');
+    }
+}
+
+// Create a singleton instance
+export const menuCatalog = new MenuCatalog();
@@ -0,0 +1,224 @@
+// assets/js/modules/product/menu-filters.js
+
+import { CONFIG } from '../config.js';
+import { getElement, escapeHtml, safeJSONParse, safeJSONStringify } from '../utils.js';
+import { menuCatalog } from './menu-catalog.js';
+import {
+    EMPTY_FILTERS,
+    sanitizeFilters,
+    hasActiveFilters,
+    matchesDietaryFilters,
+    describeFilters
+} from './dietary.js';
+
+/**
+ * MenuFilters - Allergen, dietary and spice-level chips for the menu section.
+ * Matching items stay visible through a MenuCatalog filter (empty categories
+ * hide with them); the choice is saved and result counts are announced.
+ */
+export class MenuFilters {
+    constructor(showToast = null) {
+        this.showToast = showToast;
+        this.announce = null;
+        this.container = null;
+        this.filters = { ...EMPTY_FILTERS };
+        this.clickHandler = null;
+        this.isInitialized = false;
+    }
+
+    async init() {
+        try {
+            this.container = getElement(CONFIG.SELECTORS.MENU.FILTERS);
+
+            if (!this.container) {
+                console.log('No menu filters found');
+                return;
+            }
+
+            this.filters = this.restore();
+            this.render();
+
+            this.clickHandler = (event) => this.handleClick(event);
+            this.container.addEventListener('click', this.clickHandler);
+
+            await menuCatalog.whenReady();
+            this.apply({ announce: false });
+
+            this.isInitialized = true;
+            console.log(`✅ Menu filters initialized${hasActiveFilters(this.filters) ? ` - ${describeFilters(this.filters)}` : ''}`);
+
+        } catch (error) {
+            console.error('❌ Error initializing menu filters:', error);
+        }
+    }
+
+    render() {
+        const { ALLERGENS, DIETARY, SPICE_LEVELS } = CONFIG.MENU_FILTERS;
+
+        const chip = (attributes, icon, label) => `
+            <button type="button" class="filter-chip" ${attributes} aria-pressed="false">
+                <span aria-hidden="true">${icon}</span> ${escapeHtml(label)}
+            </button>
+        `;
+
+        // The highest level means "any", so it gets no chip
+        const spiceChips = SPICE_LEVELS.slice(0, -1).map((label, level) =>
+            chip(`data-filter-spice="${level}"`, level === 0 ? '🚫' : '🌶️', level === 0 ? label : `Hasta ${label.toLowerCase()}`)
+        );
+
+        this.container.innerHTML = `
+            <div class="filter-group" role="group" aria-label="Alergias y restricciones">
+                ${Object.entries(ALLERGENS).map(([key, { icon, label }]) =>
+                    chip(`data-filter-exclude="${key}"`, icon, `Sin ${label.toLowerCase()}`)).join('')}
+                ${Object.entries(DIETARY).map(([key, { icon, label }]) =>
+                    chip(`data-filter-require="${key}"`, icon, label)).join('')}
+            </div>
+            <div class="filter-group" role="group" aria-label="Nivel de picante">
+                ${spiceChips.join('')}
+            </div>
+            <div class="filter-summary">
+                <p class="filter-count" data-filter-count></p>
+                <button type="button" class="filter-clear" data-filter-clear hidden>Quitar filtros</button>
+            </div>
+        `;
+    }
+
+    handleClick(event) {
+        const button = event.target.closest('button');
+        if (!button) return;
+
+        if (button.hasAttribute('data-filter-clear')) {
+            this.setFilters(EMPTY_FILTERS);
+            return;
+        }
+
+        const { filterExclude, filterRequire, filterSpice } = button.dataset;
+        const filters = {
+            exclude: [...this.filters.exclude],
+            require: [...this.filters.require],
+            maxSpice: this.filters.maxSpice
+        };
+
+        if (filterExclude) {
+            filters.exclude = this.toggle(filters.exclude, filterExclude);
+        } else if (filterRequire) {
+            filters.require = this.toggle(filters.require, filterRequire);
+        } else if (filterSpice !== undefined) {
+            const level = parseInt(filterSpice, 10);
+            filters.maxSpice = filters.maxSpice === level ? null : level;
+        } else {
+            return;
+        }
+
+        this.setFilters(filters);
+    }
+
+    toggle(list, key) {
+        return list.includes(key) ? list.filter(entry => entry !== key) : [...list, key];
+    }
+
+    /**
+     * @param {Object} filters - { exclude, require, maxSpice }
+     * @returns {Object} - Visibility summary from MenuCatalog
+     */
+    setFilters(filters) {
+        this.filters = sanitizeFilters(filters);
+        this.persist();
+        return this.apply();
+    }
+
+    apply({ announce = true } = {}) {
+        const filters = this.filters;
+        const summary = menuCatalog.setFilter(
+            'dietary',
+            hasActiveFilters(filters) ? item => matchesDietaryFilters(item, filters) : null
+        );
+
+        this.updateControls(summary);
+        if (announce && this.announce) {
+            this.announce(this.getSummaryText(summary));
+        }
+        return summary;
+    }
+
+    getSummaryText({ visibleItems, totalItems }) {
+        if (!hasActiveFilters(this.filters)) {
+            return `Filtros quitados. ${visibleItems} ${visibleItems === 1 ? 'platillo' : 'platillos'} en el menú`;
+        }
+        if (visibleItems === 0) {
+            return `Ningún platillo coincide con: ${describeFilters(this.filters)}`;
+        }
+        return `${visibleItems} de ${totalItems} platillos: ${describeFilters(this.filters)}`;
+    }
+
+    updateControls({ visibleItems, totalItems }) {
+        if (!this.container) return;
+
+        this.container.querySelectorAll('.filter-chip').forEach(chip => {
+            const { filterExclude, filterRequire, filterSpice } = chip.dataset;
+            const pressed = (filterExclude && this.filters.exclude.includes(filterExclude)) ||
+                (filterRequire && this.filters.require.includes(filterRequire)) ||
+                (filterSpice !== undefined && this.filters.maxSpice === parseInt(filterSpice, 10));
+            chip.setAttribute('aria-pressed', pressed ? 'true' : 'false');
+        });
+
+        const active = hasActiveFilters(this.filters);
+        const count = this.container.querySelector('[data-filter-count]');
+        if (count && !active) {
+            count.textContent = '';
+        } else if (count && visibleItems === 0) {
+            count.textContent = 'Ningún platillo coincide. Prueba quitando un filtro.';
+        } else if (count) {
+            count.textContent = `Mostrando ${visibleItems} de ${totalItems} platillos`;
+        }
+
+        const clear = this.container.querySelector('[data-filter-clear]');
+        if (clear) clear.hidden = !active;
+    }
+
+    restore() {
+        let stored = null;
+        try {
+            stored = safeJSONParse(localStorage.getItem(CONFIG.MENU_FILTERS.STORAGE_KEY), null);
+        } catch (error) {
+            console.warn('Menu filters could not be restored:', error);
+        }
+        return sanitizeFilters(stored);
+    }
+
+    persist() {
+        try {
+            if (hasActiveFilters(this.filters)) {
+                const payload = safeJSONStringify(this.filters);
+                if (payload) localStorage.setItem(CONFIG.MENU_FILTERS.STORAGE_KEY, payload);
+            } else {
+                localStorage.removeItem(CONFIG.MENU_FILTERS.STORAGE_KEY);
+            }
+        } catch (error) {
+            console.warn('Menu filters could not be saved:', error);
+        }
+    }
+
+    getStats() {
+        return {
+            isInitialized: this.isInitialized,
+            filters: this.filters,
+            visibility: menuCatalog.visibility
+        };
+    }
+
+    destroy() {
+        if (this.container && this.clickHandler) {
+            this.container.removeEventListener('click', this.clickHandler);
+        }
+        menuCatalog.setFilter('dietary', null);
+
+        this.clickHandler = null;
+        this.container = null;
+        this.isInitialized = false;
+        console.log('Menu filters destroyed');
+    }
+}
+
+// Create a singleton instance
+export const menuFilters = new MenuFilters();
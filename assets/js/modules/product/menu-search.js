@@ -0,0 +1,158 @@
+// assets/js/modules/product/menu-search.js
+
+import { CONFIG } from '../config.js';
+import { getElement, debounce } from '../utils.js';
+import { menuCatalog } from './menu-catalog.js';
+import { buildSearchIndex, searchIndex, highlightText, normalizeText } from './search-index.js';
+
+/**
+ * MenuSearch - Instant menu search box. Matching ignores accents and tolerates
+ * typos and Spanish spelling variants (see search-index.js); non-matching
+ * cards are hidden through a MenuCatalog filter and matches are highlighted.
+ * The index lives in memory, so search works offline with the cached menu.
+ */
+export class MenuSearch {
+    constructor(showToast = null) {
+        this.showToast = showToast;
+        this.input = null;
+        this.status = null;
+        this.index = [];
+        this.query = '';
+        this.results = null;
+        this.handlers = {};
+        this.isInitialized = false;
+    }
+
+    async init() {
+        try {
+            this.input = getElement(CONFIG.SELECTORS.MENU.SEARCH_INPUT);
+            this.status = getElement(CONFIG.SELECTORS.MENU.SEARCH_STATUS);
+
+            if (!this.input) {
+                console.log('No menu search found');
+                return;
+            }
+
+            this.handlers.input = debounce(() => this.search(this.input.value), CONFIG.MENU.SEARCH_DEBOUNCE);
+            this.handlers.keydown = (event) => {
+                if (event.key === 'Escape' && this.input.value) {
+                    event.stopPropagation();
+                    this.input.value = '';
+                    this.search('');
+                } else if (event.key === 'Enter') {
+                    event.preventDefault();
+                    this.search(this.input.value);
+                    this.focusFirstResult();
+                }
+            };
+            this.input.addEventListener('input', this.handlers.input);
+            this.input.addEventListener('keydown', this.handlers.keydown);
+
+            await menuCatalog.whenReady();
+            this.index = buildSearchIndex(menuCatalog.catalog);
+
+            // Browsers restore the field on Back
+            if (this.input.value) this.search(this.input.value);
+
+            this.isInitialized = true;
+            console.log(`✅ Menu search initialized - ${this.index.length} items indexed`);
+
+        } catch (error) {
+            console.error('❌ Error initializing menu search:', error);
+        }
+    }
+
+    /**
+     * @param {string} query - Raw text from the search box
+     * @returns {Array<Object>} - Matches, best first (empty when the query is too short)
+     */
+    search(query) {
+        this.query = String(query || '').trim();
+
+        if (normalizeText(this.query).length < CONFIG.MENU.SEARCH_MIN_LENGTH) {
+            this.results = null;
+            menuCatalog.setFilter('search', null);
+            this.highlight();
+            this.updateStatus([]);
+            return [];
+        }
+
+        const results = searchIndex(this.index, this.query);
+        this.results = new Map(results.map(result => [result.itemId, result]));
+
+        menuCatalog.setFilter('search', item => this.results.has(item.id));
+        this.highlight();
+        this.updateStatus(results);
+        return results;
+    }
+
+    /**
+     * Rewrites the name, description and tags of every card, marking matched words
+     */
+    highlight() {
+        const container = getElement(CONFIG.SELECTORS.MENU.SECTIONS);
+        if (!container) return;
+
+        container.querySelectorAll('.product-card[data-item-id]').forEach(card => {
+            const words = this.results?.get(card.dataset.itemId)?.words || null;
+            card.querySelectorAll('[data-item-field]').forEach(field => {
+                // textContent drops any <mark> from the previous query
+                field.innerHTML = highlightText(field.textContent, words);
+            });
+        });
+    }
+
+    updateStatus(results) {
+        if (!this.status) return;
+
+        if (!this.results) {
+            this.status.textContent = '';
+        } else if (results.length === 0) {
+            this.status.textContent = `No encontramos "${this.query}". Revisa la ortografía o prueba con otra palabra.`;
+        } else {
+            this.status.textContent = `${results.length} ${results.length === 1 ? 'platillo' : 'platillos'} para "${this.query}"`;
+        }
+    }
+
+    /**
+     * Enter jumps to the best match, even when it is not the first card on the page
+     */
+    focusFirstResult() {
+        const [best] = this.results ? [...this.results.values()].sort((a, b) => b.score - a.score) : [];
+        if (!best) return;
+
+        const card = getElement(`${CONFIG.SELECTORS.MENU.SECTIONS} .product-card[data-item-id="${CSS.escape(best.itemId)}"]`);
+        if (!card) return;
+
+        card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        card.querySelector('[data-product-open]')?.focus({ preventScroll: true });
+    }
+
+    getStats() {
+        return {
+            isInitialized: this.isInitialized,
+            indexedItems: this.index.length,
+            query: this.query,
+            results: this.results ? this.results.size : null
+        };
+    }
+
+    destroy() {
+        if (this.input) {
+            this.input.removeEventListener('input', this.handlers.input);
+            this.input.removeEventListener('keydown', this.handlers.keydown);
+        }
+        menuCatalog.setFilter('search', null);
+
+        this.handlers = {};
+        this.input = null;
+        this.status = null;
+        this.index = [];
+        this.results = null;
+        this.isInitialized = false;
+        console.log('Menu search destroyed');
+    }
+}
+
+// Create a singleton instance
+export const menuSearch = new MenuSearch();
@@ -0,0 +1,76 @@
+// assets/js/modules/product/menu-shortcuts.js
+
+import { CONFIG } from '../config.js';
+
+const SHORTCUT_ICONS = [{
+    src: '/assets/images/logo/brasas-icon-192-192.png',
+    sizes: '192x192',
+    type: 'image/png'
+}];
+
+function shortcutUrl(action, params = {}, hash = '') {
+    const query = new URLSearchParams({ [CONFIG.SHORTCUTS.PARAM]: action, ...params });
+    return `${CONFIG.SHORTCUTS.PAGE}?${query}${hash}`;
+}
+
+/**
+ * Items whose tags mark them as a promotion, in menu order
+ * @param {Object} menu - Raw menu.json contents or the normalized catalog
+ */
+export function getPromoItems(menu, promoTags = CONFIG.SHORTCUTS.PROMO_TAGS) {
+    const categories = Array.isArray(menu?.categories) ? menu.categories : [];
+    return categories.flatMap(category => (category.items || [])
+        .filter(item => (item.tags || []).some(tag => promoTags.includes(tag)))
+        .map(item => ({ ...item, categoryId: category.id })));
+}
+
+/**
+ * Web app manifest `shortcuts` generated from the menu (scripts/build-manifest-shortcuts.mjs).
+ * Manifest shortcuts cannot change at runtime, so the per-customer part
+ * (which order to repeat) is resolved by AppShortcuts when the app opens.
+ * Android shows only the first few, so the order is by priority.
+ * @param {Object} menu - Raw menu.json contents
+ * @returns {Array<Object>}
+ */
+export function buildShortcuts(menu, { max = CONFIG.SHORTCUTS.MAX } = {}) {
+    const promos = getPromoItems(menu);
+    const categories = Array.isArray(menu?.categories) ? menu.categories : [];
+
+    const shortcuts = [
+        {
+            name: 'Repetir último pedido',
+            short_name: 'Repetir pedido',
+            description: 'Vuelve a llenar tu pedido con lo que pediste la última vez',
+            url: shortcutUrl('reorder')
+        },
+        promos.length > 0 && {
+            name: 'Ver promociones',
+            short_name: 'Promociones',
+            description: promos.slice(0, 3).map(item => item.name).join(', '),
+            url: shortcutUrl('promos', {}, '#menu')
+        },
+        {
+            name: 'Ubicación del restaurante',
+            short_name: 'Ubicación',
+            description: 'Encuéntranos en Villa Sonora, Nogales',
+            url: `${CONFIG.SHORTCUTS.PAGE}#location`
+        },
+        {
+            name: 'Métodos de contacto',
+            short_name: 'Contacto',
+            description: 'Contacta a Brasas Smokehouse por WhatsApp, teléfono o email',
+            url: `${CONFIG.SHORTCUTS.PAGE}#contacto`
+        },
+        ...categories.map(category => ({
+            name: `Menú: ${category.name}`,
+            short_name: category.name,
+            description: category.description || `Ver ${category.name}`,
+            url: shortcutUrl('menu', { category: category.id }, '#menu')
+        }))
+    ];
+
+    return shortcuts
+        .filter(Boolean)
+        .slice(0, max)
+        .map(shortcut => ({ ...shortcut, icons: SHORTCUT_ICONS }));
+}
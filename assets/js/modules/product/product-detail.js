@@ -0,0 +1,509 @@
+// assets/js/modules/product/product-detail.js
+
+import { CONFIG } from '../config.js';
+import { getElement, escapeHtml, formatPrice, formatPriceDelta, trapFocus } from '../utils.js';
+import { menuCatalog } from './menu-catalog.js';
+import { cartManager } from '../cart/cart.js';
+import {
+    getDefaultSelection,
+    priceSelection,
+    lineTotal,
+    getWeightSteps,
+    formatWeight,
+    getPriceUnit
+} from '../cart/pricing.js';
+import { contactManager } from '../business/contact.js';
+import { renderDietaryIcons } from './dietary.js';
+
+/**
+ * Hash that opens an item's sheet, e.g. '#menu/tacos-quesadillas/taco-arrachera'
+ */
+export function getItemHash(item, category) {
+    return `${CONFIG.MENU.ITEM_HASH_PREFIX}${encodeURIComponent(category.id)}/${encodeURIComponent(item.id)}`;
+}
+
+/**
+ * @returns {string|null} - Item id from a '#menu/<categoryId>/<itemId>' hash
+ */
+export function parseItemHash(hash) {
+    if (!hash || !hash.startsWith(CONFIG.MENU.ITEM_HASH_PREFIX)) return null;
+
+    const [categoryId, itemId] = hash.slice(CONFIG.MENU.ITEM_HASH_PREFIX.length).split('/');
+    if (!categoryId || !itemId) return null;
+
+    try {
+        return decodeURIComponent(itemId);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * ProductDetail - Detail sheet for a menu item (bottom sheet on mobile, dialog
+ * on desktop): photos, description, price, tags, option groups, weight, notes
+ * and quantity. Prices come from pricing.js, the same as in the cart. Each open item has its own hash so it can be shared and the
+ * Back button closes it.
+ */
+export class ProductDetail {
+    constructor(showToast = null) {
+        this.showToast = showToast;
+        this.sheet = null;
+        this.sections = null;
+        this.item = null;
+        this.category = null;
+        this.quantity = 1;
+        this.selection = null;
+        this.showErrors = false;
+        this.photoIndex = 0;
+        this.isOpen = false;
+        this.pushedState = false;
+        this.lastFocused = null;
+        this.handlers = {};
+        this.isInitialized = false;
+    }
+
+    async init() {
+        try {
+            this.sheet = getElement(CONFIG.SELECTORS.PRODUCT_SHEET);
+            this.sections = getElement(CONFIG.SELECTORS.MENU.SECTIONS);
+
+            if (!this.sheet || !this.sections) {
+                console.log('No product sheet found');
+                return;
+            }
+
+            this.handlers.cardClick = (event) => this.handleCardClick(event);
+            this.handlers.sheetClick = (event) => this.handleSheetClick(event);
+            this.handlers.sheetChange = (event) => this.handleSheetChange(event);
+            this.handlers.keydown = (event) => {
+                if (!this.isOpen) return;
+                if (event.key === 'Escape') this.close();
+                if (event.key === 'Tab') trapFocus(event, this.sheet);
+            };
+            this.handlers.hashChange = () => this.syncWithHash();
+
+            this.sections.addEventListener('click', this.handlers.cardClick);
+            this.sheet.addEventListener('click', this.handlers.sheetClick);
+            this.sheet.addEventListener('change', this.handlers.sheetChange);
+            document.addEventListener('keydown', this.handlers.keydown);
+            window.addEventListener('hashchange', this.handlers.hashChange);
+
+            this.isInitialized = true;
+            console.log('✅ Product detail initialized');
+
+            // Shared links: open the item once the menu is there
+            if (parseItemHash(window.location.hash)) {
+                await menuCatalog.whenReady();
+                this.syncWithHash();
+            }
+
+        } catch (error) {
+            console.error('❌ Error initializing product detail:', error);
+        }
+    }
+
+    /**
+     * Any click on a card opens it, except its own "Agregar" button
+     */
+    handleCardClick(event) {
+        if (event.target.closest('[data-add-to-cart]')) return;
+
+        const card = event.target.closest('.product-card');
+        if (!card || !card.dataset.itemId) return;
+
+        event.preventDefault();
+        this.open(card.dataset.itemId);
+    }
+
+    handleSheetClick(event) {
+        const photo = event.target.closest('[data-product-photo]');
+        if (photo) {
+            this.showPhoto(parseInt(photo.dataset.productPhoto, 10));
+            return;
+        }
+
+        const control = event.target.closest('[data-product-action]');
+        if (!control) return;
+
+        switch (control.dataset.productAction) {
+            case 'close':
+                this.close();
+                break;
+            case 'decrease':
+                this.setQuantity(this.quantity - 1);
+                break;
+            case 'increase':
+                this.setQuantity(this.quantity + 1);
+                break;
+            case 'add':
+                this.addToOrder();
+                break;
+            case 'share':
+                this.share();
+                break;
+        }
+    }
+
+    /**
+     * Option checkboxes, radios and the weight picker reprice the sheet as they change
+     */
+    handleSheetChange(event) {
+        if (!event.target.closest('[data-option-group], [data-product-weight]')) return;
+
+        this.selection = this.readSelection();
+        this.updateOptions();
+        this.updateQuantity();
+    }
+
+    /**
+     * Opens or closes the sheet to match location.hash (Back, Forward, edited URLs)
+     */
+    syncWithHash() {
+        const itemId = parseItemHash(window.location.hash);
+
+        if (itemId && menuCatalog.getItem(itemId)) {
+            if (this.item?.id !== itemId || !this.isOpen) {
+                this.open(itemId, { updateHash: false });
+            }
+        } else if (this.isOpen) {
+            this.close({ updateHash: false });
+        }
+    }
+
+    /**
+     * @param {string} itemId
+     * @param {Object} options - { updateHash: false } when the hash already points here
+     */
+    open(itemId, { updateHash = true } = {}) {
+        const item = menuCatalog.getItem(itemId);
+        const category = menuCatalog.getItemCategory(itemId);
+        if (!this.sheet || !item || !category) return;
+
+        if (!this.isOpen) {
+            this.lastFocused = document.activeElement;
+        }
+
+        this.item = item;
+        this.category = category;
+        this.quantity = 1;
+        this.selection = getDefaultSelection(item);
+        this.showErrors = false;
+        this.photoIndex = 0;
+        this.render();
+
+        if (updateHash) {
+            const hash = getItemHash(item, category);
+            if (window.location.hash !== hash) {
+                window.history.pushState(window.history.state, '', hash);
+                this.pushedState = true;
+            }
+        }
+
+        this.isOpen = true;
+        this.sheet.classList.add('show');
+        this.sheet.setAttribute('aria-hidden', 'false');
+        document.body.style.overflow = 'hidden';
+
+        const firstControl = this.sheet.querySelector('[data-product-action="add"]');
+        if (firstControl) {
+            setTimeout(() => firstControl.focus(), 100);
+        }
+    }
+
+    /**
+     * @param {Object} options - { updateHash: false } when the hash already moved away
+     */
+    close({ updateHash = true } = {}) {
+        if (!this.sheet || !this.isOpen) return;
+
+        this.isOpen = false;
+        this.sheet.classList.remove('show');
+        this.sheet.setAttribute('aria-hidden', 'true');
+        document.body.style.overflow = '';
+
+        if (updateHash) {
+            if (this.pushedState) {
+                // Drops the entry open() added, so Back after closing leaves the page as expected
+                window.history.back();
+            } else {
+                window.history.replaceState(window.history.state, '', '#menu');
+            }
+        }
+        this.pushedState = false;
+
+        this.lastFocused?.focus?.();
+        this.lastFocused = null;
+    }
+
+    render() {
+        const { item, category } = this;
+        const photos = item.images.length > 0 ? item.images : [''];
+
+        const thumbs = photos.length > 1 ? `
+            <div class="product-gallery-thumbs" role="group" aria-label="Fotos de ${escapeHtml(item.name)}">
+                ${photos.map((src, index) => `
+                    <button type="button" class="product-gallery-thumb" data-product-photo="${index}"
+                        aria-label="Foto ${index + 1} de ${photos.length}"${index === 0 ? ' aria-current="true"' : ''}>
+                        <img src="${escapeHtml(src)}" alt="" loading="lazy">
+                    </button>
+                `).join('')}
+            </div>
+        ` : '';
+
+        const tags = item.tags.map(tag => `<li class="product-sheet-tag">${escapeHtml(tag)}</li>`).join('');
+
+        const unit = getPriceUnit(item);
+        const options = item.options.map(group => this.renderOptionGroup(group)).join('');
+
+        const weightPicker = item.weight ? `
+            <div class="product-weight" data-option-group-id="weight">
+                <label class="product-notes-label" for="product-sheet-weight">Peso</label>
+                <select id="product-sheet-weight" class="product-weight-select" data-product-weight
+                    aria-describedby="product-option-error-weight">
+                    ${getWeightSteps(item.weight).map(grams => `
+                        <option value="${grams}"${grams === this.selection.grams ? ' selected' : ''}>
+                            ${formatWeight(grams)} · ${formatPrice(priceSelection(item, { grams }).base)}
+                        </option>
+                    `).join('')}
+                </select>
+                <p class="product-option-error" id="product-option-error-weight" data-option-error="weight"></p>
+            </div>
+        ` : '';
+
+        this.sheet.innerHTML = `
+            <div class="product-sheet-backdrop" data-product-action="close"></div>
+            <div class="product-sheet-panel">
+                <button type="button" class="product-sheet-close" data-product-action="close" aria-label="Cerrar">&times;</button>
+                <div class="product-gallery">
+                    <img class="product-gallery-image" src="${escapeHtml(photos[0])}" alt="${escapeHtml(item.name)}">
+                    ${thumbs}
+                </div>
+                <div class="product-sheet-body">
+                    <p class="product-sheet-category">${escapeHtml(category.name)}</p>
+                    <div class="product-sheet-heading">
+                        <h2 id="product-sheet-title">${escapeHtml(item.name)}</h2>
+                        <span class="product-sheet-price">${formatPrice(item.price)}${unit ? ` / ${unit}` : ''}</span>
+                    </div>
+                    ${tags ? `<ul class="product-sheet-tags" aria-label="Etiquetas">${tags}</ul>` : ''}
+                    ${item.description ? `<p class="product-sheet-description">${escapeHtml(item.description)}</p>` : ''}
+                    ${renderDietaryIcons(item)}
+                    ${weightPicker}
+                    ${options}
+                    <label class="product-notes-label" for="product-sheet-notes">Notas para la cocina</label>
+                    <textarea id="product-sheet-notes" class="product-notes" rows="2"
+                        maxlength="${CONFIG.CART.MAX_NOTES_LENGTH}" placeholder="Ej. cortada en tiras"></textarea>
+                    <div class="product-sheet-actions">
+                        <div class="product-quantity" role="group" aria-label="Cantidad">
+                            <button type="button" data-product-action="decrease" aria-label="Quitar uno">&minus;</button>
+                            <output data-product-quantity aria-live="polite">1</output>
+                            <button type="button" data-product-action="increase" aria-label="Agregar uno">+</button>
+                        </div>
+                        <button type="button" class="product-add-btn" data-product-action="add"></button>
+                    </div>
+                    <button type="button" class="product-share-btn" data-product-action="share">Compartir platillo</button>
+                </div>
+            </div>
+        `;
+
+        this.updateOptions();
+        this.updateQuantity();
+    }
+
+    /**
+     * Radios for single-choice groups, checkboxes for multi-choice ones
+     */
+    renderOptionGroup(group) {
+        let hint = group.required ? 'Obligatorio' : 'Opcional';
+        if (group.type === 'multi' && group.min > 0) {
+            hint = group.min === group.max ? `Elige ${group.max}` : `Elige de ${group.min} a ${group.max}`;
+        } else if (group.type === 'multi' && group.max < group.choices.length) {
+            hint = `Opcional, hasta ${group.max}`;
+        }
+
+        const selected = this.selection.options[group.id] || [];
+
+        return `
+            <fieldset class="product-modifiers" data-option-group-id="${escapeHtml(group.id)}"
+                aria-describedby="product-option-error-${escapeHtml(group.id)}">
+                <legend>${escapeHtml(group.name)} <span class="product-option-hint">${hint}</span></legend>
+                ${group.choices.map(choice => `
+                    <label class="product-modifier">
+                        <input type="${group.type === 'single' ? 'radio' : 'checkbox'}" name="option-${escapeHtml(group.id)}"
+                            value="${escapeHtml(choice.id)}" data-option-group="${escapeHtml(group.id)}"
+                            ${selected.includes(choice.id) ? 'checked' : ''}>
+                        <span>${escapeHtml(choice.name)}</span>
+                        ${choice.price ? `<span class="product-option-price">${formatPriceDelta(choice.price)}</span>` : ''}
+                    </label>
+                `).join('')}
+                <p class="product-option-error" id="product-option-error-${escapeHtml(group.id)}"
+                    data-option-error="${escapeHtml(group.id)}"></p>
+            </fieldset>
+        `;
+    }
+
+    showPhoto(index) {
+        const photos = this.item?.images || [];
+        if (!photos[index]) return;
+
+        this.photoIndex = index;
+        this.sheet.querySelector('.product-gallery-image').src = photos[index];
+        this.sheet.querySelectorAll('[data-product-photo]').forEach(thumb => {
+            if (parseInt(thumb.dataset.productPhoto, 10) === index) {
+                thumb.setAttribute('aria-current', 'true');
+            } else {
+                thumb.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    setQuantity(quantity) {
+        this.quantity = Math.min(Math.max(quantity, 1), CONFIG.CART.MAX_QUANTITY);
+        this.updateQuantity();
+    }
+
+    updateQuantity() {
+        const output = this.sheet.querySelector('[data-product-quantity]');
+        const addButton = this.sheet.querySelector('[data-product-action="add"]');
+
+        if (output) output.textContent = String(this.quantity);
+        if (addButton) {
+            const { unitPrice } = priceSelection(this.item, this.selection);
+            addButton.textContent = `Agregar ${this.quantity} · ${formatPrice(lineTotal(unitPrice, this.quantity))}`;
+        }
+    }
+
+    /**
+     * @returns {Object} - Selection from the option inputs and weight picker, see pricing.js
+     */
+    readSelection() {
+        const options = {};
+        this.sheet.querySelectorAll('[data-option-group]:checked').forEach(input => {
+            const groupId = input.dataset.optionGroup;
+            options[groupId] = [...(options[groupId] || []), input.value];
+        });
+
+        const weight = this.sheet.querySelector('[data-product-weight]');
+        return { options, grams: weight ? parseInt(weight.value, 10) : null };
+    }
+
+    /**
+     * Disables the unchecked boxes of multi-choice groups at their maximum and,
+     * after a failed add, keeps the group errors current
+     */
+    updateOptions() {
+        this.item.options.forEach(group => {
+            if (group.type !== 'multi') return;
+
+            const inputs = [...this.sheet.querySelectorAll(`[data-option-group="${CSS.escape(group.id)}"]`)];
+            const full = inputs.filter(input => input.checked).length >= group.max;
+            inputs.forEach(input => {
+                input.disabled = full && !input.checked;
+            });
+        });
+
+        if (this.showErrors) {
+            this.showValidation(priceSelection(this.item, this.selection).errors);
+        }
+    }
+
+    showValidation(errors) {
+        this.sheet.querySelectorAll('[data-option-group-id]').forEach(group => {
+            const error = errors.find(entry => entry.groupId === group.dataset.optionGroupId);
+            const message = group.querySelector('[data-option-error]');
+
+            if (message) message.textContent = error ? error.message : '';
+            if (error) {
+                group.setAttribute('aria-invalid', 'true');
+            } else {
+                group.removeAttribute('aria-invalid');
+            }
+        });
+    }
+
+    readNotes() {
+        return (this.sheet.querySelector('#product-sheet-notes')?.value || '').trim();
+    }
+
+    addToOrder() {
+        if (!this.item) return;
+
+        const { item, quantity } = this;
+        const priced = priceSelection(item, this.selection);
+
+        if (!priced.valid) {
+            this.showErrors = true;
+            this.showValidation(priced.errors);
+
+            const [firstError] = priced.errors;
+            const group = this.sheet.querySelector(`[data-option-group-id="${CSS.escape(firstError.groupId)}"]`);
+            group?.querySelector('input, select')?.focus();
+            if (this.showToast) this.showToast(firstError.message, 'warning');
+            return;
+        }
+
+        cartManager.addItem(item, quantity, this.readNotes(), priced.selection);
+        this.close();
+
+        if (this.showToast) {
+            this.showToast(`${quantity > 1 ? `${quantity}x ` : ''}${item.name} agregado al pedido`, 'success', 2000);
+        }
+    }
+
+    async share() {
+        if (!this.item) return;
+
+        const url = `${window.location.origin}${window.location.pathname}${getItemHash(this.item, this.category)}`;
+        const title = `${this.item.name} - Brasas Smokehouse`;
+
+        if (navigator.share) {
+            try {
+                await navigator.share({ title, text: this.item.description || title, url });
+            } catch (error) {
+                // AbortError: the customer closed the share sheet
+                if (error.name !== 'AbortError') console.warn('Share failed:', error);
+            }
+            return;
+        }
+
+        contactManager.copyTextToClipboard(
+            url,
+            () => {
+                if (this.showToast) this.showToast('Enlace copiado', 'success', 2000);
+            },
+            () => {
+                if (this.showToast) this.showToast('No se pudo copiar el enlace', 'error');
+            },
+            'product-link'
+        );
+    }
+
+    getStats() {
+        return {
+            isInitialized: this.isInitialized,
+            isOpen: this.isOpen,
+            itemId: this.item?.id || null
+        };
+    }
+
+    destroy() {
+        if (this.isOpen) this.close({ updateHash: false });
+
+        this.sections?.removeEventListener('click', this.handlers.cardClick);
+        this.sheet?.removeEventListener('click', this.handlers.sheetClick);
+        this.sheet?.removeEventListener('change', this.handlers.sheetChange);
+        document.removeEventListener('keydown', this.handlers.keydown);
+        window.removeEventListener('hashchange', this.handlers.hashChange);
+        this.handlers = {};
+
+        this.sheet = null;
+        this.sections = null;
+        this.item = null;
+        this.category = null;
+        this.selection = null;
+        this.isInitialized = false;
+        console.log('Product detail destroyed');
+    }
+}
+
+// Create a singleton instance
+export const productDetail = new ProductDetail();
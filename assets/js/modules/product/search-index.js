@@ -0,0 +1,195 @@
+// assets/js/modules/product/search-index.js
+
+import { escapeHtml } from '../utils.js';
+
+// Words too common to narrow anything down ("tacos de arrachera")
+const STOPWORDS = new Set(['de', 'del', 'la', 'las', 'el', 'los', 'con', 'sin', 'y', 'en', 'a', 'al', 'para', 'un', 'una']);
+
+// Matches on the name count more than tags, tags more than the description
+const FIELD_WEIGHTS = { name: 3, tags: 2, description: 1 };
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Lowercase, no accents or ñ tilde, punctuation as spaces: 'Ñoño, Jalapeño' -> 'nono jalapeno'
+ */
+export function normalizeText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Folds spellings that sound the same in Mexican Spanish, so 'kesadiya',
+ * 'quesadilla' and 'quesadiya' share a key: ll/y, qu/c/k, z/s/soft c,
+ * v/b, silent h, doubled letters
+ * @param {string} word - Already normalized
+ */
+export function phoneticKey(word) {
+    return word
+        .replace(/ll/g, 'y')
+        .replace(/(^|[^c])h/g, '$1')
+        .replace(/qu/g, 'k')
+        .replace(/c([ei])/g, 's$1')
+        .replace(/c/g, 'k')
+        .replace(/z/g, 's')
+        .replace(/v/g, 'b')
+        .replace(/y$/, 'i')
+        .replace(/(.)\1+/g, '$1');
+}
+
+/**
+ * Edit distance counting swaps of adjacent letters as one edit; stops early past `max`
+ * @returns {number} - The distance, or max + 1 when it is larger than max
+ */
+export function editDistance(a, b, max = 2) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+        const nextRow = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousRow[j - 2] + 1);
+            }
+
+            nextRow[j] = value;
+            rowMin = Math.min(rowMin, value);
+        }
+
+        if (rowMin > max) return max + 1;
+        previousRow = row;
+        row = nextRow;
+    }
+
+    return row[b.length];
+}
+
+/**
+ * Typos allowed for a query word of this length
+ */
+function allowedTypos(length) {
+    if (length < 4) return 0;
+    if (length < 8) return 1;
+    return 2;
+}
+
+function tokenize(text) {
+    return normalizeText(text).split(' ').filter(Boolean);
+}
+
+/**
+ * How well one query word matches one indexed word (0 = no match)
+ */
+function matchWord(query, word) {
+    if (word.text === query.text) return 1;
+    if (word.text.startsWith(query.text)) return 0.9;
+    if (word.key === query.key || word.key.startsWith(query.key)) return 0.8;
+
+    const typos = allowedTypos(query.key.length);
+    if (typos === 0) return 0;
+    if (editDistance(query.key, word.key, typos) <= typos) return 0.6;
+
+    // Still typing: compare against the start of longer words
+    if (word.key.length > query.key.length &&
+        editDistance(query.key, word.key.slice(0, query.key.length), typos) <= typos) {
+        return 0.5;
+    }
+    return 0;
+}
+
+function toWord(text) {
+    return { text, key: phoneticKey(text) };
+}
+
+/**
+ * In-memory index over item names, descriptions and tags
+ * @param {Object} catalog - Normalized catalog from MenuCatalog
+ * @returns {Array<Object>} - [{ itemId, categoryId, fields: { name, tags, description } }]
+ */
+export function buildSearchIndex(catalog) {
+    const categories = Array.isArray(catalog?.categories) ? catalog.categories : [];
+
+    return categories.flatMap(category => category.items.map(item => ({
+        itemId: item.id,
+        categoryId: category.id,
+        fields: {
+            name: tokenize(item.name).map(toWord),
+            tags: (item.tags || []).flatMap(tokenize).map(toWord),
+            description: tokenize(item.description).map(toWord)
+        }
+    })));
+}
+
+/**
+ * Items matching every meaningful word of the query, best first
+ * @returns {Array<Object>} - [{ itemId, categoryId, score, words: Set<normalized matched words> }]
+ */
+export function searchIndex(index, query) {
+    const tokens = tokenize(query);
+    const meaningful = tokens.filter(token => !STOPWORDS.has(token));
+    const queryWords = (meaningful.length > 0 ? meaningful : tokens).map(toWord);
+    if (queryWords.length === 0) return [];
+
+    const results = [];
+
+    index.forEach(entry => {
+        let score = 0;
+        const words = new Set();
+
+        const matchesAll = queryWords.every(queryWord => {
+            let best = 0;
+
+            Object.entries(entry.fields).forEach(([field, fieldWords]) => {
+                fieldWords.forEach(word => {
+                    const value = matchWord(queryWord, word);
+                    if (value === 0) return;
+
+                    words.add(word.text);
+                    best = Math.max(best, value * FIELD_WEIGHTS[field]);
+                });
+            });
+
+            score += best;
+            return best > 0;
+        });
+
+        if (matchesAll) {
+            results.push({ itemId: entry.itemId, categoryId: entry.categoryId, score, words });
+        }
+    });
+
+    return results.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Escaped text with the matched words wrapped in <mark>
+ * @param {string} text - Original text, accents included
+ * @param {Set<string>} words - Normalized words from a search result
+ */
+export function highlightText(text, words) {
+    const source = String(text || '');
+    if (!words || words.size === 0) return escapeHtml(source);
+
+    let html = '';
+    let lastIndex = 0;
+
+    for (const match of source.matchAll(WORD_PATTERN)) {
+        html += escapeHtml(source.slice(lastIndex, match.index));
+        const word = match[0];
+        html += words.has(normalizeText(word)) ? `<mark>${escapeHtml(word)}</mark>` : escapeHtml(word);
+        lastIndex = match.index + word.length;
+    }
+
+    return html + escapeHtml(source.slice(lastIndex));
+}
@@ -1,6 +1,7 @@
 // assets/js/modules/ui/animations.js
 
 import { getElement, getElements } from '../utils.js';
+import { dataSaver } from './data-saver.js';
 
 export class AnimationManager {
     constructor(showToast = null) {
@@ -10,6 +11,9 @@ export class AnimationManager {
         this.isLowEndDevice = false;
         this.visibilityObserver = null;
         this.elementsToReveal = new Set();
+        this.unsubscribeDataSaver = dataSaver.onChange(enabled => {
+            if (enabled) this.handleVideos();
+        });
         this.fallbackTimeout = null;
     }
 
@@ -76,10 +80,7 @@ export class AnimationManager {
         const indicators = {
             lowMemory: navigator.deviceMemory && navigator.deviceMemory < 3,
             lowCPU: navigator.hardwareConcurrency && navigator.hardwareConcurrency < 4,
-            slowConnection: navigator.connection && 
-                          (navigator.connection.effectiveType === '2g' || 
-                           navigator.connection.effectiveType === 'slow-2g' ||
-                           navigator.connection.downlink < 2),
+            dataSaver: dataSaver.isEnabled(),
             oldBrowser: !window.IntersectionObserver || !window.requestAnimationFrame
         };
 
@@ -211,38 +212,71 @@ export class AnimationManager {
             video.playsInline = true;
             video.setAttribute('aria-hidden', 'true');
             
+            if (dataSaver.isEnabled()) {
+                this.stopVideo(video);
+                return;
+            }
+            
             video.play().catch(() => {
                 this.handleVideoFallback(video);
             });
         });
     }
 
-    handleVideoFallback(video) {
+    /**
+     * Hides a video that can't or shouldn't play and shows its poster, or the brand gradient
+     * @param {HTMLVideoElement} video
+     * @param {string} [poster] - Image shown in place of the video
+     */
+    handleVideoFallback(video, poster = video.poster) {
         video.style.display = 'none';
         const parent = video.parentElement;
-        if (parent && !parent.querySelector('.video-fallback')) {
-            const fallback = document.createElement('div');
+        if (!parent) return;
+
+        let fallback = parent.querySelector('.video-fallback');
+        if (!fallback) {
+            fallback = document.createElement('div');
             fallback.className = 'video-fallback';
-            fallback.style.cssText = `
-                position: absolute;
-                inset: 0;
-                background: linear-gradient(135deg, #ad2118, #ea580c);
-                z-index: -1;
-            `;
+            fallback.setAttribute('aria-hidden', 'true');
             parent.appendChild(fallback);
         }
+
+        const gradient = 'linear-gradient(135deg, #ad2118, #ea580c)';
+        fallback.style.cssText = `
+            position: absolute;
+            inset: 0;
+            background: ${poster ? `url("${poster}") center / cover no-repeat, ` : ''}${gradient};
+            z-index: 0;
+        `;
+    }
+
+    /**
+     * Undoes handleVideoFallback() once the video may play again
+     */
+    clearVideoFallback(video) {
+        video.style.display = '';
+        video.parentElement?.querySelector('.video-fallback')?.remove();
     }
 
     handleVideos() {
         const videos = getElements('video');
         videos.forEach(video => {
-            if (this.isLowEndDevice) {
-                video.pause();
-                this.handleVideoFallback(video);
+            if (this.isLowEndDevice || dataSaver.isEnabled()) {
+                this.stopVideo(video);
             }
         });
     }
 
+    /**
+     * Pauses a video and stops it from buffering any further
+     */
+    stopVideo(video) {
+        video.pause();
+        video.preload = 'none';
+        video.removeAttribute('autoplay');
+        this.handleVideoFallback(video);
+    }
+
     setupFallbacks() {
         // Fallback: If something goes wrong, show everything after 3 seconds
         this.fallbackTimeout = setTimeout(() => {
@@ -281,7 +315,7 @@ export class AnimationManager {
                         video.dataset.wasPaused = 'false';
                     }
                 });
-            } else if (!this.isLowEndDevice) {
+            } else if (!this.isLowEndDevice && !dataSaver.isEnabled()) {
                 videos.forEach(video => {
                     if (video.dataset.wasPaused === 'false') {
                         video.play().catch(() => this.handleVideoFallback(video));
@@ -324,6 +358,11 @@ export class AnimationManager {
             this.fallbackTimeout = null;
         }
         
+        if (this.unsubscribeDataSaver) {
+            this.unsubscribeDataSaver();
+            this.unsubscribeDataSaver = null;
+        }
+        
         this.elementsToReveal.clear();
         this.isInitialized = false;
         
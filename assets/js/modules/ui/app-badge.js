@@ -0,0 +1,158 @@
+// assets/js/modules/ui/app-badge.js
+
+import '../../shared/idb.js';
+import '../../shared/sw-messages.js';
+import { CONFIG } from '../config.js';
+import { cartManager } from '../cart/cart.js';
+
+const { BrasasDB, BrasasMessages } = self;
+
+/**
+ * AppBadge - Badge on the installed app's icon (Badging API).
+ * Shows the cart item count, or a plain flag while an ORDER_READY push
+ * (set by sw.js) has not been seen. Browsers without the API get a no-op.
+ */
+export class AppBadge {
+    constructor(showToast = null) {
+        this.showToast = showToast;
+        this.isSupported = false;
+        this.orderReady = false;
+        this.unsubscribeCart = null;
+        this.messageHandler = null;
+        this.visibilityHandler = null;
+        this.isInitialized = false;
+    }
+
+    async init() {
+        try {
+            this.isSupported = 'setAppBadge' in navigator;
+
+            this.unsubscribeCart = cartManager.onChange(() => this.update());
+
+            if ('serviceWorker' in navigator) {
+                this.messageHandler = (event) => this.handleServiceWorkerMessage(event);
+                navigator.serviceWorker.addEventListener('message', this.messageHandler);
+            }
+
+            // Opening the app is what "seeing" the order-ready flag means
+            this.visibilityHandler = () => {
+                if (document.visibilityState === 'visible' && this.orderReady) {
+                    this.acknowledgeOrderReady();
+                }
+            };
+            document.addEventListener('visibilitychange', this.visibilityHandler);
+
+            this.orderReady = await this.readOrderReady();
+            if (this.orderReady && document.visibilityState === 'visible') {
+                await this.acknowledgeOrderReady();
+            } else {
+                await this.update();
+            }
+
+            this.isInitialized = true;
+            console.log(`✅ App badge initialized - ${this.isSupported ? 'supported' : 'not supported'}`);
+
+        } catch (error) {
+            console.error('❌ Error initializing app badge:', error);
+        }
+    }
+
+    async readOrderReady() {
+        try {
+            const record = await BrasasDB.get(BrasasDB.STORES.SETTINGS, CONFIG.APP_BADGE.SETTING_ID);
+            return Boolean(record?.orderReady);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    handleServiceWorkerMessage(event) {
+        const { type, data = {} } = event.data || {};
+        if (type !== BrasasMessages.TYPES.APP_BADGE_CHANGED) return;
+
+        this.orderReady = Boolean(data.orderReady);
+        if (this.orderReady && document.visibilityState === 'visible') {
+            this.acknowledgeOrderReady();
+        } else {
+            this.update();
+        }
+    }
+
+    /**
+     * @returns {number|null} - Count to show, 0 to clear, or null for the plain flag
+     */
+    getBadgeValue() {
+        if (this.orderReady) return null;
+        return cartManager.getTotals().itemCount;
+    }
+
+    async update() {
+        if (!this.isSupported) return;
+
+        const value = this.getBadgeValue();
+        try {
+            if (value === null) {
+                await navigator.setAppBadge();
+            } else if (value > 0) {
+                await navigator.setAppBadge(value);
+            } else {
+                await navigator.clearAppBadge();
+            }
+        } catch (error) {
+            // Safari rejects badges until notifications are allowed
+            console.warn('App badge could not be updated:', error);
+        }
+    }
+
+    /**
+     * The app is in front of the customer: tell them once, then go back to the cart count
+     */
+    async acknowledgeOrderReady() {
+        this.orderReady = false;
+        if (this.showToast) {
+            this.showToast('¡Tu pedido está listo! Pasa por él al drive-thru', 'success', 6000);
+        }
+
+        try {
+            await BrasasDB.put(BrasasDB.STORES.SETTINGS, {
+                id: CONFIG.APP_BADGE.SETTING_ID,
+                orderReady: false,
+                orderId: null,
+                updatedAt: Date.now()
+            });
+        } catch (error) {
+            console.warn('App badge state could not be saved:', error);
+        }
+
+        await this.update();
+    }
+
+    getStats() {
+        return {
+            isInitialized: this.isInitialized,
+            isSupported: this.isSupported,
+            orderReady: this.orderReady,
+            value: this.getBadgeValue()
+        };
+    }
+
+    destroy() {
+        if (this.unsubscribeCart) {
+            this.unsubscribeCart();
+            this.unsubscribeCart = null;
+        }
+        if (this.messageHandler) {
+            navigator.serviceWorker.removeEventListener('message', this.messageHandler);
+            this.messageHandler = null;
+        }
+        if (this.visibilityHandler) {
+            document.removeEventListener('visibilitychange', this.visibilityHandler);
+            this.visibilityHandler = null;
+        }
+        this.isInitialized = false;
+        console.log('App badge destroyed');
+    }
+}
+
+// Create a singleton instance
+export const appBadge = new AppBadge();
@@ -0,0 +1,134 @@
+// assets/js/modules/ui/app-shortcuts.js
+
+import { CONFIG } from '../config.js';
+import { getElement } from '../utils.js';
+import { menuCatalog } from '../product/menu-catalog.js';
+import { cartManager } from '../cart/cart.js';
+import { cartPanel } from '../cart/cart-panel.js';
+import { orderComposer } from '../cart/order-composer.js';
+import { navigationManager } from './navigation.js';
+import { getPromoItems } from '../product/menu-shortcuts.js';
+
+/**
+ * AppShortcuts - Runs the action of the manifest shortcut the app was opened
+ * from (?shortcut=reorder | promos | menu), then drops the parameter so a
+ * reload does not run it again
+ */
+export class AppShortcuts {
+    constructor(showToast = null) {
+        this.showToast = showToast;
+        this.lastAction = null;
+        this.isInitialized = false;
+    }
+
+    async init() {
+        try {
+            const url = new URL(window.location.href);
+            const action = url.searchParams.get(CONFIG.SHORTCUTS.PARAM);
+
+            this.isInitialized = true;
+            if (!action) return;
+
+            const params = Object.fromEntries(url.searchParams);
+            url.searchParams.delete(CONFIG.SHORTCUTS.PARAM);
+            url.searchParams.delete('category');
+            window.history.replaceState(window.history.state, '', `${url.pathname}${url.search}${url.hash}`);
+
+            this.lastAction = action;
+            await this.run(action, params);
+            console.log(`✅ App shortcut handled - ${action}`);
+
+        } catch (error) {
+            console.error('❌ Error handling app shortcut:', error);
+        }
+    }
+
+    async run(action, params = {}) {
+        // Every action needs the rendered menu
+        await menuCatalog.whenReady();
+        await new Promise(resolve => requestAnimationFrame(resolve));
+
+        switch (action) {
+            case 'reorder':
+                return this.reorder();
+            case 'promos':
+                return this.showPromos();
+            case 'menu':
+                return this.showCategory(params.category);
+            default:
+                console.warn('Unknown app shortcut:', action);
+        }
+    }
+
+    /**
+     * Adds the last order's lines at today's prices; items no longer on the menu, or whose
+     * options changed so the old choice is no longer valid, are skipped
+     */
+    reorder() {
+        const lastOrder = orderComposer.getLastOrder();
+        if (!lastOrder) {
+            if (this.showToast) this.showToast('Todavía no tienes pedidos anteriores', 'info');
+            return;
+        }
+
+        let added = 0;
+        let missing = 0;
+        lastOrder.lines.forEach(line => {
+            const item = menuCatalog.getItem(line.itemId);
+            if (!item || !Number.isInteger(line.quantity) || line.quantity < 1 ||
+                !cartManager.addItem(item, line.quantity, line.notes || '', line.selection)) {
+                missing++;
+                return;
+            }
+            added++;
+        });
+
+        if (added > 0) cartPanel.open();
+        if (!this.showToast) return;
+
+        if (added === 0) {
+            this.showToast('Los platillos de tu último pedido ya no están disponibles', 'warning');
+        } else if (missing > 0) {
+            this.showToast(`Agregamos tu último pedido. ${missing} ${missing === 1 ? 'platillo ya no está disponible' : 'platillos ya no están disponibles'}`, 'info', 5000);
+        } else {
+            this.showToast('Agregamos tu último pedido. Revisa y envíalo', 'success');
+        }
+    }
+
+    showPromos() {
+        const [first] = getPromoItems(menuCatalog.catalog);
+        if (!first) {
+            if (this.showToast) this.showToast('Por ahora no hay promociones', 'info');
+            return;
+        }
+
+        const card = getElement(`${CONFIG.SELECTORS.MENU.SECTIONS} [data-item-id="${CSS.escape(first.id)}"]`);
+        if (card) {
+            card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+        navigationManager.setActiveButton(first.categoryId, true);
+    }
+
+    showCategory(categoryId) {
+        if (!categoryId || !menuCatalog.getCategory(categoryId)) return;
+
+        navigationManager.setActiveButton(categoryId, true);
+        navigationManager.scrollToSection(categoryId);
+    }
+
+    getStats() {
+        return {
+            isInitialized: this.isInitialized,
+            lastAction: this.lastAction
+        };
+    }
+
+    destroy() {
+        this.lastAction = null;
+        this.isInitialized = false;
+        console.log('App shortcuts destroyed');
+    }
+}
+
+// Create a singleton instance
+export const appShortcuts = new AppShortcuts();
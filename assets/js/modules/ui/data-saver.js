@@ -0,0 +1,222 @@
+// assets/js/modules/ui/data-saver.js
+
+import '../../shared/sw-messages.js';
+import { CONFIG } from '../config.js';
+import { getElement } from '../utils.js';
+
+const { BrasasMessages } = self;
+
+const MODES = ['auto', 'on', 'off'];
+
+/**
+ * DataSaver - One Data Saver setting for the page and sw.js.
+ * 'auto' follows Save-Data, the connection type and the session data limit;
+ * 'on' and 'off' are explicit user choices.
+ */
+export class DataSaver {
+    constructor(showToast = null) {
+        this.showToast = showToast;
+        this.announce = null;
+        this.mode = 'auto';
+        this.limitReached = false;
+        this.enabled = false;
+        this.listeners = new Set();
+        this.toggleButton = null;
+        this.indicator = null;
+        this.connectionHandler = null;
+        this.messageHandler = null;
+        this.isInitialized = false;
+    }
+
+    init() {
+        try {
+            this.mode = this.readMode();
+            this.enabled = this.computeEnabled();
+
+            this.toggleButton = getElement(CONFIG.SELECTORS.DATA_SAVER.TOGGLE);
+            this.indicator = getElement(CONFIG.SELECTORS.DATA_SAVER.INDICATOR);
+
+            if (this.toggleButton) {
+                this.toggleButton.addEventListener('click', () => this.toggle());
+            }
+            if (this.indicator) {
+                this.indicator.addEventListener('click', () => this.setMode('off'));
+            }
+
+            if (navigator.connection) {
+                this.connectionHandler = () => this.update();
+                navigator.connection.addEventListener('change', this.connectionHandler);
+            }
+
+            if ('serviceWorker' in navigator) {
+                this.messageHandler = (event) => this.handleServiceWorkerMessage(event);
+                navigator.serviceWorker.addEventListener('message', this.messageHandler);
+                navigator.serviceWorker.ready.then(() => this.syncServiceWorker()).catch(() => {});
+            }
+
+            this.render();
+
+            this.isInitialized = true;
+            console.log(`✅ Data saver initialized - ${this.enabled ? 'ON' : 'OFF'} (${this.mode})`);
+
+        } catch (error) {
+            console.error('❌ Error initializing data saver:', error);
+        }
+    }
+
+    readMode() {
+        try {
+            const stored = localStorage.getItem(CONFIG.DATA_SAVER.STORAGE_KEY);
+            return MODES.includes(stored) ? stored : 'auto';
+        } catch (error) {
+            return 'auto';
+        }
+    }
+
+    /**
+     * What 'auto' mode looks at: Save-Data, slow connections and the session limit
+     */
+    getAutoReason() {
+        const connection = navigator.connection;
+
+        if (connection?.saveData) return 'save-data';
+        if (connection && (
+            CONFIG.DATA_SAVER.SLOW_CONNECTION_TYPES.includes(connection.effectiveType) ||
+            (connection.downlink && connection.downlink < CONFIG.DATA_SAVER.MIN_DOWNLINK)
+        )) {
+            return 'slow-connection';
+        }
+        if (this.limitReached) return 'data-limit';
+        return null;
+    }
+
+    computeEnabled() {
+        if (this.mode === 'on') return true;
+        if (this.mode === 'off') return false;
+        return Boolean(this.getAutoReason());
+    }
+
+    /**
+     * @returns {boolean} - Whether pages and sw.js should save data right now
+     */
+    isEnabled() {
+        return this.isInitialized ? this.enabled : this.computeEnabled();
+    }
+
+    setMode(mode) {
+        if (!MODES.includes(mode)) return;
+
+        this.mode = mode;
+        try {
+            if (mode === 'auto') {
+                localStorage.removeItem(CONFIG.DATA_SAVER.STORAGE_KEY);
+            } else {
+                localStorage.setItem(CONFIG.DATA_SAVER.STORAGE_KEY, mode);
+            }
+        } catch (error) {
+            console.warn('Could not save data saver preference:', error);
+        }
+
+        this.update();
+
+        const message = this.enabled ? 'Ahorro de datos activado' : 'Ahorro de datos desactivado';
+        if (this.announce) this.announce(message);
+        if (this.showToast) this.showToast(message, 'info', 2000);
+    }
+
+    /**
+     * Flips the current effective state into an explicit choice
+     */
+    toggle() {
+        this.setMode(this.enabled ? 'off' : 'on');
+    }
+
+    /**
+     * Recomputes the state and tells listeners and sw.js when it changed
+     */
+    update() {
+        const wasEnabled = this.enabled;
+        this.enabled = this.computeEnabled();
+
+        this.render();
+        this.syncServiceWorker();
+
+        if (wasEnabled !== this.enabled) {
+            this.listeners.forEach(callback => {
+                try {
+                    callback(this.enabled);
+                } catch (error) {
+                    console.error('Data saver listener error:', error);
+                }
+            });
+        }
+    }
+
+    /**
+     * @returns {Function} - Unsubscribe
+     */
+    onChange(callback) {
+        if (typeof callback !== 'function') return () => {};
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    handleServiceWorkerMessage(event) {
+        if (event.data?.type !== BrasasMessages.TYPES.DATA_LIMIT_REACHED || this.limitReached) return;
+
+        this.limitReached = true;
+        if (this.mode === 'auto') {
+            this.update();
+            if (this.showToast) {
+                this.showToast('Ahorro de datos activado: llegaste al límite de esta sesión', 'info', 5000);
+            }
+        }
+    }
+
+    /**
+     * sw.js keeps its own copy so it can skip image downloads before the page loads
+     */
+    syncServiceWorker() {
+        BrasasMessages.send(navigator.serviceWorker?.controller, BrasasMessages.TYPES.SET_DATA_SAVER, {
+            mode: this.mode,
+            enabled: this.enabled
+        });
+    }
+
+    render() {
+        document.documentElement.classList.toggle('data-saver', this.enabled);
+
+        if (this.toggleButton) {
+            this.toggleButton.setAttribute('aria-checked', String(this.enabled));
+        }
+        if (this.indicator) {
+            this.indicator.classList.toggle('hidden', !this.enabled);
+        }
+    }
+
+    getStats() {
+        return {
+            isInitialized: this.isInitialized,
+            mode: this.mode,
+            enabled: this.enabled,
+            reason: this.mode === 'auto' ? this.getAutoReason() : this.mode
+        };
+    }
+
+    destroy() {
+        if (this.connectionHandler) {
+            navigator.connection.removeEventListener('change', this.connectionHandler);
+            this.connectionHandler = null;
+        }
+        if (this.messageHandler) {
+            navigator.serviceWorker.removeEventListener('message', this.messageHandler);
+            this.messageHandler = null;
+        }
+        this.listeners.clear();
+        this.isInitialized = false;
+        console.log('Data saver destroyed');
+    }
+}
+
+// Create a singleton instance
+export const dataSaver = new DataSaver();
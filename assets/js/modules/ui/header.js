@@ -7,7 +7,8 @@ import {
     toggleClasses, 
     setAttributes, 
     throttle,
-    attachEventListeners 
+    attachEventListeners,
+    trapFocus
 } from '../utils.js';
 
 /**
@@ -242,24 +243,7 @@ export class HeaderManager {
     }
 
     handleTabNavigation(e) {
-        const focusableElements = this.mobileMenu.querySelectorAll(
-            'a[href], button, [tabindex]:not([tabindex="-1"])'
-        );
-        
-        const firstElement = focusableElements[0];
-        const lastElement = focusableElements[focusableElements.length - 1];
-
-        if (e.shiftKey) {
-            if (document.activeElement === firstElement) {
-                e.preventDefault();
-                lastElement.focus();
-            }
-        } else {
-            if (document.activeElement === lastElement) {
-                e.preventDefault();
-                firstElement.focus();
-            }
-        }
+        trapFocus(e, this.mobileMenu);
     }
 
     initClickOutsideHandler() {
@@ -0,0 +1,161 @@
+// assets/js/modules/ui/hero-video.js
+
+import { CONFIG } from '../config.js';
+import { getElement } from '../utils.js';
+import { dataSaver } from './data-saver.js';
+import { animationManager } from './animations.js';
+
+/**
+ * Picks what the hero shows from the current conditions
+ * @param {Object} conditions - { isMobile, saveData, reducedMotion, lowEndDevice, fastConnection, canPlayWebm }
+ * @returns {Object} - { size: 'mobile' | 'desktop', format: 'webm' | 'mp4' | 'poster', lowRes, reason }
+ */
+export function selectHeroVariant({ isMobile, saveData, reducedMotion, lowEndDevice, fastConnection, canPlayWebm }) {
+    const size = isMobile ? 'mobile' : 'desktop';
+    // Data Saver and slow connections get the small poster whatever the reason for it
+    const lowRes = saveData || !fastConnection;
+
+    if (reducedMotion) return { size, format: 'poster', lowRes, reason: 'reduced-motion' };
+    if (saveData) return { size, format: 'poster', lowRes, reason: 'data-saver' };
+    if (lowEndDevice) return { size, format: 'poster', lowRes, reason: 'low-end-device' };
+    if (!fastConnection) return { size, format: 'poster', lowRes, reason: 'slow-connection' };
+
+    return { size, format: canPlayWebm ? 'webm' : 'mp4', lowRes: false, reason: null };
+}
+
+/**
+ * HeroVideo - Loads the hero background video that fits the viewport, connection,
+ * Data Saver and motion preferences, and falls back to the poster otherwise.
+ * The <video> ships without a source so nothing is downloaded before this runs.
+ */
+export class HeroVideo {
+    constructor(showToast = null) {
+        this.showToast = showToast;
+        this.video = null;
+        this.current = null;
+        this.mediaQueries = [];
+        this.mediaHandler = null;
+        this.connectionHandler = null;
+        this.unsubscribeDataSaver = null;
+        this.isInitialized = false;
+    }
+
+    init() {
+        try {
+            this.video = getElement(CONFIG.SELECTORS.HERO_VIDEO);
+            if (!this.video) return;
+
+            this.video.muted = true;
+            this.video.playsInline = true;
+            this.video.loop = true;
+
+            this.mediaHandler = () => this.update();
+            this.mediaQueries = [CONFIG.HERO_VIDEO.MOBILE_QUERY, '(prefers-reduced-motion: reduce)']
+                .map(query => window.matchMedia(query));
+            this.mediaQueries.forEach(query => query.addEventListener('change', this.mediaHandler));
+
+            if (navigator.connection) {
+                this.connectionHandler = () => this.update();
+                navigator.connection.addEventListener('change', this.connectionHandler);
+            }
+            this.unsubscribeDataSaver = dataSaver.onChange(() => this.update());
+
+            this.update();
+
+            this.isInitialized = true;
+            console.log(`✅ Hero video initialized - ${this.current.size} ${this.current.format}`);
+
+        } catch (error) {
+            console.error('❌ Error initializing hero video:', error);
+        }
+    }
+
+    getConditions() {
+        const connection = navigator.connection;
+        const fastConnection = !connection || (
+            (!connection.effectiveType || CONFIG.HERO_VIDEO.VIDEO_CONNECTION_TYPES.includes(connection.effectiveType)) &&
+            (!connection.downlink || connection.downlink >= CONFIG.HERO_VIDEO.MIN_DOWNLINK)
+        );
+
+        return {
+            isMobile: window.matchMedia(CONFIG.HERO_VIDEO.MOBILE_QUERY).matches,
+            saveData: dataSaver.isEnabled(),
+            reducedMotion: window.matchMedia('(prefers-reduced-motion: reduce)').matches,
+            // AnimationManager stops every video on these devices; don't restart this one
+            lowEndDevice: animationManager.isLowEndDevice,
+            fastConnection,
+            canPlayWebm: this.video.canPlayType('video/webm') !== ''
+        };
+    }
+
+    /**
+     * Re-evaluates the conditions and switches source only when the choice changed
+     */
+    update() {
+        if (!this.video) return;
+
+        const variant = selectHeroVariant(this.getConditions());
+        if (this.current && this.current.size === variant.size && this.current.format === variant.format &&
+            this.current.lowRes === variant.lowRes) {
+            return;
+        }
+
+        this.current = variant;
+        this.apply(variant);
+    }
+
+    apply({ size, format, lowRes }) {
+        const sources = CONFIG.HERO_VIDEO.SOURCES[size];
+        const poster = lowRes ? sources.posterLow : sources.poster;
+        this.video.poster = poster;
+
+        if (format === 'poster') {
+            this.video.pause();
+            this.video.preload = 'none';
+            if (this.video.getAttribute('src')) {
+                // Dropping the source stops any buffering still in flight
+                this.video.removeAttribute('src');
+                this.video.load();
+            }
+            animationManager.handleVideoFallback(this.video, poster);
+            return;
+        }
+
+        animationManager.clearVideoFallback(this.video);
+        this.video.preload = 'auto';
+        this.video.src = sources[format];
+        this.video.play().catch(() => {
+            animationManager.handleVideoFallback(this.video, poster);
+        });
+    }
+
+    getStats() {
+        return {
+            isInitialized: this.isInitialized,
+            variant: this.current
+        };
+    }
+
+    destroy() {
+        this.mediaQueries.forEach(query => query.removeEventListener('change', this.mediaHandler));
+        this.mediaQueries = [];
+        this.mediaHandler = null;
+
+        if (this.connectionHandler) {
+            navigator.connection.removeEventListener('change', this.connectionHandler);
+            this.connectionHandler = null;
+        }
+        if (this.unsubscribeDataSaver) {
+            this.unsubscribeDataSaver();
+            this.unsubscribeDataSaver = null;
+        }
+
+        this.video = null;
+        this.current = null;
+        this.isInitialized = false;
+        console.log('Hero video destroyed');
+    }
+}
+
+// Create a singleton instance
+export const heroVideo = new HeroVideo();
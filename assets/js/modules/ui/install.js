@@ -0,0 +1,376 @@
+// assets/js/modules/ui/install.js
+
+import { CONFIG } from '../config.js';
+import { getElement, escapeHtml, trapFocus, safeJSONParse, safeJSONStringify } from '../utils.js';
+import { cartManager } from '../cart/cart.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const OUTCOMES = ['accepted', 'dismissed', 'installed'];
+
+const BENEFITS = [
+    'Funciona sin internet',
+    'Ahorra datos móviles',
+    'Acceso rápido desde tu pantalla'
+];
+
+const SHARE_ICON = `
+    <svg class="install-share-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+        <path stroke-linecap="round" stroke-linejoin="round" d="M12 3v12M8 7l4-4 4 4M5 12v7a2 2 0 002 2h10a2 2 0 002-2v-7"/>
+    </svg>`;
+
+/**
+ * InstallManager - The one place that offers installing the app: the deferred
+ * beforeinstallprompt on Chromium, step-by-step Add to Home Screen instructions
+ * on iOS Safari. Offers only after a few visits and some engagement, backs off
+ * after each dismissal and records accepted, dismissed and installed outcomes.
+ */
+export class InstallManager {
+    constructor(showToast = null) {
+        this.showToast = showToast;
+        this.state = null;
+        this.deferredPrompt = null;
+        this.sheet = null;
+        this.isOpen = false;
+        this.isEngaged = false;
+        this.shownThisVisit = false;
+        this.engagementTimer = null;
+        this.unsubscribeCart = null;
+        this.handlers = {};
+        this.lastFocused = null;
+        this.isInitialized = false;
+    }
+
+    init() {
+        try {
+            this.state = this.readState();
+            this.sheet = getElement(CONFIG.SELECTORS.INSTALL.SHEET);
+
+            // Launched from the home screen: nothing to offer, but it tells us iOS installs happened
+            if (this.isStandalone()) {
+                if (!this.state.installed) this.recordOutcome('installed', 'standalone');
+                console.log('✅ Install manager initialized - running installed');
+                return;
+            }
+
+            this.countVisit();
+
+            this.handlers.beforeInstallPrompt = (event) => {
+                event.preventDefault();
+                this.deferredPrompt = event;
+                this.maybeShow();
+            };
+            this.handlers.appInstalled = () => {
+                this.deferredPrompt = null;
+                this.recordOutcome('installed', 'prompt');
+                this.close();
+                if (this.showToast) this.showToast('🎉 App instalada correctamente', 'success');
+            };
+            this.handlers.keydown = (event) => {
+                if (!this.isOpen) return;
+                if (event.key === 'Escape') this.dismiss();
+                if (event.key === 'Tab') trapFocus(event, this.sheet);
+            };
+            window.addEventListener('beforeinstallprompt', this.handlers.beforeInstallPrompt);
+            window.addEventListener('appinstalled', this.handlers.appInstalled);
+            document.addEventListener('keydown', this.handlers.keydown);
+
+            if (this.sheet) {
+                this.handlers.sheetClick = (event) => this.handleSheetClick(event);
+                this.sheet.addEventListener('click', this.handlers.sheetClick);
+            }
+
+            // Engagement: time on the page, or adding something to the order
+            this.engagementTimer = setTimeout(() => this.markEngaged(), CONFIG.INSTALL.ENGAGEMENT_TIME);
+            this.unsubscribeCart = cartManager.onChange(({ reason }) => {
+                if (reason === 'add') this.markEngaged();
+            });
+
+            this.isInitialized = true;
+            console.log(`✅ Install manager initialized - visit ${this.state.visits}, platform ${this.getPlatform() || 'none yet'}`);
+
+        } catch (error) {
+            console.error('❌ Error initializing install manager:', error);
+        }
+    }
+
+    /**
+     * Persisted state; also migrates the snooze written by the old install prompts
+     */
+    readState() {
+        const defaults = { visits: 0, dismissals: 0, snoozedUntil: 0, installed: false, outcomes: [] };
+        let state = defaults;
+
+        try {
+            const stored = safeJSONParse(localStorage.getItem(CONFIG.INSTALL.STORAGE_KEY) || '{}', {});
+            if (stored && typeof stored === 'object' && !Array.isArray(stored)) {
+                state = { ...defaults, ...stored };
+                if (!Array.isArray(state.outcomes)) state.outcomes = [];
+            }
+
+            const legacy = parseInt(localStorage.getItem(CONFIG.INSTALL.LEGACY_DISMISS_KEY), 10);
+            if (!Number.isNaN(legacy)) {
+                state.dismissals = Math.max(state.dismissals, 1);
+                state.snoozedUntil = Math.max(state.snoozedUntil, legacy);
+                localStorage.removeItem(CONFIG.INSTALL.LEGACY_DISMISS_KEY);
+            }
+        } catch (error) {
+            console.warn('Could not read install state:', error);
+        }
+
+        return state;
+    }
+
+    saveState() {
+        try {
+            const serialized = safeJSONStringify(this.state);
+            if (serialized) localStorage.setItem(CONFIG.INSTALL.STORAGE_KEY, serialized);
+        } catch (error) {
+            console.warn('Could not save install state:', error);
+        }
+    }
+
+    /**
+     * Counts one visit per browser session
+     */
+    countVisit() {
+        const sessionKey = `${CONFIG.INSTALL.STORAGE_KEY}-session`;
+        try {
+            if (sessionStorage.getItem(sessionKey)) return;
+            sessionStorage.setItem(sessionKey, '1');
+        } catch (error) {
+            // Without sessionStorage every page load counts
+        }
+
+        this.state.visits++;
+        this.saveState();
+    }
+
+    markEngaged() {
+        if (this.isEngaged) return;
+
+        this.isEngaged = true;
+        clearTimeout(this.engagementTimer);
+        this.engagementTimer = null;
+        this.maybeShow();
+    }
+
+    isStandalone() {
+        return window.matchMedia('(display-mode: standalone)').matches || navigator.standalone === true;
+    }
+
+    /**
+     * iOS Safari never fires beforeinstallprompt; iPadOS reports itself as a Mac with touch.
+     * Other iOS browsers are left out because the steps below are Safari's.
+     */
+    isIOSSafari() {
+        const { userAgent, platform, maxTouchPoints } = navigator;
+        const isIOS = /iphone|ipad|ipod/i.test(userAgent) || (platform === 'MacIntel' && maxTouchPoints > 1);
+        return isIOS && !/crios|fxios|edgios|opios/i.test(userAgent);
+    }
+
+    /**
+     * @returns {string|null} - 'prompt' when the browser handed us an install prompt, 'ios', or null
+     */
+    getPlatform() {
+        if (this.deferredPrompt) return 'prompt';
+        if (this.isIOSSafari()) return 'ios';
+        return null;
+    }
+
+    /**
+     * @returns {Object} - { eligible, reason } where reason names the first unmet condition
+     */
+    getEligibility(now = Date.now()) {
+        const checks = [
+            [!this.state.installed && !this.isStandalone(), 'installed'],
+            [Boolean(this.getPlatform()), 'unsupported'],
+            [this.state.visits >= CONFIG.INSTALL.MIN_VISITS, 'visits'],
+            [this.isEngaged, 'engagement'],
+            [now >= this.state.snoozedUntil, 'dismissed'],
+            [!this.shownThisVisit, 'shown']
+        ];
+
+        const unmet = checks.find(([passes]) => !passes);
+        return { eligible: !unmet, reason: unmet ? unmet[1] : null };
+    }
+
+    maybeShow() {
+        if (!this.sheet || this.isOpen) return;
+
+        const { eligible } = this.getEligibility();
+        if (eligible) this.open();
+    }
+
+    open() {
+        const platform = this.getPlatform();
+        if (!this.sheet || !platform) return;
+
+        this.render(platform);
+        this.shownThisVisit = true;
+        this.isOpen = true;
+        this.lastFocused = document.activeElement;
+        this.sheet.classList.add('show');
+        this.sheet.setAttribute('aria-hidden', 'false');
+
+        const firstControl = this.sheet.querySelector('[data-install-action="install"], [data-install-action="done"]');
+        if (firstControl) {
+            setTimeout(() => firstControl.focus(), 100);
+        }
+    }
+
+    close() {
+        if (!this.sheet || !this.isOpen) return;
+
+        this.isOpen = false;
+        this.sheet.classList.remove('show');
+        this.sheet.setAttribute('aria-hidden', 'true');
+        this.lastFocused?.focus?.();
+        this.lastFocused = null;
+    }
+
+    render(platform) {
+        const steps = platform === 'ios' ? `
+            <ol class="install-steps">
+                <li><span class="install-step-number">1</span><span>Toca ${SHARE_ICON} <strong>Compartir</strong> en la barra de Safari.</span></li>
+                <li><span class="install-step-number">2</span><span>Desliza y elige <strong>Agregar a inicio</strong>.</span></li>
+                <li><span class="install-step-number">3</span><span>Toca <strong>Agregar</strong> arriba a la derecha.</span></li>
+            </ol>
+        ` : `
+            <ul class="install-benefits">
+                ${BENEFITS.map(benefit => `<li>✅ ${escapeHtml(benefit)}</li>`).join('')}
+            </ul>
+        `;
+
+        const actions = platform === 'ios' ? `
+            <button type="button" class="install-primary-btn" data-install-action="done">Entendido</button>
+            <button type="button" class="install-secondary-btn" data-install-action="dismiss">Ahora no</button>
+        ` : `
+            <button type="button" class="install-primary-btn" data-install-action="install">📱 Instalar</button>
+            <button type="button" class="install-secondary-btn" data-install-action="dismiss">Más tarde</button>
+        `;
+
+        this.sheet.innerHTML = `
+            <div class="install-sheet-backdrop" data-install-action="dismiss"></div>
+            <div class="install-sheet-panel">
+                <button type="button" class="install-close-btn" data-install-action="dismiss" aria-label="Cerrar">×</button>
+                <div class="install-sheet-header">
+                    <img src="/assets/images/logo/brasas-icon-128.png" alt="" width="56" height="56">
+                    <div>
+                        <h2 id="install-sheet-title">Instala Brasas Smokehouse</h2>
+                        <p>${platform === 'ios' ? 'Agrégala a tu pantalla de inicio en tres pasos.' : 'Ábrela como app desde tu pantalla de inicio.'}</p>
+                    </div>
+                </div>
+                ${steps}
+                <div class="install-actions">${actions}</div>
+            </div>
+        `;
+    }
+
+    handleSheetClick(event) {
+        const control = event.target.closest('[data-install-action]');
+        if (!control) return;
+
+        switch (control.dataset.installAction) {
+            case 'install':
+                this.promptInstall();
+                break;
+            case 'done':
+                // iOS can't report the install; the standalone launch will
+                this.recordOutcome('accepted', 'ios');
+                this.close();
+                break;
+            case 'dismiss':
+                this.dismiss();
+                break;
+        }
+    }
+
+    /**
+     * Shows the browser's own install dialog and records the user's choice
+     */
+    async promptInstall() {
+        const prompt = this.deferredPrompt;
+        if (!prompt) return;
+
+        this.close();
+        this.deferredPrompt = null;
+
+        try {
+            prompt.prompt();
+            const { outcome } = await prompt.userChoice;
+            this.recordOutcome(outcome === 'accepted' ? 'accepted' : 'dismissed', 'prompt');
+        } catch (error) {
+            console.error('PWA installation failed:', error);
+        }
+    }
+
+    dismiss() {
+        this.recordOutcome('dismissed', this.getPlatform() || 'ios');
+        this.close();
+    }
+
+    /**
+     * Stores an outcome; dismissals snooze the offer for longer each time,
+     * and an accepted iOS sheet waits like a first dismissal in case the user didn't finish
+     * @param {string} outcome - 'accepted' | 'dismissed' | 'installed'
+     * @param {string} source - 'prompt' | 'ios' | 'standalone'
+     */
+    recordOutcome(outcome, source) {
+        if (!OUTCOMES.includes(outcome)) return;
+
+        const now = Date.now();
+        const backoff = CONFIG.INSTALL.DISMISS_BACKOFF_DAYS;
+
+        if (outcome === 'dismissed') {
+            this.state.dismissals++;
+            const days = backoff[Math.min(this.state.dismissals, backoff.length) - 1];
+            this.state.snoozedUntil = now + days * DAY;
+        } else if (outcome === 'accepted' && source === 'ios') {
+            this.state.snoozedUntil = now + backoff[0] * DAY;
+        } else if (outcome === 'installed') {
+            this.state.installed = true;
+        }
+
+        this.state.outcomes = [...this.state.outcomes, { outcome, source, at: now }]
+            .slice(-CONFIG.INSTALL.MAX_OUTCOMES);
+        this.saveState();
+
+        console.log(`📲 Install ${outcome} (${source})`);
+    }
+
+    getStats() {
+        return {
+            isInitialized: this.isInitialized,
+            platform: this.getPlatform(),
+            visits: this.state?.visits || 0,
+            dismissals: this.state?.dismissals || 0,
+            installed: Boolean(this.state?.installed),
+            eligibility: this.state ? this.getEligibility() : null,
+            outcomes: this.state?.outcomes || []
+        };
+    }
+
+    destroy() {
+        window.removeEventListener('beforeinstallprompt', this.handlers.beforeInstallPrompt);
+        window.removeEventListener('appinstalled', this.handlers.appInstalled);
+        document.removeEventListener('keydown', this.handlers.keydown);
+        if (this.sheet && this.handlers.sheetClick) {
+            this.sheet.removeEventListener('click', this.handlers.sheetClick);
+        }
+        this.handlers = {};
+
+        clearTimeout(this.engagementTimer);
+        this.engagementTimer = null;
+        if (this.unsubscribeCart) {
+            this.unsubscribeCart();
+            this.unsubscribeCart = null;
+        }
+
+        this.deferredPrompt = null;
+        this.isInitialized = false;
+        console.log('Install manager destroyed');
+    }
+}
+
+// Create a singleton instance
+export const installManager = new InstallManager();
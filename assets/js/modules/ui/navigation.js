@@ -1,6 +1,7 @@
 // assets/js/modules/ui/navigation.js
 
 import { getElement, getElements, setAttributes } from '../utils.js';
+import { dataSaver } from './data-saver.js';
 
 export class NavigationManager {
     constructor(showToast = null) {
@@ -12,6 +13,9 @@ export class NavigationManager {
         this.scrollTimeout = null;
         this.observer = null;
         this.isLowEndDevice = false;
+        this.navContainer = null;
+        this.navClickHandler = null;
+        this.visibleCategories = null;
     }
 
     /**
@@ -64,10 +68,7 @@ export class NavigationManager {
         const indicators = {
             lowMemory: navigator.deviceMemory && navigator.deviceMemory < 4,
             lowCPU: navigator.hardwareConcurrency && navigator.hardwareConcurrency < 4,
-            slowConnection: navigator.connection && 
-                          (navigator.connection.effectiveType === '2g' || 
-                           navigator.connection.effectiveType === 'slow-2g' ||
-                           navigator.connection.downlink < 1.5), // <1.5 Mbps
+            dataSaver: dataSaver.isEnabled(),
             oldDevice: /Android [1-6]\./i.test(navigator.userAgent) // Android 6 and below
         };
 
@@ -107,8 +108,15 @@ export class NavigationManager {
         const navContainer = this.navButtons[0]?.parentElement;
         if (!navContainer) return;
 
-        // Single click handler for all nav buttons
-        navContainer.addEventListener('click', this.handleNavClick.bind(this));
+        // Single click handler for all nav buttons (bound once per container)
+        if (navContainer !== this.navContainer) {
+            if (this.navContainer && this.navClickHandler) {
+                this.navContainer.removeEventListener('click', this.navClickHandler);
+            }
+            this.navClickHandler = this.handleNavClick.bind(this);
+            navContainer.addEventListener('click', this.navClickHandler);
+            this.navContainer = navContainer;
+        }
         
         // Set initial ARIA attributes
         this.navButtons.forEach((btn, index) => {
@@ -123,6 +131,27 @@ export class NavigationManager {
         if (this.navButtons.length > 0) {
             this.setActiveButton(this.navButtons[0].dataset.category, false);
         }
+
+        if (this.visibleCategories) {
+            this.setVisibleCategories([...this.visibleCategories]);
+        }
+    }
+
+    /**
+     * Hides the tabs of categories that search or filters left empty and
+     * moves the active tab to the first category still shown
+     * @param {Array<string>} categoryIds - Categories with at least one visible item
+     */
+    setVisibleCategories(categoryIds) {
+        this.visibleCategories = new Set(categoryIds);
+
+        this.navButtons.forEach(btn => {
+            btn.hidden = !this.visibleCategories.has(btn.dataset.category);
+        });
+
+        if (categoryIds.length > 0 && !this.visibleCategories.has(this.activeSection)) {
+            this.setActiveButton(categoryIds[0], true);
+        }
     }
 
     /**
@@ -181,6 +210,11 @@ export class NavigationManager {
             return;
         }
 
+        // Replace any observer created by an earlier refresh
+        if (this.observer) {
+            this.observer.disconnect();
+        }
+
         // Debounce observer callbacks for better performance
         let updateTimeout;
         
@@ -309,11 +343,19 @@ export class NavigationManager {
         
         // Re-find elements
         this.findElements();
+
+        // Rendered buttons need ARIA attributes and the delegated click handler
+        if (this.navButtons.length > 0) {
+            this.activeSection = null;
+            this.setupNavigation();
+        }
         
         // Reconnect observer if needed
         if (this.observer && !this.isLowEndDevice) {
             this.observer.disconnect();
             this.sections.forEach(section => this.observer.observe(section));
+        } else if (!this.observer && !this.isLowEndDevice && this.sections.length > 0) {
+            this.initScrollspy();
         }
         
         // Reset active state
@@ -340,6 +382,12 @@ export class NavigationManager {
             this.scrollTimeout = null;
         }
 
+        if (this.navContainer && this.navClickHandler) {
+            this.navContainer.removeEventListener('click', this.navClickHandler);
+        }
+        this.navContainer = null;
+        this.navClickHandler = null;
+
         this.navButtons = [];
         this.sections = [];
         this.sectionMap = null;
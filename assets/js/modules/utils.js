@@ -1,6 +1,6 @@
 // assets/js/modules/utils.js
 
-import { CONTACT_INFO } from './config.js';
+import { CONFIG, CONTACT_INFO } from './config.js';
 
 /**
  * Utility Functions for Brasas Smokehouse website
@@ -71,12 +71,39 @@ export const setAttributes = (element, attributes) => {
 
 
 /**
- * Escapes HTML characters to prevent XSS
+ * Escapes HTML characters to prevent XSS (safe for text and quoted attributes)
  */
 export function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Formats an integer amount of centavos as a peso price
+ */
+export function formatPrice(centavos) {
+    return new Intl.NumberFormat(CONFIG.MENU.LOCALE, {
+        style: 'currency',
+        currency: CONFIG.MENU.CURRENCY
+    }).format(centavos / 100);
+}
+
+/**
+ * Signed price for option deltas: '+$5.00', '−$20.00'
+ */
+export function formatPriceDelta(centavos) {
+    return `${centavos < 0 ? '−' : '+'}${formatPrice(Math.abs(centavos))}`;
+}
+
+/**
+ * Random identifier for persisted records (outbox orders, reminders)
+ */
+export function createId() {
+    if (self.crypto?.randomUUID) {
+        return self.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 10)}`;
 }
 
 /**
@@ -103,6 +130,39 @@ export function safeJSONStringify(obj) {
     }
 }
 
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Keeps Tab and Shift+Tab cycling inside a container (dialogs, the mobile menu)
+ * @param {KeyboardEvent} e - keydown event for the Tab key
+ * @param {Element} container
+ */
+export function trapFocus(e, container) {
+    const focusableElements = container.querySelectorAll(FOCUSABLE_SELECTOR);
+    if (focusableElements.length === 0) {
+        e.preventDefault();
+        return;
+    }
+
+    const firstElement = focusableElements[0];
+    const lastElement = focusableElements[focusableElements.length - 1];
+
+    if (!container.contains(document.activeElement)) {
+        e.preventDefault();
+        firstElement.focus();
+    } else if (e.shiftKey) {
+        if (document.activeElement === firstElement) {
+            e.preventDefault();
+            lastElement.focus();
+        }
+    } else {
+        if (document.activeElement === lastElement) {
+            e.preventDefault();
+            firstElement.focus();
+        }
+    }
+}
+
 /**
  * Generic event listener attacher with cleanup
  */
@@ -1 +0,0 @@
-import{CONTACT_INFO}from"./config.js";export const debounce=(t,e)=>{let r;return function(...n){const o=this;clearTimeout(r),r=setTimeout(()=>t.apply(o,n),e)}};export const throttle=(t,e)=>{let r;return function(...n){r||(t.apply(this,n),r=!0,setTimeout(()=>r=!1,e))}};export const getElement=(t,e=!1)=>{const r=document.querySelector(t);return!r&&e&&console.error(`Required element not found: ${t}`),r};export const getElements=t=>document.querySelectorAll(t);export const toggleClasses=(t,e=[],r=[])=>{t&&(r.forEach(e=>t.classList.remove(e)),e.forEach(e=>t.classList.add(e)))};export const setAttributes=(t,e)=>{t&&Object.entries(e).forEach(([e,r])=>{t.setAttribute(e,r)})};export function escapeHtml(t){const e=document.createElement("div");return e.textContent=t,e.innerHTML}export function safeJSONParse(t,e=[]){try{return JSON.parse(t)}catch(t){return console.warn("JSON parsing failed:",t),e}}export function safeJSONStringify(t){try{return JSON.stringify(t)}catch(t){return console.error("JSON stringification failed:",t),null}}export function attachEventListeners(t,e,r,n={}){const o=getElements(t);return o.forEach(t=>{t.removeAttribute("onclick"),t.addEventListener(e,r,n)}),o.length}
\ No newline at end of file
@@ -0,0 +1,202 @@
+// assets/js/offline.js
+
+import { CONFIG, CONTACT_INFO } from './modules/config.js';
+import { getElement, getElements, escapeHtml, formatPrice } from './modules/utils.js';
+import { getDayRanges, getWeekday, addDays, formatTime } from './modules/business/schedule.js';
+import { businessStatus } from './modules/business/status.js';
+import { menuCatalog } from './modules/product/menu-catalog.js';
+import { getPriceUnit } from './modules/cart/pricing.js';
+
+const DAY_NAMES = ['Domingo', 'Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado'];
+const HOURS_DAYS = 7;
+
+/**
+ * OfflinePage - Fills offline.html from what the service worker already cached:
+ * menu.json from the menu cache, config and schedule modules from the critical cache.
+ * Nothing here touches the network except the connection probe.
+ */
+class OfflinePage {
+    constructor() {
+        this.statusInterval = null;
+        this.isChecking = false;
+    }
+
+    async init() {
+        try {
+            this.renderContact();
+            this.renderHours();
+            this.statusInterval = setInterval(() => this.renderHours(), 60000);
+
+            getElement('#offline-retry')?.addEventListener('click', () => this.checkConnection());
+            getElement('#offline-back')?.addEventListener('click', () => this.goBack());
+            window.addEventListener('online', () => this.checkConnection());
+            document.addEventListener('keydown', (event) => {
+                if (event.key === 'Escape') this.goBack();
+            });
+
+            await this.renderMenu();
+            console.log('✅ Offline page initialized');
+
+        } catch (error) {
+            console.error('❌ Error initializing offline page:', error);
+        }
+    }
+
+    /**
+     * @returns {Promise<Object|null>} - Normalized catalog, or null when menu.json was never cached
+     */
+    async loadCachedMenu() {
+        if (!('caches' in window)) return null;
+
+        const response = await caches.match(CONFIG.MENU.DATA_URL);
+        if (!response) return null;
+
+        return menuCatalog.setCatalog(await response.json());
+    }
+
+    async renderMenu() {
+        const container = getElement('#offline-menu');
+        if (!container) return;
+
+        let catalog = null;
+        try {
+            catalog = await this.loadCachedMenu();
+        } catch (error) {
+            console.warn('Cached menu could not be read:', error);
+        }
+
+        if (!catalog || catalog.categories.length === 0) {
+            container.innerHTML = '<p class="offline-empty">El menú todavía no está guardado en este dispositivo. Visítanos con conexión una vez para tenerlo disponible.</p>';
+            return;
+        }
+
+        container.innerHTML = catalog.categories.map(category => `
+            <section class="offline-category" aria-labelledby="offline-${escapeHtml(category.id)}">
+                <h3 id="offline-${escapeHtml(category.id)}">${escapeHtml(category.name)}</h3>
+                <ul>
+                    ${category.items.map(item => `
+                        <li class="offline-item">
+                            <div class="offline-item-header">
+                                <span class="offline-item-name">${escapeHtml(item.name)}</span>
+                                <span class="offline-item-price">${formatPrice(item.price)}${item.weight ? ` / ${getPriceUnit(item)}` : ''}</span>
+                            </div>
+                            ${item.description ? `<p>${escapeHtml(item.description)}</p>` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+            </section>
+        `).join('');
+    }
+
+    /**
+     * Current open/closed state plus the hours of the next seven days, in restaurant time
+     */
+    renderHours() {
+        const status = businessStatus.getStatus();
+        const badge = getElement('#offline-business-status');
+        if (badge) {
+            badge.textContent = status.isOpen
+                ? businessStatus.getOpenMessage(status)
+                : businessStatus.getClosedMessage(status);
+            badge.classList.toggle('is-open', status.isOpen);
+        }
+
+        const list = getElement('#offline-hours');
+        if (!list) return;
+
+        const today = businessStatus.getNow();
+        const rows = [];
+        for (let offset = 0; offset < HOURS_DAYS; offset++) {
+            const date = addDays(today, offset);
+            const { ranges, reason } = getDayRanges(date, CONFIG.BUSINESS.SCHEDULE);
+            const label = offset === 0 ? 'Hoy' : DAY_NAMES[getWeekday(date)];
+            const hours = ranges.length > 0
+                ? ranges.map(range => `${formatTime(range.start)} - ${formatTime(range.end)}`).join(', ')
+                : 'Cerrado';
+
+            rows.push(`
+                <li${offset === 0 ? ' class="is-today"' : ''}>
+                    <span>${label}${reason ? ` <small>(${escapeHtml(reason)})</small>` : ''}</span>
+                    <span>${hours}</span>
+                </li>
+            `);
+        }
+
+        list.innerHTML = rows.join('');
+        const zone = getElement('#offline-timezone');
+        if (zone) zone.textContent = `Horario en ${CONFIG.BUSINESS.TIMEZONE_LABEL}`;
+    }
+
+    /**
+     * Same links as ContactManager sets on the main site
+     */
+    renderContact() {
+        getElements('[data-contact="phone-link"]').forEach(link => {
+            link.href = `tel:${CONTACT_INFO.phone}`;
+        });
+        getElements('[data-contact="whatsapp-link"]').forEach(link => {
+            link.href = CONTACT_INFO.whatsappUrl;
+        });
+        getElements('[data-contact="phone"]').forEach(element => {
+            element.textContent = CONTACT_INFO.phoneDisplay;
+        });
+        getElements('[data-contact="address"]').forEach(element => {
+            element.textContent = CONTACT_INFO.address.full;
+        });
+    }
+
+    /**
+     * navigator.onLine only says a network interface is up, so a request must
+     * reach the server before reloading; otherwise the reload lands here again.
+     * HEAD requests are not handled by sw.js and always go to the network.
+     */
+    async checkConnection() {
+        if (this.isChecking) return;
+        this.isChecking = true;
+        this.setConnectionStatus('checking');
+
+        try {
+            const response = await fetch('/', { method: 'HEAD', cache: 'no-store' });
+            if (!response.ok) throw new Error(`Probe failed: ${response.status}`);
+
+            this.setConnectionStatus('online');
+            window.location.reload();
+
+        } catch (error) {
+            this.setConnectionStatus('offline');
+
+        } finally {
+            this.isChecking = false;
+        }
+    }
+
+    setConnectionStatus(state) {
+        const status = getElement('#offline-connection');
+        if (!status) return;
+
+        const messages = {
+            checking: 'Comprobando conexión...',
+            online: 'Conexión restaurada',
+            offline: 'Sigues sin conexión. Te mostramos la información guardada.'
+        };
+
+        status.dataset.state = state;
+        status.querySelector('[data-connection-text]').textContent = messages[state];
+    }
+
+    goBack() {
+        if (window.history.length > 1) {
+            window.history.back();
+        } else {
+            window.location.href = '/';
+        }
+    }
+}
+
+const offlinePage = new OfflinePage();
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => offlinePage.init());
+} else {
+    offlinePage.init();
+}
@@ -0,0 +1,11 @@
+// assets/js/shared/deploy-config.js
+// Generated by scripts/build-deploy-config.mjs - do not edit by hand.
+// Empty values turn the matching feature off (see that script for the backend contract).
+
+(function (scope) {
+    scope.BrasasDeploy = {
+        "ORDERS_ENDPOINT": "",
+        "PUSH_ENDPOINT": "",
+        "VAPID_PUBLIC_KEY": ""
+    };
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,106 @@
+// assets/js/shared/idb.js
+
+/**
+ * Minimal promise wrapper around IndexedDB shared by the pages and sw.js.
+ * Kept as a plain script so sw.js can load it with importScripts() and page
+ * modules can import it for its side effect; both then read one schema.
+ */
+(function (scope) {
+    const DB_NAME = 'brasas';
+
+    const STORES = {
+        OUTBOX: 'outbox',
+        REMINDERS: 'reminders',
+        CACHE_ENTRIES: 'cache-entries',
+        DATA_USAGE: 'data-usage',
+        SETTINGS: 'settings'
+    };
+
+    // Each entry upgrades the database from the previous version
+    const MIGRATIONS = [
+        db => db.createObjectStore(STORES.OUTBOX, { keyPath: 'id' }),
+        db => db.createObjectStore(STORES.REMINDERS, { keyPath: 'id' }),
+        db => db
+            .createObjectStore(STORES.CACHE_ENTRIES, { keyPath: ['cacheName', 'url'] })
+            .createIndex('cacheName', 'cacheName'),
+        db => db.createObjectStore(STORES.DATA_USAGE, { keyPath: 'id' }),
+        db => db.createObjectStore(STORES.SETTINGS, { keyPath: 'id' })
+    ];
+
+    const DB_VERSION = MIGRATIONS.length;
+
+    let dbPromise = null;
+
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function open() {
+        if (!scope.indexedDB) {
+            return Promise.reject(new Error('IndexedDB not supported'));
+        }
+
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = scope.indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    for (let version = event.oldVersion; version < DB_VERSION; version++) {
+                        MIGRATIONS[version](db, request.transaction);
+                    }
+                };
+
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // Let a newer page or worker upgrade the schema
+                    db.onversionchange = () => {
+                        db.close();
+                        dbPromise = null;
+                    };
+                    resolve(db);
+                };
+
+                request.onerror = () => {
+                    dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+
+        return dbPromise;
+    }
+
+    /**
+     * Runs callback(store) in a transaction and resolves once it commits
+     */
+    async function withStore(storeName, mode, callback) {
+        const db = await open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = callback(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    scope.BrasasDB = {
+        STORES,
+        open,
+        promisify,
+        withStore,
+        get: (storeName, key) => withStore(storeName, 'readonly', store => store.get(key)),
+        getAll: (storeName) => withStore(storeName, 'readonly', store => store.getAll()),
+        getAllByIndex: (storeName, indexName, query) =>
+            withStore(storeName, 'readonly', store => store.index(indexName).getAll(query)),
+        put: (storeName, value) => withStore(storeName, 'readwrite', store => store.put(value)),
+        delete: (storeName, key) => withStore(storeName, 'readwrite', store => store.delete(key)),
+        clear: (storeName) => withStore(storeName, 'readwrite', store => store.clear())
+    };
+})(self);
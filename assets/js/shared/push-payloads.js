@@ -0,0 +1,155 @@
+// assets/js/shared/push-payloads.js
+
+/**
+ * Push payload types and how each one is shown as a notification.
+ * Plain script like idb.js: sw.js loads it with importScripts() and the mock
+ * push sender requires it in Node, so both agree on types and topics.
+ *
+ * Payload: { type, title?, body?, url?, image?, orderId?, tag? }
+ * Only same-origin paths are accepted as `url` from a payload.
+ */
+(function (scope) {
+    // Keep in sync with CONTACT_INFO in modules/config.js
+    const LINKS = {
+        MENU: '/main-site.html#menu',
+        LOCATION: '/main-site.html#location',
+        ORDER: 'https://wa.me/message/VE4RQVV7SXPSN1',      // Orders are confirmed in the WhatsApp chat
+        DIRECTIONS: 'https://maps.app.goo.gl/tumFtTnoojhrDaqt7'
+    };
+
+    const ICONS = {
+        DEFAULT: '/assets/images/logo/brasas-icon-192-192.png',
+        LOGO: '/assets/images/logo/brasas-icon-256.png',
+        BADGE: '/assets/images/logo/brasas-icon-64.png'
+    };
+
+    const ACTIONS = {
+        VIEW_ORDER: { action: 'view-order', title: 'Ver pedido', url: LINKS.ORDER },
+        DIRECTIONS: { action: 'directions', title: 'Cómo llegar', url: LINKS.DIRECTIONS },
+        VIEW_MENU: { action: 'view-menu', title: 'Ver menú', url: LINKS.MENU }
+    };
+
+    function shortId(orderId) {
+        return String(orderId || '').slice(0, 8).toUpperCase();
+    }
+
+    // `topic` is what subscribers opt into; types without one are always delivered
+    const TYPES = {
+        ORDER_READY: {
+            topic: 'orders',
+            icon: ICONS.DEFAULT,
+            title: () => '¡Tu pedido está listo!',
+            body: payload => payload.orderId
+                ? `Pedido ${shortId(payload.orderId)}: pasa por él al drive-thru.`
+                : 'Pasa por él al drive-thru.',
+            url: LINKS.LOCATION,
+            actions: [ACTIONS.VIEW_ORDER, ACTIONS.DIRECTIONS],
+            requireInteraction: true
+        },
+        PROMO: {
+            topic: 'promos',
+            icon: ICONS.LOGO,
+            title: () => 'Promoción Brasas',
+            body: () => 'Hay una promoción nueva para ti.',
+            url: LINKS.MENU,
+            actions: [ACTIONS.VIEW_MENU]
+        },
+        OPENING_REMINDER: {
+            topic: 'reminders',
+            icon: ICONS.DEFAULT,
+            title: () => '¡Ya abrimos!',
+            body: () => 'Brasas Smokehouse está abierto.',
+            url: LINKS.LOCATION,
+            actions: [ACTIONS.VIEW_MENU, ACTIONS.DIRECTIONS]
+        },
+        MENU_CHANGE: {
+            topic: 'menu',
+            icon: ICONS.LOGO,
+            title: () => 'Novedades en el menú',
+            body: () => 'Actualizamos el menú. Échale un vistazo.',
+            url: LINKS.MENU,
+            actions: [ACTIONS.VIEW_MENU]
+        }
+    };
+
+    const FALLBACK = {
+        icon: ICONS.DEFAULT,
+        title: () => 'Brasas Smokehouse',
+        body: () => 'Toca para ver las novedades.',
+        url: LINKS.LOCATION,
+        actions: []
+    };
+
+    const TOPICS = [...new Set(Object.values(TYPES).map(type => type.topic).filter(Boolean))];
+
+    /**
+     * Accepts '/path' and '/path#hash'; rejects absolute and protocol-relative URLs
+     */
+    function safePath(url, fallback) {
+        return typeof url === 'string' && url.startsWith('/') && !url.startsWith('//') ? url : fallback;
+    }
+
+    /**
+     * Normalizes PushMessageData (or a plain object) into a payload; invalid JSON
+     * becomes an untyped payload that uses the text as its body
+     */
+    function parse(data) {
+        if (!data) return { type: null };
+        if (typeof data.json !== 'function') return { ...data };
+
+        try {
+            const payload = data.json();
+            return payload && typeof payload === 'object' ? payload : { type: null };
+        } catch (error) {
+            return { type: null, body: data.text() };
+        }
+    }
+
+    /**
+     * @returns {Object} - { title, options } for registration.showNotification()
+     */
+    function buildNotification(payload) {
+        const definition = TYPES[payload.type] || FALLBACK;
+        const actions = definition.actions || [];
+        const url = safePath(payload.url, definition.url);
+
+        return {
+            title: payload.title || definition.title(payload),
+            options: {
+                body: payload.body || definition.body(payload),
+                icon: definition.icon,
+                badge: ICONS.BADGE,
+                image: safePath(payload.image, undefined),
+                tag: payload.tag || (payload.orderId ? `${payload.type}-${payload.orderId}` : payload.type || 'brasas'),
+                renotify: Boolean(definition.requireInteraction),
+                requireInteraction: Boolean(definition.requireInteraction),
+                vibrate: [200, 100, 200],
+                timestamp: payload.sentAt || Date.now(),
+                actions: actions.map(({ action, title }) => ({ action, title })),
+                data: {
+                    type: payload.type || null,
+                    url,
+                    actions: Object.fromEntries(actions.map(({ action, url: actionUrl }) => [action, actionUrl]))
+                }
+            }
+        };
+    }
+
+    /**
+     * Where a click should go: the action's link, else the notification's own
+     * @param {Object} data - notification.data
+     * @param {string} action - event.action ('' for the notification body)
+     */
+    function getClickUrl(data = {}, action = '') {
+        return (action && data.actions?.[action]) || data.url || '/';
+    }
+
+    scope.BrasasPush = {
+        TYPES: Object.fromEntries(Object.keys(TYPES).map(type => [type, type])),
+        TOPICS,
+        getTopic: type => TYPES[type]?.topic || null,
+        parse,
+        buildNotification,
+        getClickUrl
+    };
+})(typeof self !== 'undefined' ? self : globalThis);
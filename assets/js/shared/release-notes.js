@@ -0,0 +1,33 @@
+// assets/js/shared/release-notes.js
+
+/**
+ * What changed in each release, newest first. sw.js loads this with
+ * importScripts(), so a waiting worker can describe itself to the update
+ * toast before the user accepts it (GET_RELEASE_NOTES). Editing this file
+ * changes the worker's scripts, which is enough for browsers to pick it up.
+ *
+ * Add an entry with every deploy users should hear about; keep notes short,
+ * in Spanish, and about what they will notice.
+ */
+(function (scope) {
+    const RELEASES = [
+        {
+            version: '2026.10.19',
+            notes: [
+                'Arma tu pedido con opciones, peso y notas, y envíalo por WhatsApp',
+                'Combos, 2x1 y promociones se aplican solos al total',
+                'Busca en el menú y filtra por dieta, alérgenos y nivel de picante',
+                'Menú, horario y contacto disponibles sin conexión',
+                'Avisos de apertura, marcados si llegan con retraso',
+                'La app instalada tiene accesos directos y avisa cuando tu pedido está listo',
+                'Portada e imágenes se adaptan a tu conexión y al Ahorro de datos',
+                'Las actualizaciones se aplican solo cuando tú lo decides'
+            ]
+        }
+    ];
+
+    scope.BrasasReleaseNotes = {
+        RELEASES,
+        latest: RELEASES[0] || { version: null, notes: [] }
+    };
+})(typeof self !== 'undefined' ? self : globalThis);
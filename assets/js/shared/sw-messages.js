@@ -0,0 +1,179 @@
+// assets/js/shared/sw-messages.js
+
+/**
+ * Message types and a small request/reply layer between pages and sw.js.
+ * Kept as a plain script like idb.js: sw.js loads it with importScripts(),
+ * sw-registration.js with a classic <script>, and page modules import it for
+ * its side effect.
+ *
+ * Requests travel as { type, id, data } with a MessageChannel port for the
+ * reply, which is { id, ok: true, result } or { id, ok: false, error }.
+ * Worker-to-page events are broadcast as { type, data }.
+ */
+(function (scope) {
+    const DEFAULT_TIMEOUT = 5000;
+
+    // Page -> worker. `fields` lists the expected data properties and their typeof
+    const REQUESTS = {
+        SKIP_WAITING: {},
+        GET_VERSION: {},
+        GET_RELEASE_NOTES: {},
+        GET_DATA_USAGE: {},
+        GET_CACHE_USAGE: {},
+        RESET_DATA_USAGE: {},
+        SET_DATA_SAVER: { fields: { mode: 'string', enabled: 'boolean' } },
+        CHECK_REMINDERS: {},
+        SYNC_ORDERS: {}
+    };
+
+    // Worker -> page
+    const EVENTS = {
+        SW_READY: {},
+        ORDER_SYNC_RESULT: { fields: { orderId: 'string', status: 'string' } },
+        REMINDER_DELIVERED: { fields: { reminderId: 'string', late: 'boolean' } },
+        DATA_LIMIT_REACHED: { fields: { dataUsage: 'number', limit: 'number' } },
+        APP_BADGE_CHANGED: { fields: { orderReady: 'boolean' } }
+    };
+
+    const TYPES = Object.freeze(
+        Object.fromEntries([...Object.keys(REQUESTS), ...Object.keys(EVENTS)].map(type => [type, type]))
+    );
+
+    let counter = 0;
+
+    function createError(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    /**
+     * @returns {string|null} - Why `data` does not match the registry entry, or null
+     */
+    function validate(definition, data = {}) {
+        const fields = definition.fields || {};
+
+        for (const [name, expected] of Object.entries(fields)) {
+            if (typeof data[name] !== expected) {
+                return `"${name}" should be a ${expected}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Posts a request without waiting for a reply
+     * @param {ServiceWorker} worker - Usually navigator.serviceWorker.controller
+     */
+    function send(worker, type, data = {}) {
+        if (!REQUESTS[type]) throw createError(`Unknown message type: ${type}`, 'UNKNOWN_TYPE');
+        if (!worker) return false;
+
+        worker.postMessage({ type, data });
+        return true;
+    }
+
+    /**
+     * Posts a request and resolves with the worker's result
+     * @returns {Promise<*>} - Rejects on error replies, timeouts or a missing worker
+     */
+    function request(worker, type, data = {}, { timeout = DEFAULT_TIMEOUT } = {}) {
+        if (!REQUESTS[type]) {
+            return Promise.reject(createError(`Unknown message type: ${type}`, 'UNKNOWN_TYPE'));
+        }
+        if (!worker) {
+            return Promise.reject(createError('No active service worker', 'NO_WORKER'));
+        }
+
+        const id = `${Date.now().toString(36)}-${++counter}`;
+        const channel = new MessageChannel();
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                channel.port1.close();
+                reject(createError(`${type} timed out after ${timeout}ms`, 'TIMEOUT'));
+            }, timeout);
+
+            channel.port1.onmessage = (event) => {
+                const reply = event.data || {};
+                if (reply.id !== id) return;
+
+                clearTimeout(timer);
+                channel.port1.close();
+
+                if (reply.ok) {
+                    resolve(reply.result);
+                } else {
+                    reject(createError(reply.error?.message || `${type} failed`, reply.error?.code || 'FAILED'));
+                }
+            };
+
+            worker.postMessage({ type, id, data }, [channel.port2]);
+        });
+    }
+
+    /**
+     * Worker side: runs the handler registered for a message and replies when
+     * the sender passed a port. Unknown types and invalid data are reported
+     * back instead of being dropped.
+     * @param {ExtendableMessageEvent} event
+     * @param {Object} handlers - { [type]: (data, event) => result | Promise }
+     * @returns {Promise<void>} - Pass to event.waitUntil()
+     */
+    async function handle(event, handlers) {
+        const { type, id, data = {} } = event.data || {};
+        const port = event.ports?.[0];
+        const reply = (message) => port?.postMessage({ id, ...message });
+
+        const definition = REQUESTS[type];
+        const handler = handlers[type];
+
+        if (!definition || !handler) {
+            console.warn('[SW] Unknown message type:', type);
+            reply({ ok: false, error: { message: `Unknown message type: ${type}`, code: 'UNKNOWN_TYPE' } });
+            return;
+        }
+
+        const invalid = validate(definition, data);
+        if (invalid) {
+            console.warn(`[SW] Invalid ${type} message: ${invalid}`);
+            reply({ ok: false, error: { message: invalid, code: 'INVALID_DATA' } });
+            return;
+        }
+
+        try {
+            const result = await handler(data, event);
+            reply({ ok: true, result });
+        } catch (error) {
+            console.warn(`[SW] ${type} failed:`, error.message);
+            reply({ ok: false, error: { message: error.message, code: error.code || 'FAILED' } });
+        }
+    }
+
+    /**
+     * Worker side: builds a page event after checking it against the registry
+     */
+    function createEvent(type, data = {}) {
+        const definition = EVENTS[type];
+        if (!definition) throw createError(`Unknown event type: ${type}`, 'UNKNOWN_TYPE');
+
+        const invalid = validate(definition, data);
+        if (invalid) console.warn(`Invalid ${type} event: ${invalid}`);
+
+        return { type, data };
+    }
+
+    function isEvent(type) {
+        return Boolean(EVENTS[type]);
+    }
+
+    scope.BrasasMessages = {
+        TYPES,
+        DEFAULT_TIMEOUT,
+        send,
+        request,
+        handle,
+        createEvent,
+        isEvent
+    };
+})(self);
@@ -1,4 +1,5 @@
 // assets/js/sw-registration.js 
+// Needs assets/js/shared/sw-messages.js loaded first (BrasasMessages)
 
 const SW_CONFIG = {
     SW_URL: '/sw.js',
@@ -14,7 +15,10 @@ class ServiceWorkerManager {
         this.isOnline = navigator.onLine;
         this.dataUsage = 0;
         this.updateCheckInterval = null;
-        this.deferredPrompt = null; 
+        // A page that starts uncontrolled gets its first controller from clients.claim(); that one needs no reload
+        this.hadController = Boolean(navigator.serviceWorker?.controller);
+        this.isReloading = false;
+        this.notifiedWorker = null;
         this.init();
     }
 
@@ -28,7 +32,6 @@ class ServiceWorkerManager {
             await this.registerServiceWorker();
             this.setupEventListeners();
             this.startPeriodicTasks();
-            this.handleInstallPrompt();
             
             console.log('✅ SW Manager initialized');
             
@@ -48,8 +51,12 @@ class ServiceWorkerManager {
             if (this.registration.installing) {
                 this.trackInstalling(this.registration.installing);
             } else if (this.registration.waiting) {
-                this.showUpdateNotification();
+                this.notifyUpdate(this.registration.waiting);
             } 
+
+            this.registration.addEventListener('updatefound', () => {
+                this.trackInstalling(this.registration.installing);
+            });
         } catch (error) {
             console.error('❌ Service Worker registration failed:', error);
             throw error;
@@ -62,6 +69,18 @@ class ServiceWorkerManager {
             this.handleServiceWorkerMessage(event);
         });
 
+        // An accepted update took over: reload once so the page doesn't mix old and new code
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (!this.hadController) {
+                this.hadController = true;
+                return;
+            }
+            if (this.isReloading) return;
+
+            this.isReloading = true;
+            window.location.reload();
+        });
+
         // Online/offline handling
         window.addEventListener('online', () => {
             console.log('📡 Back online');
@@ -80,33 +99,18 @@ class ServiceWorkerManager {
                 this.checkForUpdates();
             }
         });
-
-        if (navigator.connection) {
-            navigator.connection.addEventListener('change', () => {
-                const { effectiveType, downlink } = navigator.connection;
-                console.log(`📡 Connection: ${effectiveType}, ${downlink}Mbps`);
-                
-                if (effectiveType === '2g' || downlink < 1) {
-                    this.notifyServiceWorker('SLOW_CONNECTION', { effectiveType, downlink });
-                }
-            });
-        }
     }
 
     handleServiceWorkerMessage(event) {
-        const { type, message } = event.data || {};
-
-        switch (type) {
-            case 'SW_READY':
-                console.log('✅ Service Worker ready');
-                break;
-            case 'UPDATE_AVAILABLE':
-                this.showUpdateNotification();
-                break;
-            default:
-                if (SW_CONFIG.DEBUG) {
-                    console.log('📨 SW Message:', type, message);
-                }
+        const { type, data } = event.data || {};
+
+        if (type === BrasasMessages.TYPES.SW_READY) {
+            console.log('✅ Service Worker ready');
+        } else if (!BrasasMessages.isEvent(type)) {
+            console.warn('⚠️ Unknown Service Worker message:', type, data);
+        } else if (SW_CONFIG.DEBUG) {
+            // Other events are handled by the app modules that listen for them
+            console.log('📨 SW Message:', type, data);
         }
     }
 
@@ -117,29 +121,62 @@ class ServiceWorkerManager {
             await this.registration.update();
             
             if (this.registration.waiting) {
-                this.showUpdateNotification();
+                this.notifyUpdate(this.registration.waiting);
             }
         } catch (error) {
             console.warn('❌ Update check failed:', error);
         }
     }
 
-    showUpdateNotification() {
+    /**
+     * Shows the update toast once per waiting worker, with that worker's release notes
+     * @param {ServiceWorker} worker - The installed, waiting worker
+     */
+    async notifyUpdate(worker) {
+        if (!worker || this.notifiedWorker === worker) return;
+        this.notifiedWorker = worker;
+
+        const release = await this.getReleaseNotes(worker);
+        this.showUpdateNotification(release);
+    }
+
+    /**
+     * @returns {Promise<Object|null>} - { version, notes } from the given worker, null if it can't answer
+     */
+    getReleaseNotes(worker = this.registration?.waiting) {
+        return BrasasMessages.request(worker, BrasasMessages.TYPES.GET_RELEASE_NOTES, {}, { timeout: 2000 })
+            .catch(error => {
+                console.warn('Release notes unavailable:', error.message);
+                return null;
+            });
+    }
+
+    showUpdateNotification(release = null) {
+        const escape = (text) => {
+            const element = document.createElement('span');
+            element.textContent = text;
+            return element.innerHTML;
+        };
+        const notes = release?.notes?.length
+            ? `<ul style="margin: 8px 0 0 18px;">${release.notes.map(note => `<li>${escape(note)}</li>`).join('')}</ul>`
+            : '';
+
         const updateMessage = `
-            🔄 Nueva versión disponible con mejoras para México. 
+            🔄 Nueva versión disponible${release?.version ? ` (${escape(release.version)})` : ''}.
+            ${notes}
             <button onclick="swManager.applyUpdate()" style="
                 background: #fff; 
                 color: #ad2118; 
                 border: none; 
                 padding: 8px 12px; 
                 border-radius: 5px; 
-                margin-left: 10px; 
+                margin-top: 10px; 
                 cursor: pointer; 
                 font-weight: bold;
             ">Actualizar</button>
         `;
         
-        this.showToast(updateMessage, 'info', 10000);
+        this.showToast(updateMessage, 'info', 20000);
     }
 
     applyUpdate() {
@@ -148,15 +185,18 @@ class ServiceWorkerManager {
             return;
         }
 
-        this.registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+        // The worker activates and claims every tab; each one reloads on controllerchange
+        BrasasMessages.send(this.registration.waiting, BrasasMessages.TYPES.SKIP_WAITING);
         this.showToast('🔄 Aplicando actualización...', 'info');
     }
 
     trackInstalling(worker) {
+        if (!worker) return;
+
         worker.addEventListener('statechange', () => {
             if (worker.state === 'installed') {
                 if (navigator.serviceWorker.controller) {
-                    this.showUpdateNotification();
+                    this.notifyUpdate(worker);
                 } else {
                     console.log('🎉 Service Worker installed');
                     this.showToast('✅ App lista para uso offline', 'success');
@@ -165,181 +205,29 @@ class ServiceWorkerManager {
         });
     }
 
-    handleInstallPrompt() {
-        window.addEventListener('beforeinstallprompt', (e) => {
-            e.preventDefault();
-            this.deferredPrompt = e; 
-            
-            setTimeout(() => {
-                this.showInstallPrompt();
-            }, 5000);
-        });
-
-        window.addEventListener('appinstalled', () => {
-            console.log('🎉 PWA installed');
-            this.showToast('🎉 App instalada correctamente', 'success');
-            this.deferredPrompt = null;
-        });
+    /**
+     * Sends a request to the active worker and resolves with its reply
+     * @param {string} type - One of BrasasMessages.TYPES
+     * @returns {Promise<*>} - Rejects on error replies and timeouts
+     */
+    request(type, data = {}, options = {}) {
+        const worker = navigator.serviceWorker.controller || this.registration?.active;
+        return BrasasMessages.request(worker, type, data, options);
     }
 
-    showInstallPrompt() {
-        const dismissed = localStorage.getItem('pwa-install-dismissed');
-        if (dismissed && Date.now() < parseInt(dismissed)) {
-            return;
-        }
-
-        // Create toast container
-        const toast = document.createElement('div');
-        toast.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            left: 20px;
-            background: #007bff;
-            color: white;
-            padding: 20px;
-            border-radius: 10px;
-            z-index: 10000;
-            font-family: inherit;
-            box-shadow: 0 4px 12px rgba(0,0,0,0.2);
-            word-wrap: break-word;
-            max-width: 400px;
-            margin: 0 auto;
-        `;
-
-        // Create header
-        const header = document.createElement('div');
-        header.style.cssText = 'display: flex; align-items: center; margin-bottom: 10px;';
-        
-        const flag = document.createElement('span');
-        flag.textContent = '🇲🇽';
-        flag.style.cssText = 'font-size: 20px; margin-right: 8px;';
-        
-        const title = document.createElement('strong');
-        title.textContent = 'Instalar Brasas Smokehouse';
-        
-        header.appendChild(flag);
-        header.appendChild(title);
-
-        // Create benefits
-        const benefits = document.createElement('div');
-        benefits.style.cssText = 'font-size: 14px; margin-bottom: 15px; line-height: 1.4;';
-        benefits.innerHTML = '✅ Funciona sin internet<br>✅ Ahorra datos móviles';
-
-        // Create button container
-        const buttonContainer = document.createElement('div');
-        
-        // Install button
-        const installBtn = document.createElement('button');
-        installBtn.textContent = '📱 Instalar';
-        installBtn.style.cssText = `
-            background: #fff; 
-            color: #ad2118; 
-            border: none; 
-            padding: 10px 15px; 
-            border-radius: 8px; 
-            cursor: pointer; 
-            font-weight: bold;
-            margin-right: 10px;
-        `;
-        installBtn.onclick = () => {
-            this.installPWA();
-            toast.remove();
-        };
-
-        // Dismiss button
-        const dismissBtn = document.createElement('button');
-        dismissBtn.textContent = 'Más tarde';
-        dismissBtn.style.cssText = `
-            background: transparent; 
-            color: #fff; 
-            border: 1px solid rgba(255,255,255,0.5); 
-            padding: 10px 15px; 
-            border-radius: 8px; 
-            cursor: pointer;
-        `;
-        dismissBtn.onclick = () => {
-            this.dismissInstall();
-            toast.remove();
-        };
-
-        // Close button (X)
-        const closeBtn = document.createElement('button');
-        closeBtn.textContent = '×';
-        closeBtn.style.cssText = `
-            position: absolute;
-            top: 10px;
-            right: 10px;
-            background: none;
-            border: none;
-            color: white;
-            font-size: 20px;
-            cursor: pointer;
-            padding: 0;
-            width: 20px;
-            height: 20px;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-        `;
-        closeBtn.onclick = () => {
-            toast.remove();
-        };
-
-        // Assemble everything
-        buttonContainer.appendChild(installBtn);
-        buttonContainer.appendChild(dismissBtn);
-        
-        toast.appendChild(closeBtn);
-        toast.appendChild(header);
-        toast.appendChild(benefits);
-        toast.appendChild(buttonContainer);
-        
-        document.body.appendChild(toast);
-
-        // Auto-remove after 30 seconds
-        setTimeout(() => {
-            if (toast.parentNode) {
-                toast.remove();
-            }
-        }, 30000);
+    async getVersion() {
+        return this.request(BrasasMessages.TYPES.GET_VERSION);
     }
 
-    async installPWA() {
-        if (!this.deferredPrompt) {
-            console.log('No install prompt available');
-            return;
-        }
-
-        try {
-            this.deferredPrompt.prompt();
-            const { outcome } = await this.deferredPrompt.userChoice;
-            
-            console.log(`PWA install: ${outcome}`);
-            this.deferredPrompt = null;
-            
-        } catch (error) {
-            console.error('PWA installation failed:', error);
-        }
-    }
-
-    dismissInstall() {
-        // Don't show again for 7 days
-        localStorage.setItem('pwa-install-dismissed', Date.now() + (7 * 24 * 60 * 60 * 1000));
-        this.deferredPrompt = null;
+    async getDataUsage() {
+        const report = await this.request(BrasasMessages.TYPES.GET_DATA_USAGE);
+        this.dataUsage = report.dataUsage;
+        return report;
     }
 
-    notifyServiceWorker(type, data = {}) {
-        if (!navigator.serviceWorker.controller) return;
-
-        navigator.serviceWorker.controller.postMessage({
-            type,
-            data: {
-                ...data,
-                market: 'nogales-sonora',
-                timestamp: new Date().toISOString()
-            }
-        });
+    async resetDataUsage() {
+        await this.request(BrasasMessages.TYPES.RESET_DATA_USAGE);
+        this.dataUsage = 0;
     }
 
     startPeriodicTasks() {
@@ -400,8 +288,7 @@ class ServiceWorkerManager {
             registered: !!this.registration,
             active: !!this.registration?.active,
             isOnline: this.isOnline,
-            dataUsage: this.dataUsage,
-            hasDeferredPrompt: !!this.deferredPrompt
+            dataUsage: this.dataUsage
         };
     }
 
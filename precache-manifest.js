@@ -0,0 +1,263 @@
+// precache-manifest.js
+// Generated by scripts/build-precache-manifest.mjs - do not edit by hand.
+
+self.__PRECACHE_MANIFEST = {
+  "version": "c43c10063b59",
+  "entries": [
+    {
+      "url": "/",
+      "revision": "d25039e15714bafb",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/css/main.css",
+      "revision": "766b49bb9a4e916a",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/data/menu.json",
+      "revision": "38f5357c58c58251",
+      "cache": "menu"
+    },
+    {
+      "url": "/assets/images/favicon/apple-touch-icon.png",
+      "revision": "3f642bb50cd913a0",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/images/favicon/favicon-512-512.png",
+      "revision": "e3aa5d5b231f93b0",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/images/favicon/favicon.ico",
+      "revision": "fd65755521d772aa",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/images/logo/brasas-icon-192-192.png",
+      "revision": "7345a80305bf2eee",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/images/logo/favicon-512-512.png",
+      "revision": "e3aa5d5b231f93b0",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/main.js",
+      "revision": "23ad88c79eab40a6",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/business/contact.js",
+      "revision": "173373d8c485acc3",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/business/holidays.js",
+      "revision": "005695bb0ca7de90",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/business/push-subscriptions.js",
+      "revision": "03b59bd4a79a1f4e",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/business/reminders.js",
+      "revision": "f59ce119ac7bc040",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/business/schedule.js",
+      "revision": "d18a9c0fb07a8a47",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/business/status.js",
+      "revision": "03918d6476464e94",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/business/structured-data.js",
+      "revision": "df627f4b53d31397",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/business/timezone.js",
+      "revision": "4233d31abc2547ec",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/cart/cart-panel.js",
+      "revision": "07f6c2c01bdea869",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/cart/cart.js",
+      "revision": "45e6cba640477335",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/cart/order-composer.js",
+      "revision": "b8a3530417e63cd7",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/cart/order-queue.js",
+      "revision": "49bd536688482513",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/cart/pricing.js",
+      "revision": "6c08e95c83ad7421",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/cart/promotions.js",
+      "revision": "56efdaa5482ef4c2",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/config.js",
+      "revision": "442ec897f7278fb1",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/product/dietary.js",
+      "revision": "bbfb4ccff498fec3",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/product/image-loading.js",
+      "revision": "60aded80ad28a3ca",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/product/menu-catalog.js",
+      "revision": "f02556a7d34c581c",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/product/menu-filters.js",
+      "revision": "a3aa0a5dd5f2e53b",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/product/menu-search.js",
+      "revision": "495817c68537cc47",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/product/menu-shortcuts.js",
+      "revision": "9a940ef81b97cc52",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/product/product-detail.js",
+      "revision": "f3d07e83ec508e4a",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/product/search-index.js",
+      "revision": "a83b9680187a9c57",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/ui/animations.js",
+      "revision": "ce7541671ecca1f8",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/ui/app-badge.js",
+      "revision": "86fc9f023807a482",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/ui/app-shortcuts.js",
+      "revision": "d388d0d3e563c181",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/ui/data-saver.js",
+      "revision": "1f30cfeca58f58c1",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/ui/header.js",
+      "revision": "f94f8c88a754ad63",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/ui/hero-video.js",
+      "revision": "fadf7ed72c3c20fc",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/ui/install.js",
+      "revision": "dcfedad0f8e8cc60",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/ui/navigation.js",
+      "revision": "f382fded5db1fa36",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/ui/toast.js",
+      "revision": "2f4751846eaedf90",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/modules/utils.js",
+      "revision": "05de1dd5aaf23ca9",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/offline.js",
+      "revision": "f2efce50d44f2983",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/shared/deploy-config.js",
+      "revision": "0fa84959605bdeb8",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/shared/idb.js",
+      "revision": "afc19597354ab51b",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/shared/sw-messages.js",
+      "revision": "79b021253dcaf749",
+      "cache": "critical"
+    },
+    {
+      "url": "/assets/js/sw-registration.js",
+      "revision": "f4d355bec6a4a241",
+      "cache": "critical"
+    },
+    {
+      "url": "/index.html",
+      "revision": "d25039e15714bafb",
+      "cache": "critical"
+    },
+    {
+      "url": "/main-site.html",
+      "revision": "c7be28d4e0819ac3",
+      "cache": "critical"
+    },
+    {
+      "url": "/manifest.json",
+      "revision": "89a5846f9e97b1a5",
+      "cache": "critical"
+    },
+    {
+      "url": "/offline.html",
+      "revision": "ff8840dd082f76d0",
+      "cache": "critical"
+    }
+  ]
+};
@@ -0,0 +1,94 @@
+// scripts/build-deploy-config.mjs
+//
+// Writes assets/js/shared/deploy-config.js from the environment, so backend
+// URLs and the VAPID public key are set per deployment instead of in git.
+// Without API_BASE_URL the site is fully static (GitHub Pages): orders go
+// through WhatsApp only, nothing is queued for replay and push is hidden.
+// Usage:
+//   npm run build:deploy-config            rewrite deploy-config.js
+//   npm run build:deploy-config -- --check exit 1 when the file is out of date
+// Environment:
+//   API_BASE_URL      Origin of the order/push backend, e.g. https://api.eatbrasas.com
+//                     (http://localhost:8080 for scripts/mock-order-server.js)
+//   VAPID_PUBLIC_KEY  Public half of the deployment's VAPID key pair; push
+//                     stays off without it. The private half lives only on
+//                     the backend (VAPID_PRIVATE_KEY for scripts/mock-push-sender.js)
+//
+// Backend contract (scripts/mock-order-server.js implements it):
+//   POST   /api/orders              Order JSON from order-composer.js with an
+//                                   Idempotency-Key header. 2xx or 409 = received;
+//                                   other 4xx (not 408/429) are dropped, the rest retried.
+//   POST   /api/push/subscriptions  { subscription, topics?, oldEndpoint? } -> 2xx.
+//                                   oldEndpoint comes from pushsubscriptionchange in sw.js;
+//                                   without topics the old endpoint's topics are kept.
+//   DELETE /api/push/subscriptions  { endpoint }
+// A backend on another origin must answer CORS preflights for the site's origin
+// with Content-Type and Idempotency-Key allowed.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const OUTPUT = 'assets/js/shared/deploy-config.js';
+const CHECK_ONLY = process.argv.includes('--check');
+
+const PATHS = {
+    ORDERS: '/api/orders',
+    PUSH_SUBSCRIPTIONS: '/api/push/subscriptions'
+};
+
+function readApiBase(value) {
+    if (!value) return '';
+
+    try {
+        const url = new URL(value);
+        return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+    } catch (error) {
+        console.error(`❌ API_BASE_URL is not an absolute URL: ${value}`);
+        process.exit(1);
+    }
+}
+
+/**
+ * Uncompressed P-256 point: 65 bytes starting with 0x04
+ */
+function readVapidKey(value) {
+    if (!value) return '';
+
+    const bytes = Buffer.from(value, 'base64url');
+    if (bytes.length !== 65 || bytes[0] !== 4) {
+        console.error('❌ VAPID_PUBLIC_KEY is not a base64url P-256 public key');
+        process.exit(1);
+    }
+    return value;
+}
+
+const apiBase = readApiBase(process.env.API_BASE_URL);
+const config = {
+    ORDERS_ENDPOINT: apiBase ? `${apiBase}${PATHS.ORDERS}` : '',
+    PUSH_ENDPOINT: apiBase ? `${apiBase}${PATHS.PUSH_SUBSCRIPTIONS}` : '',
+    VAPID_PUBLIC_KEY: readVapidKey(process.env.VAPID_PUBLIC_KEY)
+};
+
+const output = `// ${OUTPUT}
+// Generated by scripts/build-deploy-config.mjs - do not edit by hand.
+// Empty values turn the matching feature off (see that script for the backend contract).
+
+(function (scope) {
+    scope.BrasasDeploy = ${JSON.stringify(config, null, 4).replace(/\n/g, '\n    ')};
+})(typeof self !== 'undefined' ? self : globalThis);
+`;
+
+const file = path.join(ROOT, OUTPUT);
+const current = await readFile(file, 'utf8').catch(() => '');
+
+if (current === output) {
+    console.log(`✅ ${OUTPUT} is up to date`);
+} else if (CHECK_ONLY) {
+    console.log(`❌ ${OUTPUT} is out of date`);
+    process.exitCode = 1;
+} else {
+    await writeFile(file, output);
+    console.log(`✅ ${OUTPUT}: orders ${config.ORDERS_ENDPOINT ? 'on' : 'off'}, push ${config.PUSH_ENDPOINT && config.VAPID_PUBLIC_KEY ? 'on' : 'off'}`);
+}
@@ -0,0 +1,49 @@
+// scripts/build-manifest-shortcuts.mjs
+//
+// Writes the web app manifest's `shortcuts` generated from assets/data/menu.json
+// ("Ver promociones" and one entry per category), so installed apps list what
+// is on the menu today. Run it after editing the menu, before build:precache.
+// Usage:
+//   npm run build:shortcuts            rewrite manifest.json
+//   npm run build:shortcuts -- --check exit 1 when the shortcuts are out of date
+// Needs Node 20.19+ (ES module syntax detection for the browser modules).
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+import { CONFIG } from '../assets/js/modules/config.js';
+import { buildShortcuts } from '../assets/js/modules/product/menu-shortcuts.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const MANIFEST = 'manifest.json';
+const CHECK_ONLY = process.argv.includes('--check');
+
+// Only the shortcuts block is rewritten; the rest of the file keeps its hand formatting
+const shortcutsPattern = /^([ \t]*)"shortcuts": \[[\s\S]*?^\1\]/m;
+
+const menu = JSON.parse(await readFile(path.join(ROOT, CONFIG.MENU.DATA_URL), 'utf8'));
+const shortcuts = buildShortcuts(menu);
+
+const file = path.join(ROOT, MANIFEST);
+const manifest = await readFile(file, 'utf8');
+const match = shortcutsPattern.exec(manifest);
+
+if (!match) {
+    console.warn(`⚠️  ${MANIFEST}: no "shortcuts" array found`);
+    process.exit(1);
+}
+
+const indent = match[1];
+const body = JSON.stringify(shortcuts, null, 2).split('\n').map((line, index) => index === 0 ? line : `${indent}${line}`).join('\n');
+const updated = manifest.replace(shortcutsPattern, `${indent}"shortcuts": ${body}`);
+
+if (updated === manifest) {
+    console.log(`✅ ${MANIFEST} shortcuts are up to date (${shortcuts.length})`);
+} else if (CHECK_ONLY) {
+    console.log(`❌ ${MANIFEST} shortcuts are out of date`);
+    process.exitCode = 1;
+} else {
+    await writeFile(file, updated);
+    console.log(`✅ ${MANIFEST} shortcuts updated (${shortcuts.length})`);
+}
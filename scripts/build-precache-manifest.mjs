@@ -0,0 +1,181 @@
+// scripts/build-precache-manifest.mjs
+//
+// Scans the HTML pages and assets/ and writes precache-manifest.js, which sw.js
+// loads with importScripts(). Every entry carries a hash of its content, so the
+// worker only refetches files that changed, and any change to the manifest
+// makes browsers install the new worker.
+// Usage:
+//   npm run build:precache            rewrite precache-manifest.js
+//   npm run build:precache -- --check exit 1 when the manifest is out of date
+
+import { readFile, writeFile, readdir, access } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const OUTPUT = 'precache-manifest.js';
+const CHECK_ONLY = process.argv.includes('--check');
+
+// Pages precached for offline use; '/' is served by index.html
+const PAGES = ['index.html', 'main-site.html', 'offline.html'];
+const ALIASES = { '/': 'index.html' };
+const WEB_MANIFEST = 'manifest.json';
+
+// Menu data goes to the menu cache so prices can be refreshed on their own
+const MENU_DATA_DIR = 'assets/data';
+
+const LINK_RELS = ['stylesheet', 'preload', 'icon', 'apple-touch-icon', 'manifest'];
+
+async function exists(file) {
+    try {
+        await access(path.join(ROOT, file));
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Resolves a reference found in `from` to a repo-relative path, or null when external
+ */
+function resolveLocal(reference, from) {
+    if (!reference || /^(?:[a-z]+:)?\/\//i.test(reference) || /^(?:data|mailto|tel):/i.test(reference)) {
+        return null;
+    }
+
+    const clean = reference.split(/[?#]/)[0];
+    if (!clean) return null;
+
+    return clean.startsWith('/')
+        ? clean.slice(1)
+        : path.posix.join(path.posix.dirname(from), clean);
+}
+
+/**
+ * Local stylesheets, scripts and icons referenced by a page
+ */
+function findPageReferences(html, page) {
+    const references = [];
+
+    for (const [, src] of html.matchAll(/<script\b[^>]*\bsrc="([^"]+)"/g)) {
+        references.push(resolveLocal(src, page));
+    }
+
+    for (const [tag] of html.matchAll(/<link\b[^>]*>/g)) {
+        const rel = /\brel="([^"]+)"/.exec(tag)?.[1] || '';
+        const href = /\bhref="([^"]+)"/.exec(tag)?.[1];
+        if (rel.split(/\s+/).some(value => LINK_RELS.includes(value))) {
+            references.push(resolveLocal(href, page));
+        }
+    }
+
+    return references.filter(Boolean);
+}
+
+/**
+ * Static imports and importScripts() calls of a script
+ */
+function findScriptReferences(source, file) {
+    const references = [];
+    const patterns = [
+        /\bimport\s*(?:[\w*{}\s,]+from\s*)?["']([^"']+)["']/g,
+        /\bimportScripts\(\s*["']([^"']+)["']/g
+    ];
+
+    patterns.forEach(pattern => {
+        for (const [, specifier] of source.matchAll(pattern)) {
+            references.push(resolveLocal(specifier, file));
+        }
+    });
+
+    return references.filter(Boolean);
+}
+
+/**
+ * Walks pages, the web app manifest and the module graph of every referenced script
+ */
+async function collectShellFiles() {
+    const files = new Set();
+    const queue = [...PAGES, WEB_MANIFEST];
+
+    while (queue.length > 0) {
+        const file = queue.shift();
+        if (files.has(file)) continue;
+
+        if (!(await exists(file))) {
+            console.warn(`⚠️  ${file} is referenced but missing`);
+            continue;
+        }
+        files.add(file);
+
+        if (file.endsWith('.html')) {
+            queue.push(...findPageReferences(await readFile(path.join(ROOT, file), 'utf8'), file));
+        } else if (file === WEB_MANIFEST) {
+            const manifest = JSON.parse(await readFile(path.join(ROOT, file), 'utf8'));
+            (manifest.icons || []).forEach(icon => queue.push(resolveLocal(icon.src, file)));
+        } else if (file.endsWith('.js')) {
+            queue.push(...findScriptReferences(await readFile(path.join(ROOT, file), 'utf8'), file));
+        }
+    }
+
+    return [...files].filter(Boolean);
+}
+
+async function collectMenuData() {
+    const names = await readdir(path.join(ROOT, MENU_DATA_DIR));
+    return names.filter(name => name.endsWith('.json')).map(name => `${MENU_DATA_DIR}/${name}`);
+}
+
+async function hashFile(file) {
+    const content = await readFile(path.join(ROOT, file));
+    return createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+async function buildManifest() {
+    const entries = [];
+    const revisions = new Map();
+
+    const addEntry = async (url, file, cache) => {
+        if (!revisions.has(file)) revisions.set(file, await hashFile(file));
+        entries.push({ url, revision: revisions.get(file), cache });
+    };
+
+    for (const file of await collectShellFiles()) {
+        await addEntry(`/${file}`, file, 'critical');
+    }
+    for (const [url, file] of Object.entries(ALIASES)) {
+        await addEntry(url, file, 'critical');
+    }
+    for (const file of await collectMenuData()) {
+        await addEntry(`/${file}`, file, 'menu');
+    }
+
+    entries.sort((a, b) => a.url.localeCompare(b.url));
+
+    const version = createHash('sha256')
+        .update(entries.map(entry => `${entry.url}@${entry.revision}`).join('\n'))
+        .digest('hex')
+        .slice(0, 12);
+
+    return { version, entries };
+}
+
+const manifest = await buildManifest();
+const output = `// ${OUTPUT}
+// Generated by scripts/build-precache-manifest.mjs - do not edit by hand.
+
+self.__PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, 2)};
+`;
+
+const current = await readFile(path.join(ROOT, OUTPUT), 'utf8').catch(() => '');
+
+if (current === output) {
+    console.log(`✅ ${OUTPUT} is up to date (${manifest.entries.length} entries, ${manifest.version})`);
+} else if (CHECK_ONLY) {
+    console.log(`❌ ${OUTPUT} is out of date - run npm run build:precache`);
+    process.exitCode = 1;
+} else {
+    await writeFile(path.join(ROOT, OUTPUT), output);
+    console.log(`✅ ${OUTPUT} written (${manifest.entries.length} entries, ${manifest.version})`);
+}
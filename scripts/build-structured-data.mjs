@@ -0,0 +1,54 @@
+// scripts/build-structured-data.mjs
+//
+// Writes the Restaurant JSON-LD generated from assets/js/modules/config.js into
+// the HTML pages, so crawlers that do not run JavaScript see current hours.
+// Usage:
+//   npm run build:schema            rewrite the pages
+//   npm run build:schema -- --check exit 1 when a page is out of date
+// Needs Node 20.19+ (ES module syntax detection for the browser modules).
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+import { CONFIG } from '../assets/js/modules/config.js';
+import { buildRestaurantSchema, serializeSchema } from '../assets/js/modules/business/structured-data.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PAGES = ['index.html', 'main-site.html'];
+const CHECK_ONLY = process.argv.includes('--check');
+
+const scriptPattern = new RegExp(
+    `(^([ \\t]*)<script type="application/ld\\+json" id="${CONFIG.STRUCTURED_DATA.SCRIPT_ID}">)[\\s\\S]*?(</script>)`,
+    'm'
+);
+
+const json = serializeSchema(buildRestaurantSchema());
+let outdated = 0;
+
+for (const page of PAGES) {
+    const file = path.join(ROOT, page);
+    const html = await readFile(file, 'utf8');
+    const match = scriptPattern.exec(html);
+
+    if (!match) {
+        console.warn(`⚠️  ${page}: no #${CONFIG.STRUCTURED_DATA.SCRIPT_ID} block found`);
+        continue;
+    }
+
+    const indent = match[2];
+    const body = json.split('\n').map(line => `${indent}${line}`).join('\n');
+    const updated = html.replace(scriptPattern, (all, open, _indent, close) => `${open}\n${body}\n${indent}${close}`);
+
+    if (updated === html) {
+        console.log(`✅ ${page} is up to date`);
+    } else if (CHECK_ONLY) {
+        console.log(`❌ ${page} is out of date`);
+        outdated++;
+    } else {
+        await writeFile(file, updated);
+        console.log(`✅ ${page} updated`);
+    }
+}
+
+process.exitCode = outdated > 0 ? 1 : 0;
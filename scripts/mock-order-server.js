@@ -0,0 +1,193 @@
+// scripts/mock-order-server.js
+//
+// Serves the site and a fake POST /api/orders endpoint for testing the
+// offline order outbox. Usage:
+//   npm run mock:orders -- --port 8080 --fail-rate 0.5
+// --fail-rate randomly answers 503 so the service worker retries.
+// Push subscriptions are kept at /api/push/subscriptions for
+// scripts/mock-push-sender.js.
+// The pages only use these endpoints when built with
+//   API_BASE_URL=http://localhost:8080 npm run build:deploy-config
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm'
+};
+
+function readOption(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] !== undefined ? process.argv[index + 1] : fallback;
+}
+
+const PORT = parseInt(readOption('port', process.env.PORT || 8080), 10);
+const FAIL_RATE = parseFloat(readOption('fail-rate', 0));
+
+// Idempotency-Key -> stored order, so replays are not double-counted
+const orders = new Map();
+
+// Push endpoint -> { subscription, topics }
+const subscriptions = new Map();
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+function handleOrder(req, res) {
+  const key = req.headers['idempotency-key'];
+  if (!key) {
+    sendJSON(res, 400, { error: 'Missing Idempotency-Key header' });
+    return;
+  }
+
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    if (orders.has(key)) {
+      console.log(`[orders] replay ${key}`);
+      sendJSON(res, 200, { orderId: key, replayed: true });
+      return;
+    }
+
+    if (Math.random() < FAIL_RATE) {
+      console.log(`[orders] simulated failure ${key}`);
+      sendJSON(res, 503, { error: 'Simulated outage' });
+      return;
+    }
+
+    let order;
+    try {
+      order = JSON.parse(body);
+    } catch (error) {
+      sendJSON(res, 400, { error: 'Invalid JSON' });
+      return;
+    }
+
+    orders.set(key, order);
+    console.log(`[orders] accepted ${key} - ${order.customer?.name || 'sin nombre'}, ${order.lines?.length || 0} lines`);
+    sendJSON(res, 201, { orderId: key });
+  });
+}
+
+function readJSON(req, callback) {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    try {
+      callback(JSON.parse(body || '{}'));
+    } catch (error) {
+      callback(null);
+    }
+  });
+}
+
+function handleSubscriptions(req, res) {
+  if (req.method === 'GET') {
+    sendJSON(res, 200, [...subscriptions.values()]);
+    return;
+  }
+
+  if (req.method !== 'POST' && req.method !== 'DELETE') {
+    sendJSON(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+
+  readJSON(req, data => {
+    if (!data) {
+      sendJSON(res, 400, { error: 'Invalid JSON' });
+      return;
+    }
+
+    if (req.method === 'DELETE') {
+      subscriptions.delete(data.endpoint);
+      console.log(`[push] unsubscribed ${String(data.endpoint).slice(0, 60)}...`);
+      sendJSON(res, 200, { removed: true });
+      return;
+    }
+
+    const { subscription, oldEndpoint } = data;
+    if (!subscription?.endpoint || !subscription.keys?.p256dh || !subscription.keys?.auth) {
+      sendJSON(res, 400, { error: 'Missing subscription endpoint or keys' });
+      return;
+    }
+
+    // Renewed subscriptions (pushsubscriptionchange) keep the old topics
+    const previous = subscriptions.get(oldEndpoint) || subscriptions.get(subscription.endpoint);
+    const topics = Array.isArray(data.topics) ? data.topics : (previous?.topics || []);
+
+    if (oldEndpoint) subscriptions.delete(oldEndpoint);
+    subscriptions.set(subscription.endpoint, { subscription, topics });
+
+    console.log(`[push] subscribed ${subscription.endpoint.slice(0, 60)}... topics: ${topics.join(', ') || 'none'}`);
+    sendJSON(res, 201, { topics });
+  });
+}
+
+function serveStatic(req, res) {
+  const urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  let filePath = path.normalize(path.join(ROOT, urlPath === '/' ? '/index.html' : urlPath));
+
+  if (!filePath.startsWith(ROOT)) {
+    res.writeHead(403);
+    res.end();
+    return;
+  }
+
+  fs.stat(filePath, (statError, stats) => {
+    if (!statError && stats.isDirectory()) {
+      filePath = path.join(filePath, 'index.html');
+    }
+
+    fs.readFile(filePath, (readError, data) => {
+      if (readError) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Not found');
+        return;
+      }
+      res.writeHead(200, {
+        'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream'
+      });
+      res.end(data);
+    });
+  });
+}
+
+const server = http.createServer((req, res) => {
+  if (req.url.startsWith('/api/orders')) {
+    if (req.method === 'POST') {
+      handleOrder(req, res);
+    } else if (req.method === 'GET') {
+      sendJSON(res, 200, [...orders.entries()].map(([orderId, order]) => ({ orderId, ...order })));
+    } else {
+      sendJSON(res, 405, { error: 'Method not allowed' });
+    }
+    return;
+  }
+
+  if (req.url.startsWith('/api/push/subscriptions')) {
+    handleSubscriptions(req, res);
+    return;
+  }
+
+  serveStatic(req, res);
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock order server on http://localhost:${PORT} (fail rate ${FAIL_RATE})`);
+});
@@ -0,0 +1,190 @@
+// scripts/mock-push-sender.js
+//
+// Sends Web Push messages to the subscriptions stored by the mock server
+// (scripts/mock-order-server.js). Payloads are encrypted (RFC 8291, aes128gcm)
+// and signed with VAPID (RFC 8292), so real browsers accept them. Usage:
+//   npm run mock:push -- order-ready --order-id A1B2C3D4
+//   npm run mock:push -- promo --title "2x1 en tacos" --body "Solo hoy" --url /main-site.html#menu
+//   npm run mock:push -- --generate-keys
+// Types: see assets/js/shared/push-payloads.js. Only subscriptions whose topics
+// include the type's topic receive it. --server defaults to http://localhost:8080.
+// Keys come from the environment only: create a pair with --generate-keys,
+// export VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY, and build the site with the
+// same VAPID_PUBLIC_KEY (npm run build:deploy-config). Never commit the private key.
+
+const crypto = require('crypto');
+
+require('../assets/js/shared/push-payloads.js');
+const { BrasasPush } = globalThis;
+
+const VAPID = {
+  publicKey: process.env.VAPID_PUBLIC_KEY || '',
+  privateKey: process.env.VAPID_PRIVATE_KEY || '',
+  subject: process.env.VAPID_SUBJECT || 'mailto:info@eatbrasas.com'
+};
+
+const RECORD_SIZE = 4096;
+const TTL = 60 * 60;
+
+function readOption(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] !== undefined ? process.argv[index + 1] : fallback;
+}
+
+function generateKeys() {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  return {
+    publicKey: ecdh.getPublicKey().toString('base64url'),
+    privateKey: ecdh.getPrivateKey().toString('base64url')
+  };
+}
+
+/**
+ * Authorization header value: an ES256 JWT for the push service's origin
+ */
+function createVapidAuthorization(endpoint) {
+  const publicKey = Buffer.from(VAPID.publicKey, 'base64url');
+  const key = crypto.createPrivateKey({
+    format: 'jwk',
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      d: VAPID.privateKey,
+      x: publicKey.subarray(1, 33).toString('base64url'),
+      y: publicKey.subarray(33, 65).toString('base64url')
+    }
+  });
+
+  const header = Buffer.from(JSON.stringify({ typ: 'JWT', alg: 'ES256' })).toString('base64url');
+  const claims = Buffer.from(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + 12 * 60 * 60,
+    sub: VAPID.subject
+  })).toString('base64url');
+
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' });
+  return `vapid t=${header}.${claims}.${signature.toString('base64url')}, k=${VAPID.publicKey}`;
+}
+
+/**
+ * Encrypts a payload for one subscription as a single aes128gcm record
+ * @param {Object} keys - subscription.keys { p256dh, auth }
+ * @returns {Buffer} - Request body
+ */
+function encryptPayload(keys, plaintext) {
+  const userPublicKey = Buffer.from(keys.p256dh, 'base64url');
+  const authSecret = Buffer.from(keys.auth, 'base64url');
+
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  const serverPublicKey = ecdh.getPublicKey();
+  const sharedSecret = ecdh.computeSecret(userPublicKey);
+  const salt = crypto.randomBytes(16);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userPublicKey, serverPublicKey]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+  const contentKey = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  // 0x02 marks the last (and only) record
+  const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+  const ciphertext = Buffer.concat([cipher.update(Buffer.concat([Buffer.from(plaintext), Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(serverPublicKey.length, 20);
+
+  return Buffer.concat([header, serverPublicKey, ciphertext]);
+}
+
+/**
+ * @returns {Promise<number>} - Push service HTTP status
+ */
+async function sendNotification(subscription, payload, { ttl = TTL, urgency = 'normal' } = {}) {
+  const response = await fetch(subscription.endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/octet-stream',
+      'Content-Encoding': 'aes128gcm',
+      TTL: String(ttl),
+      Urgency: urgency,
+      Authorization: createVapidAuthorization(subscription.endpoint)
+    },
+    body: encryptPayload(subscription.keys, JSON.stringify(payload))
+  });
+  return response.status;
+}
+
+/**
+ * 'order-ready' -> 'ORDER_READY'
+ */
+function toType(name) {
+  return String(name || '').toUpperCase().replace(/-/g, '_');
+}
+
+async function main() {
+  if (process.argv.includes('--generate-keys')) {
+    console.log(generateKeys());
+    return;
+  }
+
+  if (!VAPID.publicKey || !VAPID.privateKey) {
+    console.error('Set VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY (create a pair with --generate-keys)');
+    process.exitCode = 1;
+    return;
+  }
+
+  const type = toType(process.argv[2]);
+  if (!BrasasPush.TYPES[type]) {
+    console.error(`Unknown push type "${process.argv[2]}". Use one of: ${Object.keys(BrasasPush.TYPES).join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const server = readOption('server', 'http://localhost:8080');
+  const payload = {
+    type,
+    orderId: readOption('order-id'),
+    title: readOption('title'),
+    body: readOption('body'),
+    url: readOption('url'),
+    image: readOption('image'),
+    sentAt: Date.now()
+  };
+
+  const topic = BrasasPush.getTopic(type);
+  const response = await fetch(`${server}/api/push/subscriptions`);
+  const records = await response.json();
+  const targets = records.filter(record => !topic || record.topics.includes(topic));
+
+  console.log(`[push] ${type} to ${targets.length}/${records.length} subscriptions${topic ? ` (topic ${topic})` : ''}`);
+
+  for (const { subscription } of targets) {
+    try {
+      const status = await sendNotification(subscription, payload, { urgency: type === 'ORDER_READY' ? 'high' : 'normal' });
+      console.log(`[push] ${status} ${subscription.endpoint.slice(0, 60)}...`);
+
+      // Gone: the browser unsubscribed; forget it like a real server would
+      if (status === 404 || status === 410) {
+        await fetch(`${server}/api/push/subscriptions`, {
+          method: 'DELETE',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ endpoint: subscription.endpoint })
+        });
+      }
+    } catch (error) {
+      console.error(`[push] failed ${subscription.endpoint.slice(0, 60)}...: ${error.message}`);
+    }
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { sendNotification, encryptPayload, generateKeys };
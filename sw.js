@@ -1,78 +1,127 @@
 //sw.js
 
-const CACHE_VERSION = 'brasas-mx-v1.2.0';
+importScripts(
+  '/assets/js/shared/idb.js',
+  '/assets/js/shared/sw-messages.js',
+  '/assets/js/shared/push-payloads.js',
+  '/assets/js/shared/release-notes.js',
+  '/assets/js/shared/deploy-config.js',
+  '/precache-manifest.js'
+);
+
+const { TYPES } = BrasasMessages;
+
+// Bump only when the cache layout changes; file updates come from the precache manifest
+const CACHE_VERSION = 'brasas-mx-v2';
 const CRITICAL_CACHE = `critical-${CACHE_VERSION}`;
 const MENU_CACHE = `menu-${CACHE_VERSION}`;
 const IMAGE_CACHE = `images-${CACHE_VERSION}`;
+const VIDEO_CACHE = `videos-${CACHE_VERSION}`;
 
 const OFFLINE_PAGE = '/offline.html';
+// Essential images that Data Saver still downloads (see isDataSaverImage)
+const DATA_SAVER_IMAGE_PATHS = ['/assets/images/logo/', '/assets/images/hero/'];
+// Used by the inline fallback when offline.html is not cached; keep in sync with CONTACT_INFO in modules/config.js
+const OFFLINE_CONTACT = {
+  phone: '+526311093226',
+  whatsappUrl: 'https://wa.me/message/VE4RQVV7SXPSN1'
+};
 
-const CACHE_LIMITS = {
-  critical: 30,  
-  menu: 50,       
-  images: 100     
+// Per-cache budgets; entries are evicted least-recently-used first
+const CACHE_POLICIES = {
+  [CRITICAL_CACHE]: {
+    maxEntries: 60,
+    maxBytes: 3 * 1024 * 1024,
+    maxAge: null                        // Precached shell never expires
+  },
+  [MENU_CACHE]: {
+    maxEntries: 50,
+    maxBytes: 2 * 1024 * 1024,
+    maxAge: 7 * 24 * 60 * 60 * 1000
+  },
+  [IMAGE_CACHE]: {
+    maxEntries: 100,
+    maxBytes: 15 * 1024 * 1024,
+    maxAge: 30 * 24 * 60 * 60 * 1000
+  },
+  [VIDEO_CACHE]: {
+    maxEntries: 2,                      // One hero video per viewport size
+    maxBytes: 4 * 1024 * 1024,
+    maxAge: 30 * 24 * 60 * 60 * 1000
+  }
 };
 
-// Critical assets - Only essentials
-const CRITICAL_ASSETS = [
-  '/',
-  '/index.html',
-  '/manifest.json',
-  '/assets/css/main.css',
-  '/assets/js/main.js',
-  '/assets/js/modules/config.js',
-  '/assets/js/modules/utils.js',
-  '/assets/js/modules/ui/toast.js',
-  OFFLINE_PAGE
-];
-
-// Menu functionality assets
-const MENU_ASSETS = [
-  '/assets/js/modules/business/status.js',
-  '/assets/js/modules/business/contact.js',
-  '/assets/js/modules/ui/header.js',
-  '/assets/js/modules/ui/navigation.js',
-  '/assets/js/modules/ui/animations.js',
-  '/assets/js/modules/product/image-loading.js'
-];
-
-// Static assets
-const STATIC_ASSETS = [
-  '/assets/images/logo/brasas-icon-192-192.png',
-  '/assets/images/logo/favicon-512-512.png',
-  '/assets/images/favicon/favicon-512-512.png',
-  '/assets/images/favicon/favicon.ico'
-];
+// Last-access writes are batched to keep cache hits cheap
+const ACCESS_FLUSH_DELAY = 2000;
+const pendingAccess = new Map();
+let accessFlushTimer = null;
+const trimQueues = new Map();
+
+// Precache - generated by scripts/build-precache-manifest.mjs with a content hash per file
+const PRECACHE = self.__PRECACHE_MANIFEST || { version: 'dev', entries: [] };
+const PRECACHE_CACHES = {
+  critical: CRITICAL_CACHE,
+  menu: MENU_CACHE
+};
+const PRECACHE_STAGING = `precache-staging-${PRECACHE.version}`;
+const PRECACHE_STATE_KEY = 'precache';
+const precacheByUrl = new Map(PRECACHE.entries.map(entry => [
+  new URL(entry.url, self.location.origin).href,
+  { ...entry, cacheName: PRECACHE_CACHES[entry.cache] }
+]));
 
 // Network timeout
 const NETWORK_TIMEOUT = 6000; // 6 seconds for 2G/3G
-let dataUsage = 0;
 const DATA_LIMIT = 2 * 1024 * 1024; // 2MB session limit
 
+// Data metering - bytes per day and per session, persisted in IndexedDB
+const USAGE = {
+  SESSION_GAP: 30 * 60 * 1000,  // Inactivity that starts a new session
+  FLUSH_DELAY: 2000,
+  KEEP_DAYS: 30,
+  KEEP_SESSIONS: 10
+};
+const RESOURCE_TYPES = ['document', 'script', 'style', 'image', 'font', 'video', 'data', 'other'];
+let dataUsage = 0;              // Network bytes this session, mirrored from IndexedDB
+let usageState = null;          // { sessionId, lastActivity }
+let usageReady = null;
+let usageFlush = null;
+const pendingUsage = [];
+const networkResponses = new WeakSet();
+const videoDownloads = new Map();   // url -> Promise<Response> of a whole-file download
+let limitNotified = false;
+
+// Data Saver - mirrored from the page's DataSaver so it applies before any page runs
+let dataSaverState = { mode: 'auto', enabled: false };
+let dataSaverReady = null;
+
+// Offline order replay
+const ORDER_SYNC = {
+  MAX_ATTEMPTS: 5,
+  RETRY_DELAY: 2000,     // Doubled on each in-sync retry
+  RETRIES_PER_SYNC: 2
+};
+let isProcessingOrders = false;
+
+const REMINDER_SYNC_TAG = 'reminder-check';
+// Empty when the deployment has no backend (see scripts/build-deploy-config.mjs)
+const PUSH_SUBSCRIPTION_ENDPOINT = BrasasDeploy.PUSH_ENDPOINT;
+// SETTINGS record shared with modules/ui/app-badge.js
+const APP_BADGE_SETTING = 'app-badge';
+
 /**
- * Install Event - Cache critical assets
+ * Install Event - Stage precache entries that changed
  */
 self.addEventListener('install', event => {
-  console.log('[SW] Installing...');
+  console.log(`[SW] Installing precache ${PRECACHE.version}...`);
   
   event.waitUntil(
     (async () => {
       try {
-        // Cache critical assets first
-        await cacheAssets(CRITICAL_CACHE, CRITICAL_ASSETS);
-        
-        // Cache menu assets (non-blocking)
-        cacheAssets(MENU_CACHE, MENU_ASSETS).catch(err => 
-          console.warn('[SW] Menu assets cache failed:', err)
-        );
+        const staged = await stagePrecache();
         
-        // Cache static assets (non-blocking)
-        cacheAssets(CRITICAL_CACHE, STATIC_ASSETS).catch(err =>
-          console.warn('[SW] Static assets cache failed:', err)
-        );
-        
-        console.log('[SW] Installation complete');
-        self.skipWaiting();
+        // No skipWaiting() here: an update waits until the user accepts it (SKIP_WAITING)
+        console.log(`[SW] Installation complete - ${staged} changed entries staged`);
         
       } catch (error) {
         console.error('[SW] Installation failed:', error);
@@ -83,24 +132,113 @@ self.addEventListener('install', event => {
 });
 
 /**
- * Simplified asset caching
+ * Revisions of what is in the live caches, as left by the last activation
  */
-async function cacheAssets(cacheName, assets) {
-  const cache = await caches.open(cacheName);
+async function getPrecacheState() {
+  try {
+    const state = await BrasasDB.get(BrasasDB.STORES.SETTINGS, PRECACHE_STATE_KEY);
+    return state || { revisions: {} };
+  } catch (error) {
+    console.warn('[SW] Precache state unavailable:', error);
+    return { revisions: {} };
+  }
+}
+
+/**
+ * Downloads entries whose revision changed, or that are missing, into a staging
+ * cache; the live caches keep serving the current worker until activate
+ */
+async function stagePrecache() {
+  const { revisions } = await getPrecacheState();
+  const staging = await caches.open(PRECACHE_STAGING);
+  const changed = [];
   
-  // Try to cache each asset individually to avoid total failure
-  const results = await Promise.allSettled(
-    assets.map(asset => cache.add(asset))
-  );
+  for (const [url, entry] of precacheByUrl) {
+    const current = revisions[url];
+    const isCached = await caches.match(url, { cacheName: entry.cacheName });
+    if (current?.revision !== entry.revision || !isCached) {
+      changed.push(url);
+    }
+  }
   
-  const failed = results.filter(r => r.status === 'rejected').length;
-  if (failed > 0) {
-    console.warn(`[SW] ${failed}/${assets.length} assets failed to cache`);
+  // Try each entry individually to avoid total failure
+  const results = await Promise.allSettled(changed.map(async url => {
+    // Skip the HTTP cache so a stale copy is never stored under a new revision
+    const response = await fetch(new Request(url, { cache: 'reload' }));
+    if (!response.ok) {
+      throw new Error(`${response.status} ${url}`);
+    }
+    await staging.put(url, response.redirected ? await copyResponse(response) : response);
+  }));
+  
+  const failed = results.filter(r => r.status === 'rejected');
+  if (failed.length > 0) {
+    console.warn(`[SW] ${failed.length}/${changed.length} precache entries failed:`, failed.map(r => r.reason?.message));
   }
+  
+  return changed.length - failed.length;
 }
 
 /**
- * Activate Event - Clean old caches
+ * Redirected responses can't answer navigations; keep only the body and headers
+ */
+async function copyResponse(response) {
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  });
+}
+
+/**
+ * Moves staged entries into the live caches and drops entries that left the
+ * manifest; unchanged entries are not touched
+ */
+async function activatePrecache() {
+  const state = await getPrecacheState();
+  const staging = await caches.open(PRECACHE_STAGING);
+  const staged = await staging.keys();
+  const revisions = {};
+  const now = Date.now();
+  
+  // Entries that were current stay current; failed downloads keep their old revision
+  for (const url of precacheByUrl.keys()) {
+    if (state.revisions[url]) revisions[url] = state.revisions[url];
+  }
+  
+  for (const request of staged) {
+    const entry = precacheByUrl.get(request.url);
+    if (!entry) continue;
+    
+    const response = await staging.match(request);
+    const cache = await caches.open(entry.cacheName);
+    const size = await measureResponse(response.clone());
+    await cache.put(request, response);
+    await BrasasDB.put(BrasasDB.STORES.CACHE_ENTRIES, {
+      cacheName: entry.cacheName,
+      url: request.url,
+      size,
+      cachedAt: now,
+      lastAccess: now
+    });
+    revisions[request.url] = { revision: entry.revision, cacheName: entry.cacheName };
+  }
+  
+  const removed = Object.entries(state.revisions).filter(([url]) => !precacheByUrl.has(url));
+  for (const [url, { cacheName }] of removed) {
+    const cache = await caches.open(cacheName);
+    await cache.delete(url);
+    await BrasasDB.delete(BrasasDB.STORES.CACHE_ENTRIES, [cacheName, url]);
+  }
+  
+  await BrasasDB.put(BrasasDB.STORES.SETTINGS, { id: PRECACHE_STATE_KEY, version: PRECACHE.version, revisions });
+  await caches.delete(PRECACHE_STAGING);
+  
+  console.log(`[SW] Precache ${PRECACHE.version}: ${staged.length} updated, ${removed.length} removed`);
+}
+
+/**
+ * Activate Event - Apply the precache and clean old caches
  */
 self.addEventListener('activate', event => {
   console.log('[SW] Activating...');
@@ -108,9 +246,11 @@ self.addEventListener('activate', event => {
   event.waitUntil(
     (async () => {
       try {
-        // Clean old caches
+        await activatePrecache();
+        
+        // Clean old caches, including staging left by installs that never activated
         const cacheNames = await caches.keys();
-        const validCaches = [CRITICAL_CACHE, MENU_CACHE, IMAGE_CACHE];
+        const validCaches = [CRITICAL_CACHE, MENU_CACHE, IMAGE_CACHE, VIDEO_CACHE];
         
         await Promise.all(
           cacheNames
@@ -121,14 +261,14 @@ self.addEventListener('activate', event => {
             })
         );
         
+        // Drop metadata of deleted caches and apply budgets to the current ones
+        await pruneCacheMetadata(validCaches);
+        await Promise.all(validCaches.map(trimCache));
+        
         await self.clients.claim();
         console.log('[SW] Activation complete');
         
-        // Notify clients
-        const clients = await self.clients.matchAll();
-        clients.forEach(client => {
-          client.postMessage({ type: 'SW_READY' });
-        });
+        await notifyClients(TYPES.SW_READY);
         
       } catch (error) {
         console.error('[SW] Activation failed:', error);
@@ -147,10 +287,18 @@ self.addEventListener('fetch', event => {
   
   const url = new URL(event.request.url);
   
-  // Track data usage for Mexican market consciousness
-  trackDataUsage(event.request);
+  // Any copy for metering must be taken before the page starts reading the body
+  const handled = handleRequest(event.request, url).then(response => ({
+    response,
+    copy: needsBodyMeasurement(response) ? response.clone() : null
+  }));
   
-  event.respondWith(handleRequest(event.request, url));
+  event.respondWith(handled.then(({ response }) => response));
+  event.waitUntil(
+    handled
+      .then(({ response, copy }) => meterResponse(event.request, url, response, copy))
+      .catch(() => {})
+  );
 });
 
 /**
@@ -158,24 +306,33 @@ self.addEventListener('fetch', event => {
  */
 async function handleRequest(request, url) {
   try {
-    // Check data usage limits
-    const isDataSaveMode = dataUsage > (DATA_LIMIT * 0.8);
+    await Promise.all([loadUsageState(), loadDataSaverState()]);
     
-    // Strategy 1: Critical resources - Cache First
-    if (isCriticalResource(url) || isDataSaveMode) {
+    // Strategy 1: Critical and precached resources - Cache First
+    if (isCriticalResource(url) || isPrecachedAsset(request, url)) {
       return await cacheFirst(request, CRITICAL_CACHE);
     }
     
-    // Strategy 2: Images - Cache First with fallback
+    // Strategy 2: Videos - whole files cached, ranges served from the cache
+    if (isVideoRequest(request, url)) {
+      return await videoStrategy(request, isDataSaverOn(request));
+    }
+    
+    // Strategy 3: Images - Cache First with fallback
     if (isImageRequest(url)) {
-      return await imageStrategy(request);
+      return await imageStrategy(request, isDataSaverOn(request));
     }
     
-    // Strategy 3: HTML pages - Network First
+    // Strategy 4: HTML pages - Network First
     if (isPageRequest(request)) {
       return await networkFirst(request, MENU_CACHE);
     }
     
+    // Strategy 5: Menu catalog - Network First so prices stay fresh online
+    if (isMenuDataRequest(url)) {
+      return await networkFirst(request, MENU_CACHE);
+    }
+    
     // Default: Stale While Revalidate
     return await staleWhileRevalidate(request, MENU_CACHE);
     
@@ -192,13 +349,14 @@ async function cacheFirst(request, cacheName) {
   const cached = await cache.match(request);
   
   if (cached) {
+    recordAccess(cacheName, request);
     return cached;
   }
   
   try {
     const response = await fetchWithTimeout(request);
     if (response.ok) {
-      await cacheWithLimit(cache, request, response.clone());
+      await cacheWithLimit(cacheName, request, response.clone());
     }
     return response;
   } catch (error) {
@@ -216,11 +374,12 @@ async function networkFirst(request, cacheName) {
   try {
     const response = await fetchWithTimeout(request);
     if (response.ok) {
-      await cacheWithLimit(cache, request, response.clone());
+      await cacheWithLimit(cacheName, request, response.clone());
     }
     return response;
   } catch (error) {
     const cached = await cache.match(request);
+    if (cached) recordAccess(cacheName, request);
     return cached || Promise.reject(error);
   }
 }
@@ -236,7 +395,7 @@ async function staleWhileRevalidate(request, cacheName) {
   const networkPromise = fetchWithTimeout(request)
     .then(response => {
       if (response.ok) {
-        cacheWithLimit(cache, request, response.clone());
+        cacheWithLimit(cacheName, request, response.clone());
       }
       return response;
     })
@@ -244,6 +403,11 @@ async function staleWhileRevalidate(request, cacheName) {
   
   // Return cached immediately if available
   if (cached) {
+    recordAccess(cacheName, request);
+    // The page never sees the revalidation response, so meter it here
+    networkPromise.then(response => {
+      if (response) meterResponse(request, new URL(request.url), response, needsBodyMeasurement(response) ? response.clone() : null);
+    });
     return cached;
   }
   
@@ -254,23 +418,25 @@ async function staleWhileRevalidate(request, cacheName) {
 /**
  * Image strategy with data consciousness
  */
-async function imageStrategy(request) {
+async function imageStrategy(request, saveData = false) {
   const cache = await caches.open(IMAGE_CACHE);
   const cached = await cache.match(request);
   
   if (cached) {
+    recordAccess(IMAGE_CACHE, request);
     return cached;
   }
   
-  // Skip image loading if data limit reached
-  if (dataUsage > (DATA_LIMIT * 0.9)) {
+  // Data Saver: only images that are already cached, plus the small set the
+  // page can't do without (logo, hero poster) and low-res variants
+  if (saveData && !isDataSaverImage(new URL(request.url))) {
     return createImageFallback();
   }
   
   try {
     const response = await fetchWithTimeout(request);
     if (response.ok) {
-      await cacheWithLimit(cache, request, response.clone());
+      await cacheWithLimit(IMAGE_CACHE, request, response.clone());
     }
     return response;
   } catch (error) {
@@ -278,6 +444,98 @@ async function imageStrategy(request) {
   }
 }
 
+/**
+ * Video strategy: <video> asks for byte ranges, which can't be cached as they
+ * come (Cache.put() rejects 206). The whole file is fetched once without the
+ * Range header, cached, and every range is cut from the cached copy.
+ */
+async function videoStrategy(request, saveData = false) {
+  const cache = await caches.open(VIDEO_CACHE);
+  let response = await cache.match(request.url);
+  
+  if (response) {
+    recordAccess(VIDEO_CACHE, request);
+  } else {
+    // Data Saver: only videos that are already cached
+    if (saveData) {
+      return new Response(null, { status: 503, statusText: 'Data Saver' });
+    }
+    
+    response = await downloadVideo(request.url);
+    if (response.status !== 200) {
+      return response;
+    }
+  }
+  
+  const range = request.headers.get('range');
+  return range ? createRangeResponse(response, range) : response;
+}
+
+/**
+ * Fetches and caches a whole video; concurrent range requests share one download.
+ * The download is metered here: pages only see ranges cut from the cached copy.
+ */
+function downloadVideo(url) {
+  if (!videoDownloads.has(url)) {
+    const request = new Request(url);
+    const download = fetchWithTimeout(request)
+      .then(async response => {
+        meterResponse(request, new URL(url), response, needsBodyMeasurement(response) ? response.clone() : null)
+          .catch(() => {});
+        if (response.status === 200) {
+          await cacheWithLimit(VIDEO_CACHE, request, response.clone());
+        }
+        return response;
+      })
+      .finally(() => videoDownloads.delete(url));
+    
+    videoDownloads.set(url, download);
+  }
+  
+  // Each caller gets its own body
+  return videoDownloads.get(url).then(response => response.clone());
+}
+
+/**
+ * Builds a 206 response for a "bytes=start-end" header, or 416 when it can't be satisfied.
+ * Single ranges only; that is all media elements ask for.
+ */
+async function createRangeResponse(response, rangeHeader) {
+  const blob = await response.blob();
+  const size = blob.size;
+  const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader.trim());
+  
+  let start = NaN;
+  let end = NaN;
+  if (match && match[1] !== '') {
+    start = parseInt(match[1], 10);
+    end = match[2] !== '' ? Math.min(parseInt(match[2], 10), size - 1) : size - 1;
+  } else if (match && match[2] !== '') {
+    // Suffix range: the last N bytes
+    start = Math.max(size - parseInt(match[2], 10), 0);
+    end = size - 1;
+  }
+  
+  if (Number.isNaN(start) || start >= size || start > end) {
+    return new Response(null, {
+      status: 416,
+      statusText: 'Range Not Satisfiable',
+      headers: { 'Content-Range': `bytes */${size}` }
+    });
+  }
+  
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    statusText: 'Partial Content',
+    headers: {
+      'Content-Type': response.headers.get('content-type') || blob.type,
+      'Content-Length': String(end - start + 1),
+      'Content-Range': `bytes ${start}-${end}/${size}`,
+      'Accept-Ranges': 'bytes'
+    }
+  });
+}
+
 /**
  * Fetch with timeout
  */
@@ -288,6 +546,7 @@ async function fetchWithTimeout(request, timeout = NETWORK_TIMEOUT) {
   try {
     const response = await fetch(request, { signal: controller.signal });
     clearTimeout(timeoutId);
+    networkResponses.add(response);
     return response;
   } catch (error) {
     clearTimeout(timeoutId);
@@ -296,21 +555,218 @@ async function fetchWithTimeout(request, timeout = NETWORK_TIMEOUT) {
 }
 
 /**
- * Cache with size limits
+ * Stores a response, records its size and trims the cache to its policy
  */
-async function cacheWithLimit(cache, request, response) {
+async function cacheWithLimit(cacheName, request, response) {
+  const cache = await caches.open(cacheName);
+  const size = await measureResponse(response.clone());
   await cache.put(request, response);
   
-  // Simplified cache limit check without complex cache name detection
-  const keys = await cache.keys();
-  const limit = CACHE_LIMITS.menu; // Use menu limit as default for simplicity
+  const now = Date.now();
+  pendingAccess.delete(entryKey(cacheName, request.url));
+  
+  try {
+    await BrasasDB.put(BrasasDB.STORES.CACHE_ENTRIES, {
+      cacheName,
+      url: request.url,
+      size,
+      cachedAt: now,
+      lastAccess: now
+    });
+  } catch (error) {
+    console.warn('[SW] Cache metadata write failed:', error);
+  }
+  
+  await trimCache(cacheName);
+}
+
+/**
+ * Response size in bytes; opaque responses report 0
+ */
+async function measureResponse(response) {
+  const length = parseInt(response.headers.get('content-length'), 10);
+  if (!Number.isNaN(length)) return length;
   
-  if (keys.length > limit) {
-    const oldKeys = keys.slice(0, keys.length - limit);
-    await Promise.all(oldKeys.map(key => cache.delete(key)));
+  try {
+    return (await response.blob()).size;
+  } catch (error) {
+    return 0;
   }
 }
 
+function entryKey(cacheName, url) {
+  return `${cacheName}|${url}`;
+}
+
+/**
+ * Remembers a cache hit; written to IndexedDB in batches
+ */
+function recordAccess(cacheName, request) {
+  pendingAccess.set(entryKey(cacheName, request.url), { cacheName, url: request.url, lastAccess: Date.now() });
+  
+  if (!accessFlushTimer) {
+    accessFlushTimer = setTimeout(flushAccess, ACCESS_FLUSH_DELAY);
+  }
+}
+
+async function flushAccess() {
+  accessFlushTimer = null;
+  const updates = [...pendingAccess.values()];
+  pendingAccess.clear();
+  
+  try {
+    await BrasasDB.withStore(BrasasDB.STORES.CACHE_ENTRIES, 'readwrite', store => {
+      updates.forEach(({ cacheName, url, lastAccess }) => {
+        const request = store.get([cacheName, url]);
+        request.onsuccess = () => {
+          if (request.result) {
+            store.put({ ...request.result, lastAccess });
+          }
+        };
+      });
+    });
+  } catch (error) {
+    console.warn('[SW] Cache access flush failed:', error);
+  }
+}
+
+/**
+ * Serializes trims per cache so concurrent puts don't evict twice
+ */
+function trimCache(cacheName) {
+  const previous = trimQueues.get(cacheName) || Promise.resolve();
+  const next = previous.then(() => enforceCachePolicy(cacheName)).catch(error => {
+    console.warn(`[SW] Trimming ${cacheName} failed:`, error);
+  });
+  trimQueues.set(cacheName, next);
+  return next;
+}
+
+/**
+ * Applies max age, then evicts least-recently-used entries until the
+ * entry count and byte budget fit
+ */
+async function enforceCachePolicy(cacheName) {
+  const policy = CACHE_POLICIES[cacheName];
+  if (!policy) return;
+  
+  const cache = await caches.open(cacheName);
+  const entries = await syncCacheEntries(cacheName, cache);
+  const now = Date.now();
+  const evicted = [];
+  
+  let live = entries;
+  if (policy.maxAge) {
+    live = entries.filter(entry => {
+      const expired = !precacheByUrl.has(entry.url) && now - entry.cachedAt > policy.maxAge;
+      if (expired) evicted.push(entry);
+      return !expired;
+    });
+  }
+  
+  // Precached entries count against the budget but are only replaced by a new manifest
+  let count = live.length;
+  let bytes = live.reduce((total, entry) => total + entry.size, 0);
+  const evictable = live
+    .filter(entry => !precacheByUrl.has(entry.url))
+    .sort((a, b) => a.lastAccess - b.lastAccess);
+  
+  while (evictable.length > 0 && (count > policy.maxEntries || bytes > policy.maxBytes)) {
+    const oldest = evictable.shift();
+    count--;
+    bytes -= oldest.size;
+    evicted.push(oldest);
+  }
+  
+  if (evicted.length === 0) return;
+  
+  await Promise.all(evicted.map(entry => cache.delete(entry.url)));
+  await BrasasDB.withStore(BrasasDB.STORES.CACHE_ENTRIES, 'readwrite', store => {
+    evicted.forEach(entry => store.delete([cacheName, entry.url]));
+  });
+  console.log(`[SW] Evicted ${evicted.length} entries from ${cacheName}`);
+}
+
+/**
+ * Reconciles metadata with the cache: adds entries cached without it
+ * (install precache) and drops metadata for entries that are gone
+ */
+async function syncCacheEntries(cacheName, cache) {
+  const [requests, stored] = await Promise.all([
+    cache.keys(),
+    BrasasDB.getAllByIndex(BrasasDB.STORES.CACHE_ENTRIES, 'cacheName', cacheName)
+  ]);
+  
+  const byUrl = new Map(stored.map(entry => [entry.url, entry]));
+  const cachedUrls = new Set(requests.map(request => request.url));
+  const now = Date.now();
+  const added = [];
+  
+  for (const request of requests) {
+    if (byUrl.has(request.url)) continue;
+    
+    const response = await cache.match(request);
+    const entry = {
+      cacheName,
+      url: request.url,
+      size: response ? await measureResponse(response) : 0,
+      cachedAt: now,
+      lastAccess: 0
+    };
+    byUrl.set(request.url, entry);
+    added.push(entry);
+  }
+  
+  const orphaned = stored.filter(entry => !cachedUrls.has(entry.url));
+  
+  if (added.length > 0 || orphaned.length > 0) {
+    await BrasasDB.withStore(BrasasDB.STORES.CACHE_ENTRIES, 'readwrite', store => {
+      added.forEach(entry => store.put(entry));
+      orphaned.forEach(entry => store.delete([cacheName, entry.url]));
+    });
+  }
+  
+  return [...byUrl.values()].filter(entry => cachedUrls.has(entry.url));
+}
+
+async function pruneCacheMetadata(validCaches) {
+  try {
+    const entries = await BrasasDB.getAll(BrasasDB.STORES.CACHE_ENTRIES);
+    const stale = entries.filter(entry => !validCaches.includes(entry.cacheName));
+    if (stale.length === 0) return;
+    
+    await BrasasDB.withStore(BrasasDB.STORES.CACHE_ENTRIES, 'readwrite', store => {
+      stale.forEach(entry => store.delete([entry.cacheName, entry.url]));
+    });
+  } catch (error) {
+    console.warn('[SW] Cache metadata cleanup failed:', error);
+  }
+}
+
+/**
+ * Entry counts and bytes per cache against their budgets
+ */
+async function getCacheUsage() {
+  const usage = {};
+  
+  for (const [cacheName, policy] of Object.entries(CACHE_POLICIES)) {
+    const cache = await caches.open(cacheName);
+    const entries = await syncCacheEntries(cacheName, cache);
+    const bytes = entries.reduce((total, entry) => total + entry.size, 0);
+    
+    usage[cacheName] = {
+      entries: entries.length,
+      bytes,
+      maxEntries: policy.maxEntries,
+      maxBytes: policy.maxBytes,
+      maxAge: policy.maxAge,
+      percentage: (bytes / policy.maxBytes) * 100
+    };
+  }
+  
+  return usage;
+}
+
 /**
  * Error handling
  */
@@ -318,6 +774,13 @@ async function handleError(request) {
   // For HTML pages, return offline page
   if (request.headers.get('accept')?.includes('text/html')) {
     const cache = await caches.open(CRITICAL_CACHE);
+    
+    // Precached copy of the page itself, e.g. '/' for '/?utm_source=web_app_manifest'
+    const precachedPage = await cache.match(request, { ignoreSearch: true });
+    if (precachedPage) {
+      return precachedPage;
+    }
+    
     const offlinePage = await cache.match(OFFLINE_PAGE);
     
     if (offlinePage) {
@@ -343,24 +806,19 @@ async function handleError(request) {
           button { background: linear-gradient(135deg, #ad2118, #d97706); color: white; border: none; 
                    padding: 15px 30px; border-radius: 10px; font-size: 16px; cursor: pointer; 
                    font-weight: bold; width: 100%; }
-          .features { background: #f8f9fa; padding: 20px; border-radius: 10px; margin: 20px 0; text-align: left; }
-          .features h3 { margin-top: 0; color: #ad2118; }
-          .features ul { margin: 0; padding-left: 20px; }
-          .features li { margin-bottom: 8px; }
+          .actions a { display: block; padding: 15px; border-radius: 10px; margin-bottom: 10px;
+                       color: white; text-decoration: none; font-weight: bold; background: #ad2118; }
+          .actions a.whatsapp { background: #25d366; }
         </style>
       </head>
       <body>
         <div class="container">
           <div class="logo">B</div>
           <h1>Sin conexión</h1>
-          <p>Brasas Smokehouse funciona sin internet.</p>
-          <div class="features">
-            <h3>Disponible offline:</h3>
-            <ul>
-              <li>✅ Ver menú completo</li>
-              <li>✅ Carrito de compras</li>
-              <li>✅ Información del restaurante</li>
-            </ul>
+          <p>No pudimos cargar esta página. Puedes hacer tu pedido por teléfono o WhatsApp.</p>
+          <div class="actions">
+            <a href="tel:${OFFLINE_CONTACT.phone}">Llamar</a>
+            <a href="${OFFLINE_CONTACT.whatsappUrl}" class="whatsapp">WhatsApp</a>
           </div>
           <button onclick="location.reload()">Intentar conectar</button>
         </div>
@@ -395,19 +853,225 @@ function createImageFallback() {
 }
 
 /**
- * Data usage tracking
+ * Data usage metering
  */
-function trackDataUsage(request) {
-  const url = request.url;
-  if (url.includes('.jpg') || url.includes('.png') || url.includes('.webp')) {
-    dataUsage += 30000; // ~30KB estimate
-  } else if (url.includes('.js')) {
-    dataUsage += 8000; // ~8KB estimate
-  } else if (url.includes('.css')) {
-    dataUsage += 4000; // ~4KB estimate
-  } else {
-    dataUsage += 1000; // ~1KB estimate
+function getResourceType(request, url) {
+  const byDestination = {
+    document: 'document',
+    iframe: 'document',
+    script: 'script',
+    worker: 'script',
+    style: 'style',
+    image: 'image',
+    font: 'font',
+    video: 'video',
+    audio: 'video'
+  };
+  
+  if (byDestination[request.destination]) return byDestination[request.destination];
+  if (isMenuDataRequest(url) || /\.json$/i.test(url.pathname)) return 'data';
+  if (isImageRequest(url)) return 'image';
+  if (/\.m?js$/i.test(url.pathname)) return 'script';
+  if (/\.css$/i.test(url.pathname)) return 'style';
+  if (/\.(woff2?|ttf|otf)$/i.test(url.pathname)) return 'font';
+  if (/\.(mp4|webm)$/i.test(url.pathname)) return 'video';
+  return 'other';
+}
+
+function getDayKey(date = new Date()) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function createUsageRecord(id, scope, extra = {}) {
+  const emptyBreakdown = () => ({
+    bytes: 0,
+    requests: 0,
+    byType: Object.fromEntries(RESOURCE_TYPES.map(type => [type, { bytes: 0, requests: 0 }]))
+  });
+  
+  return { id, scope, network: emptyBreakdown(), cache: emptyBreakdown(), updatedAt: Date.now(), ...extra };
+}
+
+/**
+ * Restores the current session after a worker restart, or starts a new one
+ */
+function loadUsageState() {
+  if (!usageReady) {
+    usageReady = (async () => {
+      try {
+        const meta = await BrasasDB.get(BrasasDB.STORES.DATA_USAGE, 'meta:session');
+        
+        if (meta && Date.now() - meta.lastActivity < USAGE.SESSION_GAP) {
+          usageState = { sessionId: meta.sessionId, lastActivity: meta.lastActivity };
+          const session = await BrasasDB.get(BrasasDB.STORES.DATA_USAGE, `session:${meta.sessionId}`);
+          dataUsage = session ? session.network.bytes : 0;
+        } else {
+          await startUsageSession();
+        }
+      } catch (error) {
+        console.warn('[SW] Data usage state unavailable:', error);
+        usageState = usageState || { sessionId: Date.now().toString(36), lastActivity: Date.now() };
+      }
+    })();
   }
+  return usageReady;
+}
+
+async function startUsageSession() {
+  usageState = { sessionId: Date.now().toString(36), lastActivity: Date.now() };
+  dataUsage = 0;
+  limitNotified = false;
+  await BrasasDB.put(BrasasDB.STORES.DATA_USAGE, { id: 'meta:session', ...usageState });
+}
+
+/**
+ * Restores the last Data Saver setting the page sent
+ */
+function loadDataSaverState() {
+  if (!dataSaverReady) {
+    dataSaverReady = BrasasDB.get(BrasasDB.STORES.SETTINGS, 'data-saver')
+      .then(record => {
+        if (record) dataSaverState = { mode: record.mode, enabled: record.enabled };
+      })
+      .catch(error => console.warn('[SW] Data saver setting unavailable:', error));
+  }
+  return dataSaverReady;
+}
+
+async function setDataSaverState({ mode = 'auto', enabled = false } = {}) {
+  await loadDataSaverState();
+  dataSaverState = { mode, enabled: Boolean(enabled) };
+  await BrasasDB.put(BrasasDB.STORES.SETTINGS, { id: 'data-saver', ...dataSaverState });
+}
+
+/**
+ * 'on' and 'off' are the user's choice; 'auto' also honours Save-Data and the session limit
+ */
+function isDataSaverOn(request) {
+  if (dataSaverState.mode === 'on') return true;
+  if (dataSaverState.mode === 'off') return false;
+  
+  return dataSaverState.enabled ||
+    request.headers.get('save-data') === 'on' ||
+    dataUsage >= DATA_LIMIT * 0.8;
+}
+
+/**
+ * Responses without Content-Length have to be read to know their size
+ */
+function needsBodyMeasurement(response) {
+  return Boolean(response) && response.type !== 'opaque' && !response.headers.has('content-length');
+}
+
+/**
+ * Records the real size of a response; network bytes come from Content-Length
+ * or the measured body, cache-served bytes are what the network was spared
+ */
+async function meterResponse(request, url, response, copy) {
+  if (!response) return;
+  
+  const source = networkResponses.has(response) ? 'network' : 'cache';
+  let size = 0;
+  
+  if (copy) {
+    size = await measureResponse(copy);
+  } else if (response.type !== 'opaque') {
+    size = parseInt(response.headers.get('content-length'), 10) || 0;
+  }
+  
+  if (source === 'network') {
+    dataUsage += size;
+    
+    if (!limitNotified && dataUsage >= DATA_LIMIT * 0.8) {
+      limitNotified = true;
+      await notifyClients(TYPES.DATA_LIMIT_REACHED, { dataUsage, limit: DATA_LIMIT });
+    }
+  }
+  
+  pendingUsage.push({ source, type: getResourceType(request, url), size, at: Date.now() });
+  await scheduleUsageFlush();
+}
+
+/**
+ * Batches metered entries into one IndexedDB transaction
+ */
+function scheduleUsageFlush() {
+  if (!usageFlush) {
+    usageFlush = new Promise(resolve => setTimeout(resolve, USAGE.FLUSH_DELAY))
+      .then(flushUsage)
+      .catch(error => console.warn('[SW] Data usage flush failed:', error))
+      .finally(() => { usageFlush = null; });
+  }
+  return usageFlush;
+}
+
+async function flushUsage() {
+  await loadUsageState();
+  const entries = pendingUsage.splice(0);
+  if (entries.length === 0) return;
+  
+  const lastActivity = entries[entries.length - 1].at;
+  if (lastActivity - usageState.lastActivity > USAGE.SESSION_GAP) {
+    await startUsageSession();
+    dataUsage = entries.filter(entry => entry.source === 'network').reduce((total, entry) => total + entry.size, 0);
+  }
+  usageState.lastActivity = lastActivity;
+  
+  const sessionId = `session:${usageState.sessionId}`;
+  const dayId = `day:${getDayKey(new Date(lastActivity))}`;
+  
+  await BrasasDB.withStore(BrasasDB.STORES.DATA_USAGE, 'readwrite', store => {
+    store.put({ id: 'meta:session', ...usageState });
+    
+    [[sessionId, 'session'], [dayId, 'day']].forEach(([id, scope]) => {
+      const request = store.get(id);
+      request.onsuccess = () => {
+        const record = request.result || createUsageRecord(id, scope, scope === 'session'
+          ? { startedAt: entries[0].at }
+          : { date: id.slice(4) });
+        
+        entries.forEach(({ source, type, size }) => {
+          record[source].bytes += size;
+          record[source].requests += 1;
+          record[source].byType[type].bytes += size;
+          record[source].byType[type].requests += 1;
+        });
+        record.updatedAt = lastActivity;
+        store.put(record);
+      };
+    });
+  });
+}
+
+/**
+ * Day and session totals for GET_DATA_USAGE, pruning old records
+ */
+async function getDataUsageReport() {
+  await loadUsageState();
+  await usageFlush;
+  
+  const records = await BrasasDB.getAll(BrasasDB.STORES.DATA_USAGE);
+  const days = records.filter(record => record.scope === 'day').sort((a, b) => b.date.localeCompare(a.date));
+  const sessions = records.filter(record => record.scope === 'session').sort((a, b) => b.startedAt - a.startedAt);
+  
+  const stale = [...days.slice(USAGE.KEEP_DAYS), ...sessions.slice(USAGE.KEEP_SESSIONS)];
+  if (stale.length > 0) {
+    await BrasasDB.withStore(BrasasDB.STORES.DATA_USAGE, 'readwrite', store => {
+      stale.forEach(record => store.delete(record.id));
+    });
+  }
+  
+  const session = sessions.find(record => record.id === `session:${usageState.sessionId}`) ||
+    createUsageRecord(`session:${usageState.sessionId}`, 'session', { startedAt: usageState.lastActivity });
+  
+  return {
+    dataUsage,
+    limit: DATA_LIMIT,
+    percentage: (dataUsage / DATA_LIMIT) * 100,
+    session,
+    today: days.find(record => record.date === getDayKey()) || null,
+    days: days.slice(0, 7)
+  };
 }
 
 /**
@@ -425,41 +1089,61 @@ function isCriticalResource(url) {
   );
 }
 
+/**
+ * Precached shell files; pages stay network first and menu data has its own strategy
+ */
+function isPrecachedAsset(request, url) {
+  return precacheByUrl.get(url.href)?.cacheName === CRITICAL_CACHE && !isPageRequest(request);
+}
+
+function isVideoRequest(request, url) {
+  return request.destination === 'video' || /\.(mp4|webm)$/i.test(url.pathname);
+}
+
 function isImageRequest(url) {
   return /\.(jpg|jpeg|png|gif|webp|avif|svg)(\?.*)?$/i.test(url.pathname);
 }
 
+/**
+ * Images fetched even with Data Saver on: low-res variants live in a `low/` folder
+ */
+function isDataSaverImage(url) {
+  return url.origin === self.location.origin && (
+    DATA_SAVER_IMAGE_PATHS.some(prefix => url.pathname.startsWith(prefix)) ||
+    url.pathname.includes('/low/')
+  );
+}
+
+function isMenuDataRequest(url) {
+  return url.pathname.startsWith('/assets/data/');
+}
+
 function isPageRequest(request) {
   return request.headers.get('accept')?.includes('text/html');
 }
 
 /**
- * Message handling - Simplified
+ * Message handling - request types are registered in shared/sw-messages.js
  */
+const messageHandlers = {
+  [TYPES.SKIP_WAITING]: () => self.skipWaiting(),
+  [TYPES.GET_VERSION]: () => ({
+    version: CACHE_VERSION,
+    precache: PRECACHE.version,
+    release: BrasasReleaseNotes.latest.version
+  }),
+  [TYPES.GET_RELEASE_NOTES]: () => BrasasReleaseNotes.latest,
+  [TYPES.GET_DATA_USAGE]: () => getDataUsageReport(),
+  [TYPES.GET_CACHE_USAGE]: async () => ({ caches: await getCacheUsage() }),
+  [TYPES.RESET_DATA_USAGE]: () => startUsageSession(),
+  [TYPES.SET_DATA_SAVER]: data => setDataSaverState(data),
+  [TYPES.CHECK_REMINDERS]: () => deliverDueReminders(),
+  // No Background Sync here; the page asks again on its next 'online' event
+  [TYPES.SYNC_ORDERS]: () => processOfflineOrders()
+};
+
 self.addEventListener('message', event => {
-  const { type, data } = event.data || {};
-  
-  switch (type) {
-    case 'SKIP_WAITING':
-      self.skipWaiting();
-      break;
-      
-    case 'GET_VERSION':
-      event.ports[0]?.postMessage({ version: CACHE_VERSION });
-      break;
-      
-    case 'GET_DATA_USAGE':
-      event.ports[0]?.postMessage({ 
-        dataUsage,
-        limit: DATA_LIMIT,
-        percentage: (dataUsage / DATA_LIMIT) * 100
-      });
-      break;
-      
-    case 'RESET_DATA_USAGE':
-      dataUsage = 0;
-      break;
-  }
+  event.waitUntil(BrasasMessages.handle(event, messageHandlers));
 });
 
 /**
@@ -472,73 +1156,245 @@ self.addEventListener('sync', event => {
 });
 
 /**
- * Simple offline order processing
+ * Replays queued orders from the IndexedDB outbox
  */
 async function processOfflineOrders() {
+  if (isProcessingOrders) return;
+  isProcessingOrders = true;
+  
+  let shouldRetry = false;
+  
   try {
-    // Get offline orders from localStorage (simpler than IndexedDB)
-    const clients = await self.clients.matchAll();
+    const records = await BrasasDB.getAll(BrasasDB.STORES.OUTBOX);
+    const pending = records.filter(record => record.status === 'pending');
     
-    clients.forEach(client => {
-      client.postMessage({
-        type: 'PROCESS_OFFLINE_ORDERS',
-        message: 'Processing offline orders'
+    for (const record of pending) {
+      const result = await sendQueuedOrder(record);
+      
+      if (result.status === 'sent') {
+        await BrasasDB.delete(BrasasDB.STORES.OUTBOX, record.id);
+      } else {
+        await BrasasDB.put(BrasasDB.STORES.OUTBOX, {
+          ...record,
+          attempts: result.attempts,
+          status: result.status === 'failed' ? 'failed' : 'pending',
+          lastError: result.error
+        });
+        shouldRetry = shouldRetry || result.status === 'retrying';
+      }
+      
+      await notifyClients(TYPES.ORDER_SYNC_RESULT, {
+        orderId: record.id,
+        status: result.status,
+        attempts: result.attempts,
+        error: result.error
       });
-    });
+    }
     
   } catch (error) {
     console.error('[SW] Offline order processing failed:', error);
+    shouldRetry = true;
+  } finally {
+    isProcessingOrders = false;
+  }
+  
+  // Rejecting lets the browser reschedule the 'order-sync' event
+  if (shouldRetry) {
+    throw new Error('Some offline orders are still pending');
   }
 }
 
 /**
- * Push notifications - Simplified
+ * Posts one order with its idempotency key, retrying transient failures
+ * @returns {Promise<{status: string, attempts: number, error: string|null}>}
  */
-self.addEventListener('push', event => {
-  const title = 'Brasas Smokehouse';
-  const options = {
-    body: 'Tu pedido está listo!',
-    icon: '/assets/images/logo/brasas-icon-192-192.png',
-    badge: '/assets/images/favicon/favicon-32x32.png',
-    vibrate: [200, 100, 200],
-    data: { url: '/' }
+async function sendQueuedOrder(record) {
+  let attempts = record.attempts || 0;
+  let lastError = null;
+  
+  if (!record.endpoint) {
+    return { status: 'failed', attempts, error: 'No order endpoint configured' };
+  }
+  
+  for (let retry = 0; retry <= ORDER_SYNC.RETRIES_PER_SYNC; retry++) {
+    if (attempts >= ORDER_SYNC.MAX_ATTEMPTS) break;
+    
+    if (retry > 0) {
+      await new Promise(resolve => setTimeout(resolve, ORDER_SYNC.RETRY_DELAY * Math.pow(2, retry - 1)));
+    }
+    attempts++;
+    
+    try {
+      const response = await fetchWithTimeout(new Request(record.endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': record.idempotencyKey
+        },
+        body: JSON.stringify(record.payload)
+      }));
+      
+      // 409 means the server already has this idempotency key
+      if (response.ok || response.status === 409) {
+        return { status: 'sent', attempts, error: null };
+      }
+      
+      lastError = `HTTP ${response.status}`;
+      
+      // Client errors will not succeed on retry
+      if (response.status >= 400 && response.status < 500 &&
+          response.status !== 408 && response.status !== 429) {
+        return { status: 'failed', attempts, error: lastError };
+      }
+    } catch (error) {
+      lastError = error.message || 'Network error';
+    }
+  }
+  
+  return {
+    status: attempts >= ORDER_SYNC.MAX_ATTEMPTS ? 'failed' : 'retrying',
+    attempts,
+    error: lastError
   };
+}
+
+/**
+ * Sends a message to every open page
+ */
+async function notifyClients(type, data) {
+  const message = BrasasMessages.createEvent(type, data);
+  const clientList = await self.clients.matchAll({ includeUncontrolled: true, type: 'window' });
+  clientList.forEach(client => client.postMessage(message));
+}
+
+/**
+ * Reminders - Delivered as system notifications once due
+ */
+self.addEventListener('periodicsync', event => {
+  if (event.tag === REMINDER_SYNC_TAG) {
+    event.waitUntil(deliverDueReminders());
+  }
+});
+
+async function deliverDueReminders() {
+  if (self.Notification?.permission !== 'granted') return;
   
-  event.waitUntil(
-    self.registration.showNotification(title, options)
-  );
+  try {
+    const now = Date.now();
+    const reminders = await BrasasDB.getAll(BrasasDB.STORES.REMINDERS);
+    
+    for (const reminder of reminders.filter(item => item.dueAt <= now)) {
+      // Periodic sync may wake the worker hours after the due time; a late
+      // notice still beats none, as long as it says when it was meant for
+      const late = now > (reminder.lateAfter ?? reminder.expiresAt ?? reminder.dueAt);
+      const lateNote = reminder.dueLabel ? `Aviso atrasado, era para ${reminder.dueLabel}.` : 'Aviso atrasado.';
+      
+      await self.registration.showNotification(reminder.title, {
+        body: late ? `${lateNote} ${reminder.body}` : reminder.body,
+        icon: '/assets/images/logo/brasas-icon-192-192.png',
+        badge: '/assets/images/logo/brasas-icon-64.png',
+        tag: `reminder-${reminder.id}`,
+        timestamp: reminder.dueAt,
+        data: { url: reminder.url || '/' }
+      });
+      
+      await BrasasDB.delete(BrasasDB.STORES.REMINDERS, reminder.id);
+      await notifyClients(TYPES.REMINDER_DELIVERED, { reminderId: reminder.id, late });
+    }
+  } catch (error) {
+    console.error('[SW] Reminder delivery failed:', error);
+  }
+}
+
+/**
+ * App badge - An ORDER_READY push flags the app icon until the customer opens
+ * the notification or the app; the rest of the time pages show the cart count
+ */
+async function setOrderReadyBadge(orderReady, orderId = null) {
+  try {
+    await BrasasDB.put(BrasasDB.STORES.SETTINGS, { id: APP_BADGE_SETTING, orderReady, orderId, updatedAt: Date.now() });
+    
+    if ('setAppBadge' in navigator) {
+      await (orderReady ? navigator.setAppBadge() : navigator.clearAppBadge());
+    }
+  } catch (error) {
+    console.warn('[SW] App badge update failed:', error);
+  }
+  
+  await notifyClients(TYPES.APP_BADGE_CHANGED, { orderReady });
+}
+
+/**
+ * Push notifications - payload types live in shared/push-payloads.js
+ */
+self.addEventListener('push', event => {
+  const payload = BrasasPush.parse(event.data);
+  const { title, options } = BrasasPush.buildNotification(payload);
+  event.waitUntil(Promise.all([
+    self.registration.showNotification(title, options),
+    payload.type === BrasasPush.TYPES.ORDER_READY ? setOrderReadyBadge(true, payload.orderId || null) : null
+  ]));
 });
 
 self.addEventListener('notificationclick', event => {
   event.notification.close();
+  const targetUrl = BrasasPush.getClickUrl(event.notification.data, event.action);
+  const isExternal = new URL(targetUrl, self.location.origin).origin !== self.location.origin;
+  
+  // Any click on the order notification means the customer saw it, even "Ver pedido" (WhatsApp)
+  if (event.notification.data?.type === BrasasPush.TYPES.ORDER_READY) {
+    event.waitUntil(setOrderReadyBadge(false));
+  }
   
   event.waitUntil(
     clients.matchAll({ type: 'window' }).then(clientList => {
-      // Focus existing window or open new one
-      for (const client of clientList) {
+      // Focus existing window or open new one; WhatsApp and Maps always open on their own
+      for (const client of isExternal ? [] : clientList) {
         if (client.url.includes(self.location.origin) && 'focus' in client) {
+          if (targetUrl !== '/' && 'navigate' in client) {
+            return client.navigate(targetUrl)
+              .then(navigated => (navigated || client).focus())
+              .catch(() => client.focus());
+          }
           return client.focus();
         }
       }
       
       if (clients.openWindow) {
-        return clients.openWindow('/');
+        return clients.openWindow(targetUrl);
       }
     })
   );
 });
 
 /**
- * Periodic cleanup
+ * The push service rotated the subscription; renew it and tell the server
+ * which endpoint it replaces so topic preferences carry over
  */
-setInterval(() => {
-  // Reset data usage periodically
-  if (dataUsage > DATA_LIMIT) {
-    dataUsage = Math.floor(dataUsage * 0.5);
-    console.log('[SW] Data usage reset');
-  }
-}, 300000); // Every 5 minutes
+self.addEventListener('pushsubscriptionchange', event => {
+  if (!PUSH_SUBSCRIPTION_ENDPOINT) return;
+
+  event.waitUntil(
+    (async () => {
+      const options = event.oldSubscription?.options;
+      const subscription = event.newSubscription ||
+        (options ? await self.registration.pushManager.subscribe(options) : null);
+      if (!subscription) return;
+      
+      await fetch(PUSH_SUBSCRIPTION_ENDPOINT, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          subscription: subscription.toJSON(),
+          oldEndpoint: event.oldSubscription?.endpoint || null
+        })
+      });
+    })().catch(error => console.warn('[SW] Push subscription renewal failed:', error))
+  );
+});
 
 console.log('[SW] Lightweight Service Worker loaded for Mexican mobile market');
-console.log(`[SW] Cache limits: Critical(${CACHE_LIMITS.critical}), Menu(${CACHE_LIMITS.menu}), Images(${CACHE_LIMITS.images})`);
+console.log(`[SW] Cache budgets: ${Object.entries(CACHE_POLICIES)
+  .map(([name, policy]) => `${name}(${policy.maxEntries}, ${(policy.maxBytes / 1024 / 1024).toFixed(0)}MB)`)
+  .join(', ')}`);
 console.log(`[SW] Data limit: ${(DATA_LIMIT/1024/1024).toFixed(1)}MB per session`);
\ No newline at end of file
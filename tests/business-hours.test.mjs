@@ -0,0 +1,202 @@
+// tests/business-hours.test.mjs
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// reminders.js (imported by status.js) loads the shared scripts, which expect `self`
+globalThis.self = globalThis;
+
+const { CONFIG } = await import('../assets/js/modules/config.js');
+const { BusinessStatus } = await import('../assets/js/modules/business/status.js');
+const { getHolidayForDate } = await import('../assets/js/modules/business/holidays.js');
+
+const original = { timezone: CONFIG.BUSINESS.TIMEZONE, schedule: CONFIG.BUSINESS.SCHEDULE };
+
+const EVERY_DAY = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+function weekly(ranges) {
+    return Object.fromEntries(EVERY_DAY.map(day => [day, ranges]));
+}
+
+function useSchedule(schedule, timezone = 'America/Hermosillo') {
+    CONFIG.BUSINESS.TIMEZONE = timezone;
+    CONFIG.BUSINESS.SCHEDULE = { EXCEPTIONS: [], CLOSURES: [], HOLIDAYS: {}, LOOKAHEAD_DAYS: 31, ...schedule };
+}
+
+/**
+ * BusinessStatus frozen at an instant
+ */
+function statusAt(iso) {
+    const status = new BusinessStatus();
+    status.clock = () => new Date(iso);
+    return status;
+}
+
+beforeEach(() => {
+    useSchedule({ WEEKLY: weekly([['06:30', '23:00']]) });
+});
+
+afterEach(() => {
+    CONFIG.BUSINESS.TIMEZONE = original.timezone;
+    CONFIG.BUSINESS.SCHEDULE = original.schedule;
+});
+
+test('reads the time in the restaurant timezone, not the device one', () => {
+    // 05:00 UTC on Tuesday is still 22:00 on Monday in Hermosillo (UTC-7, no DST)
+    const status = statusAt('2026-10-20T05:00:00Z');
+
+    assert.deepEqual(status.getNow(), { year: 2026, month: 10, day: 19, minutes: 22 * 60, seconds: 0 });
+    assert.equal(status.isBusinessOpen(), true);
+    assert.equal(status.getClosingTime().toISOString(), '2026-10-20T06:00:00.000Z');
+});
+
+test('opens and closes on the exact minute', () => {
+    assert.equal(statusAt('2026-10-19T13:29:00Z').isBusinessOpen(), false);
+    assert.equal(statusAt('2026-10-19T13:30:00Z').isBusinessOpen(), true);
+    assert.equal(statusAt('2026-10-20T05:59:00Z').isBusinessOpen(), true);
+    assert.equal(statusAt('2026-10-20T06:00:00Z').isBusinessOpen(), false);
+});
+
+test('overnight ranges stay open past midnight into the next day', () => {
+    useSchedule({
+        WEEKLY: { ...weekly([]), friday: [['18:00', '02:00']], saturday: [['18:00', '02:00']] }
+    });
+
+    // Saturday 24 October 2026, 01:30 in Hermosillo: still Friday's shift
+    const lateFriday = statusAt('2026-10-24T08:30:00Z');
+    assert.equal(lateFriday.isBusinessOpen(), true);
+    assert.deepEqual(lateFriday.getStatus().closesAt, { year: 2026, month: 10, day: 24, minutes: 120 });
+    assert.equal(lateFriday.getStatus().minutesUntilClose, 30);
+
+    // 02:00: closed until Saturday 18:00
+    const afterClose = statusAt('2026-10-24T09:00:00Z');
+    assert.equal(afterClose.isBusinessOpen(), false);
+    assert.equal(afterClose.getNextOpeningTime().toISOString(), '2026-10-25T01:00:00.000Z');
+    assert.equal(afterClose.getStatus().minutesUntilOpen, 16 * 60);
+
+    // Sunday 02:00 closes Saturday's shift; next opening is the following Friday
+    const sunday = statusAt('2026-10-25T09:00:00Z');
+    assert.equal(sunday.isBusinessOpen(), false);
+    assert.deepEqual(sunday.getStatus().opensAt, { year: 2026, month: 10, day: 30, minutes: 18 * 60 });
+    assert.equal(sunday.getClosedMessage(), 'Cerrado - Abre el viernes a las 6:00 PM (hora de Sonora)');
+});
+
+test('touching ranges across midnight merge into one opening', () => {
+    useSchedule({ WEEKLY: weekly([['00:00', '24:00']]) });
+
+    const status = statusAt('2026-10-19T20:00:00Z');
+    assert.equal(status.isBusinessOpen(), true);
+    // Open around the clock for the whole lookahead window
+    assert.equal(status.getStatus().minutesUntilClose > 30 * 24 * 60, true);
+});
+
+test('spring forward: an overnight shift closes at the right instant', () => {
+    // Tijuana moves from UTC-8 to UTC-7 at 02:00 on Sunday 8 March 2026
+    useSchedule({ WEEKLY: weekly([['18:00', '03:00']]) }, 'America/Tijuana');
+
+    // 01:30 PST, still Saturday's shift
+    const beforeChange = statusAt('2026-03-08T09:30:00Z');
+    assert.equal(beforeChange.isBusinessOpen(), true);
+    assert.equal(beforeChange.getClosingTime().toISOString(), '2026-03-08T10:00:00.000Z');
+
+    // 03:00 PDT is one real hour later: closed
+    const afterChange = statusAt('2026-03-08T10:00:00Z');
+    assert.deepEqual(afterChange.getNow(), { year: 2026, month: 3, day: 8, minutes: 180, seconds: 0 });
+    assert.equal(afterChange.isBusinessOpen(), false);
+    assert.equal(afterChange.getNextOpeningTime().toISOString(), '2026-03-09T01:00:00.000Z');
+});
+
+test('fall back: the next opening uses the offset of that day', () => {
+    // Tijuana moves from UTC-7 back to UTC-8 at 02:00 on Sunday 1 November 2026
+    useSchedule({ WEEKLY: weekly([['06:30', '23:00']]) }, 'America/Tijuana');
+
+    // Saturday 23:30 PDT
+    const status = statusAt('2026-11-01T06:30:00Z');
+    assert.equal(status.isBusinessOpen(), false);
+    assert.equal(status.getNextOpeningTime().toISOString(), '2026-11-01T14:30:00.000Z');
+
+    // The repeated 01:00-02:00 hour is read as wall-clock time both times
+    assert.equal(statusAt('2026-11-01T08:30:00Z').getNow().minutes, 90);
+    assert.equal(statusAt('2026-11-01T09:30:00Z').getNow().minutes, 90);
+});
+
+test('the restaurant zone ignores DST changes elsewhere', () => {
+    // Same Hermosillo hours on both sides of the US spring change
+    assert.equal(statusAt('2026-03-07T13:30:00Z').isBusinessOpen(), true);
+    assert.equal(statusAt('2026-03-09T13:30:00Z').isBusinessOpen(), true);
+    assert.equal(statusAt('2026-03-09T13:29:00Z').isBusinessOpen(), false);
+});
+
+test('holidays from holidays.js are computed per year', () => {
+    assert.equal(getHolidayForDate({ year: 2026, month: 11, day: 16 }).id, 'revolucion');
+    assert.equal(getHolidayForDate({ year: 2026, month: 2, day: 2 }).id, 'constitucion');
+    assert.equal(getHolidayForDate({ year: 2026, month: 10, day: 1 }), null);
+    assert.equal(getHolidayForDate({ year: 2030, month: 10, day: 1 }).id, 'transmision-poder');
+});
+
+test('holiday overrides replace the weekly hours', () => {
+    useSchedule({
+        WEEKLY: weekly([['06:30', '23:00']]),
+        HOLIDAYS: { navidad: { closed: true }, revolucion: { ranges: [['08:00', '22:00']] } }
+    });
+
+    // Navidad, noon: closed all day, opens the 26th as usual
+    const christmas = statusAt('2026-12-25T19:00:00Z');
+    assert.equal(christmas.isBusinessOpen(), false);
+    assert.equal(christmas.getStatus().reason, 'Navidad');
+    assert.equal(christmas.getBusinessHours(), 'Cerrado');
+    assert.deepEqual(christmas.getStatus().opensAt, { year: 2026, month: 12, day: 26, minutes: 390 });
+
+    // Día de la Revolución (16 November 2026): shorter hours
+    const revolution = statusAt('2026-11-16T14:00:00Z');
+    assert.equal(revolution.isBusinessOpen(), false);
+    assert.equal(revolution.getBusinessHours(), '8:00 AM - 10:00 PM (hora de Sonora)');
+    assert.equal(revolution.getNextOpeningTime().toISOString(), '2026-11-16T15:00:00.000Z');
+    assert.equal(statusAt('2026-11-17T05:30:00Z').isBusinessOpen(), false);
+    assert.equal(statusAt('2026-11-16T20:00:00Z').getOpenMessage().startsWith('Abierto ahora (Día de la Revolución)'), true);
+});
+
+test('the closed message names the reason of the day it talks about', () => {
+    useSchedule({
+        WEEKLY: weekly([['06:30', '23:00']]),
+        HOLIDAYS: { navidad: { closed: true }, revolucion: { ranges: [['08:00', '22:00']] } },
+        EXCEPTIONS: [{ date: '2026-12-24', ranges: [['10:00', '16:00']], reason: 'horario navideño' }]
+    });
+
+    // A normal Sunday night: the reason belongs to Monday's opening
+    assert.equal(statusAt('2026-11-16T06:30:00Z').getClosedMessage(), 'Cerrado - Abre en 8h 30min (Día de la Revolución)');
+    // Christmas Eve's short hours are over; they don't explain the closure
+    assert.equal(statusAt('2026-12-25T03:00:00Z').getClosedMessage(), 'Cerrado - Abre el sábado a las 6:30 AM (hora de Sonora)');
+    // Christmas is closed all day
+    assert.equal(statusAt('2026-12-25T19:00:00Z').getClosedMessage(), 'Cerrado por Navidad - Abre mañana a las 6:30 AM (hora de Sonora)');
+});
+
+test('a shift that starts the night before a closed holiday still finishes', () => {
+    useSchedule({
+        WEEKLY: weekly([['18:00', '02:00']]),
+        HOLIDAYS: { navidad: { closed: true } }
+    });
+
+    // 25 December, 01:00: Christmas Eve's shift
+    assert.equal(statusAt('2026-12-25T08:00:00Z').isBusinessOpen(), true);
+    // 25 December, 19:00: no Christmas shift
+    assert.equal(statusAt('2026-12-26T02:00:00Z').isBusinessOpen(), false);
+});
+
+test('dated exceptions and closures win over holidays', () => {
+    useSchedule({
+        WEEKLY: weekly([['06:30', '23:00']]),
+        HOLIDAYS: { navidad: { closed: true } },
+        EXCEPTIONS: [{ date: '2026-12-25', ranges: [['10:00', '16:00']], reason: 'horario navideño' }],
+        CLOSURES: [{ from: '2026-12-31', to: '2027-01-02', reason: 'vacaciones' }]
+    });
+
+    const christmas = statusAt('2026-12-25T19:00:00Z');
+    assert.equal(christmas.isBusinessOpen(), true);
+    assert.equal(christmas.getStatus().reason, 'horario navideño');
+
+    const holidays = statusAt('2027-01-01T19:00:00Z');
+    assert.equal(holidays.isBusinessOpen(), false);
+    assert.deepEqual(holidays.getStatus().opensAt, { year: 2027, month: 1, day: 3, minutes: 390 });
+    assert.equal(holidays.getClosedMessage().startsWith('Cerrado por vacaciones'), true);
+});
@@ -0,0 +1,185 @@
+// tests/pricing.test.mjs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    normalizeOptionGroups,
+    normalizeWeight,
+    getWeightSteps,
+    getDefaultSelection,
+    validateSelection,
+    priceSelection,
+    lineTotal,
+    calculateTotals
+} from '../assets/js/modules/cart/pricing.js';
+
+/**
+ * Catalog item in the shape menu-catalog.js builds from menu.json
+ */
+function item(raw) {
+    return { price: 0, ...raw, options: normalizeOptionGroups(raw), weight: normalizeWeight(raw) };
+}
+
+const TACO = item({
+    id: 'taco',
+    price: 4000,
+    options: [
+        {
+            id: 'tortilla',
+            name: 'Tortilla',
+            type: 'single',
+            required: true,
+            choices: [
+                { id: 'maiz', name: 'Maíz' },
+                { id: 'harina', name: 'Harina', price: 500 }
+            ]
+        },
+        {
+            id: 'extras',
+            name: 'Extras',
+            type: 'multi',
+            max: 2,
+            choices: [
+                { id: 'queso', name: 'Queso', price: 1000 },
+                { id: 'aguacate', name: 'Aguacate', price: 1500 },
+                { id: 'sin-cebolla', name: 'Sin cebolla', price: -200 }
+            ]
+        }
+    ]
+});
+
+const BRISKET = item({
+    id: 'brisket',
+    price: 3333,
+    weight: { min: 250, max: 1000, step: 250, default: 500 }
+});
+
+test('a required single group needs exactly one choice', () => {
+    const missing = validateSelection(TACO, { options: {} });
+    assert.equal(missing.valid, false);
+    assert.deepEqual(missing.errors, [{ groupId: 'tortilla', message: 'Elige tortilla' }]);
+
+    const chosen = validateSelection(TACO, { options: { tortilla: ['harina'] } });
+    assert.equal(chosen.valid, true);
+    assert.deepEqual(chosen.selection, { options: { tortilla: ['harina'] }, grams: null });
+
+    assert.equal(validateSelection(TACO, { options: { tortilla: ['maiz', 'harina'] } }).valid, false);
+});
+
+test('multi groups enforce their min and max', () => {
+    const salsas = item({
+        id: 'orden',
+        price: 10000,
+        options: [{
+            id: 'salsas',
+            name: 'Salsas',
+            type: 'multi',
+            min: 2,
+            max: 3,
+            choices: ['verde', 'roja', 'habanero', 'chipotle'].map(id => ({ id, name: id }))
+        }]
+    });
+    const pick = (...ids) => validateSelection(salsas, { options: { salsas: ids } });
+
+    assert.deepEqual(pick('verde').errors, [{ groupId: 'salsas', message: 'Elige al menos 2 en salsas' }]);
+    assert.equal(pick('verde', 'roja').valid, true);
+    assert.equal(pick('verde', 'roja', 'habanero').valid, true);
+    assert.deepEqual(pick('verde', 'roja', 'habanero', 'chipotle').errors, [{ groupId: 'salsas', message: 'Elige máximo 3 en salsas' }]);
+});
+
+test('unknown choices are dropped and the rest put in menu order', () => {
+    const result = validateSelection(TACO, { options: { tortilla: ['maiz', 'nopal'], extras: ['aguacate', 'queso'], otro: ['x'] } });
+
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.selection.options, { tortilla: ['maiz'], extras: ['queso', 'aguacate'] });
+});
+
+test('option deltas are added once per unit, negative ones included', () => {
+    const priced = priceSelection(TACO, { options: { tortilla: ['harina'], extras: ['queso', 'sin-cebolla'] } });
+
+    assert.equal(priced.valid, true);
+    assert.equal(priced.base, 4000);
+    assert.equal(priced.optionsTotal, 500 + 1000 - 200);
+    assert.equal(priced.unitPrice, 5300);
+    assert.deepEqual(priced.details, [
+        { groupId: 'tortilla', label: 'Tortilla', value: 'Harina', price: 500 },
+        { groupId: 'extras', label: 'Extras', value: 'Queso, Sin cebolla', price: 800 }
+    ]);
+});
+
+test('a unit price never goes below zero', () => {
+    const side = item({
+        id: 'side',
+        price: 100,
+        options: [{ id: 'ajuste', name: 'Ajuste', type: 'single', choices: [{ id: 'sin', name: 'Sin', price: -300 }] }]
+    });
+    assert.equal(priceSelection(side, { options: { ajuste: ['sin'] } }).unitPrice, 0);
+});
+
+test('items sold by weight are priced per 100 g and rounded to the centavo', () => {
+    // 3333 per 100 g: 250 g = 8332.5 -> 8333
+    const quarter = priceSelection(BRISKET, { grams: 250 });
+    assert.equal(quarter.unitPrice, 8333);
+    assert.deepEqual(quarter.details, [{ groupId: 'weight', label: 'Peso', value: '250 g', price: 0 }]);
+
+    assert.equal(priceSelection(BRISKET, { grams: 750 }).unitPrice, 24998);
+    assert.equal(priceSelection(BRISKET, { grams: 1000 }).details[0].value, '1 kg');
+});
+
+test('weights follow the configured steps', () => {
+    assert.deepEqual(getWeightSteps(BRISKET.weight), [250, 500, 750, 1000]);
+    assert.deepEqual(getDefaultSelection(BRISKET), { options: {}, grams: 500 });
+
+    for (const grams of [0, 300, 1250, '500', null]) {
+        const result = validateSelection(BRISKET, { grams });
+        assert.equal(result.valid, false, `${grams} g`);
+        assert.deepEqual(result.errors, [{ groupId: 'weight', message: 'Elige un peso entre 250 g y 1 kg' }]);
+    }
+});
+
+test('an invalid selection still prices the default weight and chosen options', () => {
+    const weightless = priceSelection(BRISKET, { grams: 300 });
+    assert.equal(weightless.valid, false);
+    assert.equal(weightless.selection.grams, null);
+    assert.equal(weightless.unitPrice, 16665);
+
+    const noTortilla = priceSelection(TACO, { options: { extras: ['aguacate'] } });
+    assert.equal(noTortilla.valid, false);
+    assert.equal(noTortilla.unitPrice, 5500);
+});
+
+test('every price is a whole number of centavos', () => {
+    const selections = [
+        [TACO, { options: { tortilla: ['maiz'] } }],
+        [TACO, { options: { tortilla: ['harina'], extras: ['queso', 'aguacate'] } }],
+        [TACO, { options: {} }],
+        ...getWeightSteps(BRISKET.weight).map(grams => [BRISKET, { grams }]),
+        [BRISKET, { grams: 333 }]
+    ];
+
+    for (const [entry, selection] of selections) {
+        const { base, optionsTotal, unitPrice } = priceSelection(entry, selection);
+        assert.equal([base, optionsTotal, unitPrice].every(Number.isInteger), true, JSON.stringify(selection));
+    }
+});
+
+test('malformed choice prices count as free', () => {
+    const groups = normalizeOptionGroups({
+        options: [{ id: 'extras', name: 'Extras', type: 'multi', choices: [{ id: 'a', name: 'A', price: 9.5 }, { id: 'b', name: 'B', price: '10' }] }]
+    });
+    assert.deepEqual(groups[0].choices.map(choice => choice.price), [0, 0]);
+});
+
+test('cart totals add integer line totals', () => {
+    const lines = [
+        { unitPrice: 5300, quantity: 2 },
+        { unitPrice: 8333, quantity: 1 },
+        { unitPrice: 4000, quantity: 3 }
+    ];
+
+    assert.deepEqual(calculateTotals(lines), { itemCount: 6, subtotal: 10600 + 8333 + 12000, total: 30933 });
+    assert.deepEqual(calculateTotals([]), { itemCount: 0, subtotal: 0, total: 0 });
+    assert.equal(lineTotal(12.5, 2), 0);
+    assert.equal(lineTotal(4000, 1.5), 0);
+});
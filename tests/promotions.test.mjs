@@ -0,0 +1,161 @@
+// tests/promotions.test.mjs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { normalizePromotions, applyPromotions, isPromotionActive } from '../assets/js/modules/cart/promotions.js';
+
+const MONDAY = 1;
+const TUESDAY = 2;
+
+const PRICES = { 'taco-a': 4000, 'taco-b': 3500, refresco: 2500, agua: 3000 };
+const CATEGORIES = { 'taco-a': 'tacos', 'taco-b': 'tacos', refresco: 'bebidas', agua: 'bebidas' };
+
+const RULES = [
+    {
+        id: 'combo',
+        type: 'bundle',
+        name: 'Combo',
+        price: 10000,
+        components: [
+            { match: { items: ['taco-a', 'taco-b'] }, quantity: 3 },
+            { match: { categories: ['bebidas'] }, quantity: 1 }
+        ]
+    },
+    { id: 'martes-2x1', type: 'buy-x-get-y', name: '2x1', days: [TUESDAY], match: { items: ['taco-a', 'taco-b'] }, buy: 1, get: 1 },
+    { id: 'aguas-3x2', type: 'buy-x-get-y', name: '3x2', match: { items: ['agua'] }, buy: 2, get: 1 }
+];
+
+let lineCount = 0;
+
+/**
+ * Cart line in the shape CartManager.getPromotionLines() builds
+ */
+function line(itemId, quantity, optionsPrice = 0) {
+    return {
+        id: `line-${++lineCount}`,
+        itemId,
+        categoryId: CATEGORIES[itemId],
+        unitPrice: PRICES[itemId] + optionsPrice,
+        quantity,
+        optionsPrice
+    };
+}
+
+function apply(lines, rules = RULES, weekday = MONDAY) {
+    return applyPromotions(lines, normalizePromotions(rules), { weekday });
+}
+
+function summary(result) {
+    return result.applied.map(({ id, times, savings }) => [id, times, savings]);
+}
+
+test('an empty cart gets no promotion', () => {
+    assert.deepEqual(apply([]), { applied: [], discount: 0 });
+    assert.deepEqual(apply([line('taco-a', 3)], []), { applied: [], discount: 0 });
+});
+
+test('a complete bundle is charged its fixed price', () => {
+    const lines = [line('taco-a', 3), line('refresco', 1)];
+    const result = apply(lines);
+
+    // 3 x 4000 + 2500 = 14500 for 10000
+    assert.equal(result.discount, 4500);
+    assert.deepEqual(summary(result), [['combo', 1, 4500]]);
+    assert.deepEqual(result.applied[0].lineIds, lines.map(entry => entry.id));
+});
+
+test('bundles still charge option surcharges and need every component', () => {
+    // Each taco carries a 500 extra: 10000 + 3 x 500 against 3 x 4500 + 2500
+    assert.equal(apply([line('taco-a', 3, 500), line('refresco', 1)]).discount, 4500);
+    assert.equal(apply([line('taco-a', 2), line('refresco', 1)]).discount, 0);
+    assert.equal(apply([line('taco-a', 3)]).discount, 0);
+});
+
+test('a bundle that would cost more than the items is skipped', () => {
+    const pricey = [{ ...RULES[0], price: 20000 }];
+    assert.equal(apply([line('taco-a', 3), line('refresco', 1)], pricey).discount, 0);
+});
+
+test('the weekday 2x1 only applies on its day', () => {
+    const tacos = () => [line('taco-a', 4)];
+
+    assert.deepEqual(summary(apply(tacos(), RULES, TUESDAY)), [['martes-2x1', 2, 8000]]);
+    assert.equal(apply(tacos(), RULES, MONDAY).discount, 0);
+    assert.equal(isPromotionActive(normalizePromotions(RULES)[1], TUESDAY), true);
+    assert.equal(isPromotionActive(normalizePromotions(RULES)[1], MONDAY), false);
+});
+
+test('the 2x1 gives away the cheaper unit of each pair', () => {
+    const result = apply([line('taco-a', 1), line('taco-b', 1)], RULES, TUESDAY);
+    assert.equal(result.discount, PRICES['taco-b']);
+
+    // An odd unit out pays full price
+    assert.equal(apply([line('taco-a', 3)], RULES, TUESDAY).discount, 4000);
+});
+
+test('buy-x-get-y respects its per-order limit', () => {
+    const aguas = () => [line('agua', 6)];
+
+    assert.deepEqual(summary(apply(aguas())), [['aguas-3x2', 2, 6000]]);
+
+    const limited = RULES.map(rule => (rule.id === 'aguas-3x2' ? { ...rule, limit: 1 } : rule));
+    assert.deepEqual(summary(apply(aguas(), limited)), [['aguas-3x2', 1, 3000]]);
+});
+
+test('percentOff discounts only part of the free units', () => {
+    const halfOff = [{ ...RULES[2], percentOff: 50 }];
+    assert.equal(apply([line('agua', 3)], halfOff).discount, 1500);
+});
+
+test('overlapping promotions use the best combination, not the first rule', () => {
+    // Tuesday: the combo alone saves 4500, two 2x1 pairs save 8000
+    const result = apply([line('taco-a', 4), line('refresco', 1)], RULES, TUESDAY);
+    assert.deepEqual(summary(result), [['martes-2x1', 2, 8000]]);
+
+    // Monday the same cart only qualifies for the combo
+    assert.deepEqual(summary(apply([line('taco-a', 4), line('refresco', 1)])), [['combo', 1, 4500]]);
+});
+
+test('a unit is never counted by two promotions', () => {
+    // The combo (saves 5000) takes one agua, leaving two: too few for the 3x2 (saves 3000)
+    const result = apply([line('taco-a', 3), line('agua', 3)]);
+
+    assert.deepEqual(summary(result), [['combo', 1, 5000]]);
+    assert.equal(result.discount, 5000);
+});
+
+test('equal savings go to the rule listed first', () => {
+    const twins = [
+        { id: 'first', type: 'buy-x-get-y', name: 'Primero', match: { items: ['agua'] }, buy: 2, get: 1 },
+        { id: 'second', type: 'buy-x-get-y', name: 'Segundo', match: { categories: ['bebidas'] }, buy: 2, get: 1 }
+    ];
+    assert.deepEqual(summary(apply([line('agua', 3)], twins)), [['first', 1, 3000]]);
+});
+
+test('large carts finish within the search budget', () => {
+    const lines = [line('taco-a', 60), line('taco-b', 60), line('refresco', 40), line('agua', 60)];
+    const result = apply(lines, RULES, TUESDAY);
+
+    assert.equal(Number.isInteger(result.discount), true);
+    assert.equal(result.discount > 0, true);
+});
+
+test('malformed rules are dropped', () => {
+    const rules = normalizePromotions([
+        { id: 'no-components', type: 'bundle', name: 'x', price: 100, components: [] },
+        { id: 'text-price', type: 'bundle', name: 'x', price: '100', components: RULES[0].components },
+        { id: 'unknown', type: 'nope', name: 'x' },
+        { id: 'no-valid-day', type: 'buy-x-get-y', name: 'x', buy: 1, get: 1, days: [9] },
+        { id: 'off', type: 'buy-x-get-y', name: 'x', buy: 1, get: 1, active: false },
+        null
+    ]);
+    assert.deepEqual(rules, []);
+    assert.deepEqual(normalizePromotions(undefined), []);
+});
+
+test('every promotion in menu.json is valid', () => {
+    const menu = JSON.parse(readFileSync(new URL('../assets/data/menu.json', import.meta.url), 'utf8'));
+    assert.equal(normalizePromotions(menu.promotions).length, menu.promotions.length);
+});